@@ -16,11 +16,17 @@ const port = argv._[1] || 0; //zero = 'arbitrary unused port'
 const collabDir = argv.collab || argv.c || "./collab_storage";
 const metadataDir = argv.metadata || argv.m || "./metadata/json";
 const dataDir = argv.data || argv.d || "./data";
+const userFile = argv.users || argv.u || null;
+const storage = argv.storage || argv.s || "file";
+const pluginFile = argv.plugins || argv.p || null;
 if (argv.h || argv.help) {
     console.info(`Usage: node cytobrowser.js [--open-browser] hostname port ` +
     `[-c collab storage path = "./collab_storage"] ` +
     `[-m image json metadata path = "./metadata/json"] ` +
-    `[-d image data path = "./data"]`);
+    `[-d image data path = "./data"] ` +
+    `[-u user file path, enables login if set] ` +
+    `[-s collab storage backend, "file" or "sqlite" = "file"] ` +
+    `[-p analysis plugin file path, enables analysis if set]`);
     return;
 }
 
@@ -28,7 +34,11 @@ if (argv.h || argv.help) {
 const fs = require("fs");
 const express = require("express");
 const availableImages = require("./server/availableImages")(dataDir);
-const collaboration = require("./server/collaboration")(collabDir, metadataDir);
+const users = userFile ? require("./server/users")(userFile) : null;
+const authentication = require("./server/authentication")(users);
+const accessControl = require("./server/accessControl")(collabDir, authentication.isEnabled());
+const collaboration = require("./server/collaboration")(collabDir, metadataDir, accessControl, storage);
+const analysis = require("./server/analysis")(pluginFile, dataDir, availableImages, collaboration);
 const open = require("open");
 
 // Initialize the server
@@ -38,7 +48,22 @@ const expressWs = require("express-ws")(app);
 // Serve static files
 app.use(express.static("public"));
 app.use("/data", express.static(dataDir));
-app.use(express.json());
+app.use(express.json({limit: "50mb"})); // Annotations can be added in bulk through the API
+
+// Answer requests with bodies that can't be read without the default error page
+app.use((err, req, res, next) => {
+    if (err.type === "entity.too.large") {
+        res.status(413);
+        res.send("The body of the request is too large.");
+    }
+    else if (err.status >= 400 && err.status < 500) {
+        res.status(400);
+        res.send("The body of the request could not be read as JSON.");
+    }
+    else {
+        next(err);
+    }
+});
 
 // Serve the index page at the root
 app.get("/", (req, res) => {
@@ -59,6 +84,43 @@ app.get("/api/images", (req, res) => {
     }
 });
 
+// Get the user who is logged in, if any
+app.get("/api/user", (req, res) => {
+    res.status(200);
+    res.json({
+        authentication: authentication.isEnabled(),
+        username: authentication.getUsername(req)
+    });
+});
+
+// Log in and start a new session
+app.post("/api/login", (req, res) => {
+    const {username, password} = req.body;
+    authentication.login(username, password).then(token => {
+        if (token) {
+            authentication.setSessionCookie(res, token);
+            res.status(200);
+            res.json({username: username});
+        }
+        else {
+            res.status(401);
+            res.send("Wrong username or password.");
+        }
+    }).catch(err => {
+        console.warn(err.message);
+        res.status(500);
+        res.send("The server was unable to log in the user.");
+    });
+});
+
+// End the current session
+app.post("/api/logout", (req, res) => {
+    authentication.logout(req);
+    authentication.clearSessionCookie(res);
+    res.status(204);
+    res.end();
+});
+
 // Get an unused collaboration id
 app.get("/api/collaboration/id", (req, res) => {
     const id = collaboration.getId();
@@ -69,7 +131,8 @@ app.get("/api/collaboration/id", (req, res) => {
 // Get a list of existing collaborations
 app.get("/api/collaboration/available", (req, res) => {
     const image = req.query.image;
-    collaboration.getAvailable(image).then(available => {
+    const username = authentication.getUsername(req);
+    collaboration.getAvailable(image, username).then(available => {
         res.status(200);
         res.json({available: available});
     }).catch(err => {
@@ -78,13 +141,173 @@ app.get("/api/collaboration/available", (req, res) => {
     });
 });
 
+// Search the existing collaborations of all images
+app.get("/api/collaboration/search", (req, res) => {
+    const username = authentication.getUsername(req);
+    collaboration.searchCollabs(req.query.query, username).then(results => {
+        res.status(200);
+        res.json({results: results});
+    }).catch(err => sendApiError(res, err));
+});
+
+// Make sure that the user has a given permission in the requested collaboration
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const username = authentication.getUsername(req);
+        const role = accessControl.getRole(req.params.id, username);
+        if (accessControl.hasPermission(role, permission)) {
+            req.username = username;
+            next();
+        }
+        else if (!username && authentication.isEnabled()) {
+            res.status(401);
+            res.send("You have to log in to access the collaboration.");
+        }
+        else {
+            res.status(403);
+            res.send("You don't have permission to do this in the collaboration.");
+        }
+    };
+}
+
+// Respond to a failed request to the annotation API
+function sendApiError(res, err) {
+    if (err instanceof collaboration.ApiError) {
+        res.status(err.status);
+        res.send(err.message);
+    }
+    else {
+        console.warn(err.message);
+        res.status(500);
+        res.send("The server was unable to handle the request.");
+    }
+}
+
+// Get all annotations in a collaboration
+app.get("/api/collaboration/:id/annotations", requirePermission("view"), (req, res) => {
+    const id = req.params.id;
+    const image = req.query.image;
+    collaboration.getAnnotations(id, image).then(annotations => {
+        res.status(200);
+        res.json({annotations: annotations});
+    }).catch(err => sendApiError(res, err));
+});
+
+// Get a single annotation in a collaboration
+app.get("/api/collaboration/:id/annotations/:annotationId", requirePermission("view"), (req, res) => {
+    const id = req.params.id;
+    const image = req.query.image;
+    const annotationId = Number(req.params.annotationId);
+    collaboration.getAnnotation(id, image, annotationId).then(annotation => {
+        res.status(200);
+        res.json({annotation: annotation});
+    }).catch(err => sendApiError(res, err));
+});
+
+// Add one or more annotations to a collaboration
+app.post("/api/collaboration/:id/annotations", requirePermission("edit"), (req, res) => {
+    const id = req.params.id;
+    const image = req.query.image;
+    const name = req.username || req.query.name || "Unnamed";
+    const annotations = Array.isArray(req.body) ? req.body : [req.body];
+    collaboration.addAnnotations(id, image, name, annotations).then(added => {
+        res.status(201);
+        res.json({annotations: added});
+    }).catch(err => sendApiError(res, err));
+});
+
+// Update an annotation in a collaboration
+app.patch("/api/collaboration/:id/annotations/:annotationId", requirePermission("edit"), (req, res) => {
+    const id = req.params.id;
+    const image = req.query.image;
+    const name = req.username || req.query.name || "Unnamed";
+    const annotationId = Number(req.params.annotationId);
+    collaboration.updateAnnotation(id, image, name, annotationId, req.body).then(annotation => {
+        res.status(200);
+        res.json({annotation: annotation});
+    }).catch(err => sendApiError(res, err));
+});
+
+// Remove an annotation from a collaboration
+app.delete("/api/collaboration/:id/annotations/:annotationId", requirePermission("edit"), (req, res) => {
+    const id = req.params.id;
+    const image = req.query.image;
+    const name = req.username || req.query.name || "Unnamed";
+    const annotationId = Number(req.params.annotationId);
+    collaboration.removeAnnotation(id, image, name, annotationId).then(() => {
+        res.status(204);
+        res.end();
+    }).catch(err => sendApiError(res, err));
+});
+
+// Remove all annotations from a collaboration
+app.delete("/api/collaboration/:id/annotations", requirePermission("edit"), (req, res) => {
+    const id = req.params.id;
+    const image = req.query.image;
+    const name = req.username || req.query.name || "Unnamed";
+    collaboration.clearAnnotations(id, image, name).then(() => {
+        res.status(204);
+        res.end();
+    }).catch(err => sendApiError(res, err));
+});
+
+// Get a list of the plugins that can analyse images
+app.get("/api/analysis/plugins", (req, res) => {
+    res.status(200);
+    res.json({plugins: analysis.getPlugins()});
+});
+
+// Start analysing a region of the image in a collaboration
+app.post("/api/collaboration/:id/analysis", requirePermission("edit"), (req, res) => {
+    const id = req.params.id;
+    const image = req.query.image;
+    const name = req.username || req.query.name || "Unnamed";
+    const {plugin, z, polygons} = req.body;
+    try {
+        const job = analysis.startJob(id, image, name, plugin, z, polygons);
+        res.status(202);
+        res.json({job: job});
+    }
+    catch (err) {
+        sendApiError(res, err);
+    }
+});
+
+// Get the state of an analysis job in a collaboration
+app.get("/api/collaboration/:id/analysis/:jobId", requirePermission("view"), (req, res) => {
+    try {
+        const job = analysis.getJob(req.params.id, req.params.jobId);
+        res.status(200);
+        res.json({job: job});
+    }
+    catch (err) {
+        sendApiError(res, err);
+    }
+});
+
+// Cancel an analysis job in a collaboration
+app.delete("/api/collaboration/:id/analysis/:jobId", requirePermission("edit"), (req, res) => {
+    try {
+        const job = analysis.cancelJob(req.params.id, req.params.jobId);
+        res.status(200);
+        res.json({job: job});
+    }
+    catch (err) {
+        sendApiError(res, err);
+    }
+});
+
 // Add websocket endpoints for collaboration
 app.ws("/collaboration/:id", (ws, req) => {
     const id = req.params.id;
     const image = req.query.image ? req.query.image : null;
     const userId = req.query.userId ? req.query.userId : null;
     const name = req.query.name || "Unnamed";
-    collaboration.joinCollab(ws, name, userId, id, image);
+    const observe = req.query.observe || null;
+    const username = authentication.getUsername(req);
+    if (!collaboration.joinCollab(ws, name, userId, id, image, username, observe)) {
+        return;
+    }
 
     ws.on("message", msg => {
         collaboration.handleMessage(ws, id, msg);
@@ -0,0 +1,216 @@
+/**
+ * Functions for editing all selected annotations at once. Each edit is
+ * sent to collaborators as a single batch, which the server applies
+ * either to all of the annotations or to none of them, and it is undone
+ * in a single step.
+ * @namespace annotationBulkEdit
+ */
+const annotationBulkEdit = (function() {
+    "use strict";
+
+    function _setMessage(message) {
+        $("#selection-message").text(message || "");
+        message && console.warn(message);
+    }
+
+    function _canEdit() {
+        if (!annotationTool.isEnabled()) {
+            _setMessage("The annotations can't be edited right now.");
+            return false;
+        }
+        return annotationSelection.getSelectedIds().length > 0;
+    }
+
+    function _bulk(edit) {
+        annotationHistory.startGroup();
+        collabClient.startBatch();
+        try {
+            edit();
+        }
+        finally {
+            collabClient.endBatch();
+            annotationHistory.endGroup();
+            updateControls();
+        }
+    }
+
+    function _updateEach(changeFun) {
+        _bulk(() => {
+            const annotations = annotationSelection.getSelectedAnnotations();
+            // Only redraw once all of the annotations have been updated
+            annotations.forEach((annotation, i) => {
+                changeFun(annotation);
+                annotationHandler.update(annotation.id, annotation, "image", true, i === annotations.length - 1);
+            });
+        });
+    }
+
+    /**
+     * Change the class of all selected annotations.
+     * @param {string} mclass The name of the new class.
+     */
+    function reclassify(mclass) {
+        _canEdit() && _updateEach(annotation => annotation.mclass = mclass);
+    }
+
+    /**
+     * Remove all selected annotations.
+     */
+    function remove() {
+        if (_canEdit()) {
+            const ids = annotationSelection.getSelectedIds();
+            _bulk(() => annotationHandler.remove(ids));
+        }
+    }
+
+    /**
+     * Set the bookmark state of all selected annotations.
+     * @param {boolean} state Whether or not the annotations should be
+     * bookmarked.
+     */
+    function setBookmarked(state) {
+        _canEdit() && _updateEach(annotation => annotation.bookmarked = state);
+    }
+
+    /**
+     * Confirm all selected annotations that were added by a model.
+     */
+    function confirmPredictions() {
+        if (_canEdit()) {
+            predictions.confirm(annotationSelection.getSelectedIds());
+            updateControls();
+        }
+    }
+
+    /**
+     * Reject all selected annotations that were added by a model,
+     * removing them.
+     */
+    function rejectPredictions() {
+        if (_canEdit()) {
+            const ids = annotationSelection.getSelectedIds();
+            predictions.reject(ids);
+            // Rejected annotations are hidden, so they shouldn't stay selected
+            annotationSelection.deselect(ids);
+            updateControls();
+        }
+    }
+
+    /**
+     * Add the same comment to all selected annotations.
+     * @param {string} body The text of the comment.
+     */
+    function addComment(body) {
+        if (body && _canEdit()) {
+            _updateEach(annotation => {
+                annotation.comments = annotation.comments || [];
+                annotation.comments.push({
+                    author: userInfo.getName(),
+                    body: body
+                });
+            });
+        }
+    }
+
+    /**
+     * Move all selected annotations by the same offset. Nothing is
+     * moved if any of the annotations would end up outside the image.
+     * @param {Object} offset The offset, expressed in image coordinates.
+     */
+    function move(offset) {
+        if (!_canEdit()) {
+            return;
+        }
+        const annotations = annotationSelection.getSelectedAnnotations();
+        annotations.forEach(annotation => {
+            annotationHandler.getPolygons(annotation)
+                .flatMap(polygon => [polygon.points, ...polygon.holes])
+                .flat()
+                .forEach(point => {
+                    point.x += offset.x;
+                    point.y += offset.y;
+                });
+            if (annotation.shape) {
+                const center = annotation.shape.center;
+                annotation.shape.center = {x: center.x + offset.x, y: center.y + offset.y};
+            }
+        });
+        const outside = annotations.some(annotation =>
+            annotationHandler.getPolygons(annotation).some(polygon =>
+                [polygon.points, ...polygon.holes].flat().some(point =>
+                    !coordinateHelper.pointIsInsideImage(point)
+                )
+            )
+        );
+        if (outside) {
+            _setMessage("Cannot move the annotations outside the image.");
+            return;
+        }
+        _bulk(() => {
+            annotations.forEach((annotation, i) =>
+                annotationHandler.update(annotation.id, annotation, "image", true, i === annotations.length - 1)
+            );
+        });
+    }
+
+    /**
+     * Update the controls for the bulk edits to match the current
+     * selection. Should be called whenever the selection or the class
+     * configuration changes.
+     * @param {Array<annotationHandler.Annotation>} [selected] The
+     * selected annotations, if they have already been looked up.
+     */
+    function updateControls(selected=annotationSelection.getSelectedAnnotations()) {
+        const enabled = annotationTool.isEnabled();
+        const allBookmarked = selected.length > 0 && selected.every(annotation => annotation.bookmarked);
+        const anyPredicted = selected.some(annotation => annotation.predicted);
+        $("#selection-bar").toggleClass("d-none", selected.length === 0);
+        $("#selection-text").text(`${selected.length} selected`);
+        $("#selection-bookmark").text(allBookmarked ? "Remove bookmark" : "Bookmark")
+            .data("state", !allBookmarked);
+        $("#selection-bookmark, #selection-remove, #selection-reclassify, #selection-add-comment, #selection-move")
+            .prop("disabled", !enabled);
+        $("#selection-confirm, #selection-reject").prop("disabled", !enabled || !anyPredicted);
+
+        const classSelect = $("#selection-class");
+        const currentClass = classSelect.val();
+        classSelect.empty();
+        classUtils.forEachClass(entry => {
+            classSelect.append($("<option></option>").val(entry.name).text(entry.name));
+        });
+        currentClass && classSelect.val(currentClass);
+        _setMessage(null);
+    }
+
+    function init() {
+        $("#selection-clear").click(() => annotationSelection.clear());
+        $("#selection-remove").click(remove);
+        $("#selection-bookmark").click(() => setBookmarked($("#selection-bookmark").data("state")));
+        $("#selection-confirm").click(confirmPredictions);
+        $("#selection-reject").click(rejectPredictions);
+        $("#selection-reclassify").click(() => reclassify($("#selection-class").val()));
+        $("#selection-add-comment").click(() => {
+            addComment($("#selection-comment").val().trim());
+            $("#selection-comment").val("");
+        });
+        $("#selection-move").click(() => move({
+            x: Number($("#selection-move-x").val()) || 0,
+            y: Number($("#selection-move-y").val()) || 0
+        }));
+        $("#selection-bar input").on("keypress keyup keydown", e => {
+            e.stopPropagation();
+        });
+    }
+
+    return {
+        reclassify: reclassify,
+        remove: remove,
+        setBookmarked: setBookmarked,
+        confirmPredictions: confirmPredictions,
+        rejectPredictions: rejectPredictions,
+        addComment: addComment,
+        move: move,
+        updateControls: updateControls,
+        init: init
+    };
+})();
@@ -19,7 +19,13 @@ const annotationHandler = (function (){
      * @typedef {Object} Annotation
      * @property {Array<Object>} points The x and y positions of each
      * point in the annotation; a single point if marker, multiple
-     * if region.
+     * if region. For regions with holes or several parts, these are
+     * the corners of the outer boundary of the first part, so that
+     * clients that don't know about holes and parts still see a region.
+     * @property {Array<Array<Object>>} [holes] The corners of each hole
+     * in the first part of a region.
+     * @property {Array<Polygon>} [parts] Any further parts of a region
+     * made up of several separate polygons.
      * @property {number} z Z value when the annotation was placed.
      * @property {string} mclass Class name of the annotation.
      * @property {Object} centroid The centroid of the annotated point
@@ -36,6 +42,48 @@ const annotationHandler = (function (){
      * id was already in use.
      * @property {number} [prediction] Optional prediction score indicating
      * cancer probability.
+     * @property {Object} [classProbabilities] The probability of each
+     * class according to a model, by the names of the classes.
+     * @property {boolean} [predicted] Whether or not the annotation was
+     * added by a model and has yet to be confirmed by someone.
+     * @property {Review} [review] The decision made about the annotation
+     * when it was reviewed as a prediction.
+     * @property {number} [revision] The number of times the annotation
+     * has been updated since it was added, used by the server to detect
+     * conflicting updates.
+     * @property {boolean} [line] Whether or not the points form an open
+     * line, such as a ruler measurement, rather than a closed region.
+     * @property {Shape} [shape] The shape of the region if it was drawn
+     * as an ellipse or circle. The points of such regions approximate
+     * the shape, and are kept in sync with it when either is updated.
+     */
+    /**
+     * A single polygon of a region, which may have holes in it.
+     * @typedef {Object} Polygon
+     * @property {Array<Object>} points The corners of the outer boundary.
+     * @property {Array<Array<Object>>} holes The corners of each hole.
+     */
+    /**
+     * Decision about an annotation added by a model.
+     * @typedef {Object} Review
+     * @property {string} decision Either "accepted", "rejected" or
+     * "reclassified".
+     * @property {string} reviewer The name of the person who decided.
+     * @property {string} reviewedOn When the decision was made, as an
+     * ISO date string.
+     * @property {string} [originalClass] The predicted class of a
+     * reclassified annotation.
+     */
+    /**
+     * Description of an ellipse or circle region, expressed in the image
+     * coordinate system.
+     * @typedef {Object} Shape
+     * @property {string} type Either "ellipse" or "circle".
+     * @property {Object} center The x and y coordinates of the center.
+     * @property {number} radiusX The radius along the first axis.
+     * @property {number} radiusY The radius along the second axis, the
+     * same as radiusX for circles.
+     * @property {number} angle The angle of the first axis in radians.
      */
     /**
      * Representation of the OpenSeadragon coordinate system used to
@@ -70,42 +118,28 @@ const annotationHandler = (function (){
         globalDataHandler.updateAnnotationCounts(_nMarkers, _nRegions, _classCounts);
     }
 
-    // Low-res array of arrays
-    const _annotationGrid = []; 
-    const _gridShift = 10; //2^n sized grid squares
-    const _gridMax = 20-_gridShift; //at most (2^n)^2 grid squares
-    // Add to _annotations and to _annotationGrid
-    function _getGridIdx(annotation) {
-        if (!annotation.points || !annotation.points.length) {
-            console.error('Annotation without points[0]');
-            return 0;
-        }
-        const p=annotation.points[0];
-        if ((p.x>>_gridShift)>>_gridMax) {
-            alert(`Too large x-coord ${p.x}, increase _gridMax`); 
-        }
-        return (p.y>>_gridShift)<<_gridMax | (p.x>>_gridShift);
+    // Spatial index of the stored annotations by their bounding boxes
+    const _annotationIndex = new SpatialIndex();
+
+    function _getBoundingBox(annotation) {
+        // Holes are inside the outer boundaries, so only those are needed
+        const outerPoints = [annotation.points, ...(annotation.parts || []).map(part => part.points)];
+        const box = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+        outerPoints.forEach(points => points.forEach(point => {
+            box.minX = Math.min(box.minX, point.x);
+            box.minY = Math.min(box.minY, point.y);
+            box.maxX = Math.max(box.maxX, point.x);
+            box.maxY = Math.max(box.maxY, point.y);
+        }));
+        return box;
     }
+
+    // Add to _annotations and to _annotationIndex
     function _addAnnotation(annotation) {
         const idx=_annotations.push(annotation);
-        _addGridAnnotation(annotation);
+        _annotationIndex.insert(annotation, _getBoundingBox(annotation));
         return idx;
     }
-    function _addGridAnnotation(annotation) {
-        const grid=_getGridIdx(annotation);
-        _annotationGrid[grid] ?? (_annotationGrid[grid]=[]); //allow node<15.x
-        _annotationGrid[grid].push(annotation);
-    }
-    //array of annotations in grid (not to be written to)
-    function _getGridAnnotations(annotation) {
-        const grid=_getGridIdx(annotation);
-        return _annotationGrid[grid] ?? [];
-    }
-    function _removeGridAnnotation(annotation) {
-        const grid = _getGridAnnotations(annotation);
-        const gridIndex = grid.findIndex(x => x.id === annotation.id);
-        grid.splice(gridIndex,1);
-    }
 
     function _generateId() {
         const order = Math.ceil(Math.log10((1 + _annotations.length) * 100));
@@ -140,13 +174,48 @@ const annotationHandler = (function (){
             }),
             author: annotation.author,
             id: annotation.id,
-            originalId: annotation.originalId
+            originalId: annotation.originalId,
+            revision: annotation.revision
         };
 
+        if (annotation.line) {
+            clone.line = true;
+        }
+
+        if (annotation.classProbabilities) {
+            clone.classProbabilities = Object.assign({}, annotation.classProbabilities);
+        }
+
+        if (annotation.review) {
+            clone.review = Object.assign({}, annotation.review);
+        }
+
+        const clonePoints = points => points.map(point => ({x: point.x, y: point.y}));
+        if (annotation.holes && annotation.holes.length > 0) {
+            clone.holes = annotation.holes.map(clonePoints);
+        }
+        if (annotation.parts && annotation.parts.length > 0) {
+            clone.parts = annotation.parts.map(part => ({
+                points: clonePoints(part.points),
+                holes: part.holes ? part.holes.map(clonePoints) : []
+            }));
+        }
+
+        if (annotation.shape) {
+            clone.shape = {
+                type: annotation.shape.type,
+                center: {x: annotation.shape.center.x, y: annotation.shape.center.y},
+                radiusX: annotation.shape.radiusX,
+                radiusY: annotation.shape.radiusY,
+                angle: annotation.shape.angle
+            };
+        }
+
         if (include_computables) { //and defaults
             Object.assign(clone,{                
                 bookmarked: annotation.bookmarked,
                 prediction: annotation.prediction,
+                predicted: Boolean(annotation.predicted),
                 centroid: annotation.centroid && {x: annotation.centroid.x, y: annotation.centroid.y},
                 diameter: annotation.diameter
             });
@@ -154,10 +223,76 @@ const annotationHandler = (function (){
         else { //include if non-default valued
             annotation.bookmarked && Object.assign(clone,{bookmarked: annotation.bookmarked});
             annotation.prediction!=null && Object.assign(clone,{prediction: annotation.prediction});
+            annotation.predicted && Object.assign(clone,{predicted: true});
         }
         return clone;
     }
 
+    function _shapesAreEqual(shapeA, shapeB) {
+        return JSON.stringify(shapeA) === JSON.stringify(shapeB);
+    }
+
+    function _hasHolesOrParts(annotation) {
+        return (annotation.holes && annotation.holes.length > 0)
+            || (annotation.parts && annotation.parts.length > 0);
+    }
+
+    function _getCentroid(annotation) {
+        if (annotation.line) {
+            return mathUtils.getLineCentroid(annotation.points);
+        }
+        else if (_hasHolesOrParts(annotation)) {
+            return mathUtils.getPolygonsCentroid(getPolygons(annotation));
+        }
+        return mathUtils.getCentroid(annotation.points, annotation.shape);
+    }
+
+    function _getDiameter(annotation) {
+        if (annotation.parts && annotation.parts.length > 0) {
+            const outerPoints = getPolygons(annotation).flatMap(polygon => polygon.points);
+            return mathUtils.getDiameter(outerPoints);
+        }
+        return mathUtils.getDiameter(annotation.points, annotation.shape);
+    }
+
+    // All points of the holes and further parts of a region
+    function _getExtraPoints(annotation) {
+        const holePoints = (annotation.holes || []).flat();
+        const partPoints = (annotation.parts || []).flatMap(part =>
+            [part.points, ...(part.holes || [])].flat()
+        );
+        return [...holePoints, ...partPoints];
+    }
+
+    // Keep the points of an updated region and its shape consistent
+    function _updateShape(annotation, updatedAnnotation) {
+        if (annotation.shape && !_shapesAreEqual(annotation.shape, updatedAnnotation.shape)) {
+            annotation.points = mathUtils.getEllipsePoints(annotation.shape);
+        }
+        else if (updatedAnnotation.shape && annotation.points
+            && !_pointsAreDuplicate(annotation.points, updatedAnnotation.points)) {
+            const oldPoints = updatedAnnotation.points;
+            const dx = annotation.points[0].x - oldPoints[0].x;
+            const dy = annotation.points[0].y - oldPoints[0].y;
+            const translated = annotation.points.length === oldPoints.length
+                && annotation.points.every((point, i) =>
+                    Math.abs(point.x - oldPoints[i].x - dx) < 1e-6
+                    && Math.abs(point.y - oldPoints[i].y - dy) < 1e-6
+                );
+            if (translated) {
+                // The region has been moved, move the shape with it
+                const shape = updatedAnnotation.shape;
+                annotation.shape = Object.assign({}, shape, {
+                    center: {x: shape.center.x + dx, y: shape.center.y + dy}
+                });
+            }
+            else {
+                // The region has been reshaped, it's no longer an ellipse
+                annotation.shape = null;
+            }
+        }
+    }
+
     // true if same geometry
     function _pointsAreDuplicate(pointsA, pointsB) {
         if (pointsA.length !== pointsB.length)
@@ -171,15 +306,31 @@ const annotationHandler = (function (){
 
     // true if annotation with same geometry already stored
     function _findDuplicateAnnotation(annotation) {
-        return _getGridAnnotations(annotation).find(existingAnnotation =>
+        // Duplicates have the same points, and thereby the same bounding box
+        return _annotationIndex.search(_getBoundingBox(annotation)).find(existingAnnotation =>
             existingAnnotation.z === annotation.z
             && existingAnnotation.mclass === annotation.mclass
             && _pointsAreDuplicate(annotation.points, existingAnnotation.points)
+            && _pointsAreDuplicate(_getExtraPoints(annotation), _getExtraPoints(existingAnnotation))
         );
     }
 
     function _updateVisuals() {
         annotationVisuals.update(_annotations);
+        _updateReviewProgress();
+    }
+
+    // Count the predicted annotations, and how many of them have been reviewed
+    function _updateReviewProgress() {
+        let nPredicted = 0;
+        let nReviewed = 0;
+        _annotations.forEach(annotation => {
+            if (annotation.predicted || annotation.review) {
+                nPredicted++;
+                annotation.review && nReviewed++;
+            }
+        });
+        globalDataHandler.updateReviewProgress(nReviewed, nPredicted);
     }
 
     /**
@@ -250,6 +401,8 @@ const annotationHandler = (function (){
         timingLog && console.time('addAnnotation');
 
         let classes = classUtils.getSortedNames(classUtils.getClassConfig());
+        const addedAnnotations = [];
+        const transmittedAnnotations = [];
 
         annotations.forEach(annotation => {
             const addedAnnotation = _cloneAnnotation(annotation);
@@ -260,7 +413,13 @@ const annotationHandler = (function (){
             );
             if (coordSystem !== "image")
                 addedAnnotation.points = coords.map(coord => coord.image);
-            if (!addedAnnotation.points.every(coordinateHelper.pointIsInsideImage)) {
+            if (coordSystem !== "image" && _hasHolesOrParts(addedAnnotation)) {
+                _getExtraPoints(addedAnnotation).forEach(point =>
+                    Object.assign(point, _getCoordSystems(point, coordSystem).image)
+                );
+            }
+            if (!addedAnnotation.points.every(coordinateHelper.pointIsInsideImage)
+                || !_getExtraPoints(addedAnnotation).every(coordinateHelper.pointIsInsideImage)) {
                 console.warn("Cannot add an annotation with points outside the image.");
                 return;
             }
@@ -294,17 +453,21 @@ const annotationHandler = (function (){
                 }
             }
 
+            // Annotations added locally start over at the first revision
+            if (transmit || addedAnnotation.revision === undefined)
+                addedAnnotation.revision = 0;
+
             // Set the bookmark field of the annotation
             if (addedAnnotation.bookmarked === undefined)
                 addedAnnotation.bookmarked = false;
 
             // Set the centroid of the annotation
             if (!addedAnnotation.centroid)
-                addedAnnotation.centroid = mathUtils.getCentroid(addedAnnotation.points);
+                addedAnnotation.centroid = _getCentroid(addedAnnotation);
 
             // Set the diameter of the annotation
             if (!addedAnnotation.diameter)
-                addedAnnotation.diameter = mathUtils.getDiameter(addedAnnotation.points);
+                addedAnnotation.diameter = _getDiameter(addedAnnotation);
 
             // Set the author of the annotation
             if (!addedAnnotation.author)
@@ -327,10 +490,16 @@ const annotationHandler = (function (){
             _classCounts[addedAnnotation.mclass]++;
             _hasPrediction = _hasPrediction || (addedAnnotation.prediction!=null); //old Node dislikes ||=
 
-            // Send the update to collaborators
-            transmit && collabClient.addAnnotation(addedAnnotation);
+            transmit && transmittedAnnotations.push(addedAnnotation);
+            transmit && addedAnnotations.push(_cloneAnnotation(addedAnnotation));
         });
 
+        // Send the update to collaborators, in batches if there are many
+        transmit && collabClient.addAnnotations(transmittedAnnotations);
+
+        // Let the local user undo the addition
+        transmit && annotationHistory.recordAdd(addedAnnotations);
+
         _updateAnnotationCounts();
         timingLog && console.timeEnd('addAnnotation');
 
@@ -341,7 +510,9 @@ const annotationHandler = (function (){
     /**
      * Update the parameters of an already existing annotation.
      * @param {number} id The initial id of the annotation to be updated.
-     * @param {Annotation} annotation The new values for the annotation to be updated.
+     * @param {Annotation} annotation The new values for the annotation to
+     * be updated. If it has a revision, the update is treated as being based
+     * on that revision of the annotation.
      * @param {CoordSystem} [coordSystem="web"] Coordinate system used by the annotation.
      * @param {boolean} [transmit=true] Any collaborators should also be
      * told to update their annotation.
@@ -372,14 +543,19 @@ const annotationHandler = (function (){
         if (coordSystem !== "image")
             updatedAnnotation.points = coords.map(coord => coord.image);
 
+        // Keep the points of ellipses and circles in sync with their shape
+        _updateShape(annotation, updatedAnnotation);
+
         // Keep the annotation inside the image
-        if (annotation.points && !annotation.points.every(coordinateHelper.pointIsInsideImage)) {
+        if ((annotation.points && !annotation.points.every(coordinateHelper.pointIsInsideImage))
+            || !_getExtraPoints(annotation).every(coordinateHelper.pointIsInsideImage)) {
             console.warn("Cannot move an annotation outside the image.");
             return;
         }
 
-        // Don't edit a region to intersect itself
-        if (mathUtils.pathIntersectsSelf(annotation.points)) {
+        // Don't edit a region to intersect itself, lines may cross themselves
+        const isLine = annotation.line !== undefined ? annotation.line : updatedAnnotation.line;
+        if (!isLine && mathUtils.pathIntersectsSelf(annotation.points)) {
             console.warn("Cannot make a region intersect itself.");
             return;
         }
@@ -399,37 +575,38 @@ const annotationHandler = (function (){
             _hasPrediction = _checkPrediction();
         }
 
-        // Check if changing grid square
-        const oldGridIndex = _getGridIdx(updatedAnnotation);      
+        // Keep track of the revision that the update is based on
+        const baseRevision = annotation.revision !== undefined ?
+            annotation.revision : updatedAnnotation.revision;
 
         // Copy over the updated properties
         Object.assign(updatedAnnotation, annotation);
-        const newGridIndex = _getGridIdx(updatedAnnotation);
+        if (transmit) {
+            updatedAnnotation.revision = baseRevision + 1;
+        }
 
         // Set the centroid of the annotation
-        updatedAnnotation.centroid = mathUtils.getCentroid(updatedAnnotation.points);
+        updatedAnnotation.centroid = _getCentroid(updatedAnnotation);
 
         // Set the diameter of the annotation
-        updatedAnnotation.diameter = mathUtils.getDiameter(updatedAnnotation.points);
+        updatedAnnotation.diameter = _getDiameter(updatedAnnotation);
 
 
         // Store the annotation in data
         const updatedIndex = _annotations.findIndex(annotationx => annotationx.id === id);
 
-        if (newGridIndex !== oldGridIndex) {
-            // console.log(`Moving from idx ${oldGridIndex} to ${newGridIndex}`);
-            _removeGridAnnotation(_annotations[updatedIndex]);
-        }
-
+        const previousAnnotation = transmit && _cloneAnnotation(_annotations[updatedIndex]);
         Object.assign(_annotations[updatedIndex], updatedAnnotation);
 
-        if (newGridIndex !== oldGridIndex) {
-            _addGridAnnotation(_annotations[updatedIndex]);
-        }
+        // Move the annotation in the index, as its points may have changed
+        _annotationIndex.insert(_annotations[updatedIndex], _getBoundingBox(_annotations[updatedIndex]));
+
+        // Let the local user undo the update
+        transmit && annotationHistory.recordUpdate(previousAnnotation, _cloneAnnotation(_annotations[updatedIndex]));
 
 
         // Send the update to collaborators
-        transmit && collabClient.updateAnnotation(id, updatedAnnotation);
+        transmit && collabClient.updateAnnotation(id, updatedAnnotation, baseRevision);
 
 
         // Update the annotation in the graphics
@@ -437,6 +614,20 @@ const annotationHandler = (function (){
         timingLog && console.timeEnd('updateAnnotation');
     }
 
+    /**
+     * Let an annotation know that the server has accepted a revision of
+     * it. The revision is only changed if it is newer than the local one,
+     * since the annotation may have been updated again since.
+     * @param {number} id The id of the annotation.
+     * @param {number} revision The revision accepted by the server.
+     */
+    function setRevision(id, revision) {
+        const annotation = _annotations.find(annotation => annotation.id === id);
+        if (annotation && revision > annotation.revision) {
+            annotation.revision = revision;
+        }
+    }
+
     /**
      * Set the bookmark state of a given annotation.
      * @param {number} id The id of the annotation to set the bookmark state of.
@@ -472,6 +663,8 @@ const annotationHandler = (function (){
         if (!Array.isArray(ids)) {
             ids = [ids];
         }
+        const removedAnnotations = [];
+        const removedIds = [];
         ids.forEach(id => {
             const annotations = _annotations;
             const deletedIndex = annotations.findIndex(annotation => annotation.id === id);
@@ -484,8 +677,8 @@ const annotationHandler = (function (){
             // Remove the annotation from the data
             const removedAnnotation = annotations.splice(deletedIndex, 1)[0];
 
-            // Remove from gridded
-            _removeGridAnnotation(removedAnnotation);
+            // Remove from the spatial index
+            _annotationIndex.remove(removedAnnotation);
 
             // Update the annotation count
             if (removedAnnotation.points.length === 1) {
@@ -496,11 +689,20 @@ const annotationHandler = (function (){
             }
             _classCounts[removedAnnotation.mclass]--;
 
-            // Send the update to collaborators
-            transmit && collabClient.removeAnnotation(id);
+            transmit && removedIds.push(id);
+            transmit && removedAnnotations.push(_cloneAnnotation(removedAnnotation));
             regionEditor.stopEditingRegionIfBeingEdited(id);
         });
 
+        // Deselect all of the annotations at once, so the selection is only updated once
+        annotationSelection.deselect(ids);
+
+        // Send the update to collaborators, in batches if there are many
+        transmit && collabClient.removeAnnotations(removedIds);
+
+        // Let the local user undo the removal
+        transmit && annotationHistory.recordRemove(removedAnnotations);
+
         _hasPrediction = _checkPrediction();
         _updateAnnotationCounts();
 
@@ -508,6 +710,40 @@ const annotationHandler = (function (){
         _updateVisuals();
     }
 
+    /**
+     * Replace some annotations with others in a single operation, such
+     * as when regions are combined or split. Collaborators are sent the
+     * replacement as a whole, and it is undone as a single step.
+     * @param {Array<number>} ids The ids of the annotations to remove.
+     * @param {Array<Annotation>} annotations The annotations to add in
+     * their place, expressed in image coordinates.
+     * @param {boolean} [transmit=true] Any collaborators should also be
+     * told to replace the annotations.
+     */
+    function replace(ids, annotations, transmit = true) {
+        const existingIds = ids.filter(id => getAnnotationById(id) !== undefined);
+        const removedAnnotations = existingIds.map(getAnnotationById);
+        remove(existingIds, false);
+
+        // Decide on the ids beforehand so the added annotations can be found
+        const addedAnnotations = annotations.map(annotation => {
+            const addedAnnotation = _cloneAnnotation(annotation);
+            if (addedAnnotation.id === undefined || getAnnotationById(addedAnnotation.id) !== undefined) {
+                addedAnnotation.id = _generateId();
+            }
+            return addedAnnotation;
+        });
+        add(addedAnnotations, "image", false);
+        const added = addedAnnotations.map(annotation => getAnnotationById(annotation.id))
+            .filter(annotation => annotation !== undefined);
+
+        // Send the update to collaborators
+        transmit && collabClient.replaceAnnotations(existingIds, added);
+
+        // Let the local user undo the replacement
+        transmit && annotationHistory.recordReplace(removedAnnotations, added);
+    }
+
     /**
      * Remove all annotations from the data.
      * @param {boolean} [transmit=true] Any collaborators should also
@@ -516,11 +752,15 @@ const annotationHandler = (function (){
     function clear(transmit = true) {
         const annotations = _annotations;
         const ids = annotations.map(annotation => annotation.id);
+        const removedAnnotations = transmit ? annotations.map(annotation => _cloneAnnotation(annotation)) : [];
         remove(ids, false);
 
         // Send the update to collaborators
         transmit && collabClient.clearAnnotations();
 
+        // Let the local user undo the clearing
+        transmit && annotationHistory.recordRemove(removedAnnotations);
+
         // Clear the overlay
         annotationVisuals.clear();
     }
@@ -536,6 +776,40 @@ const annotationHandler = (function (){
         _annotations.map((elem) => _cloneAnnotation(elem,include_computable)).forEach(f);
     }
 
+    /**
+     * Find the annotations whose bounding boxes intersect a given box,
+     * such as the part of the image currently in view. Unlike the other
+     * functions, the stored annotations are returned rather than clones
+     * of them, so that large parts of the image can be searched quickly.
+     * @param {SpatialIndex.BoundingBox} box The box to search in,
+     * expressed in image coordinates.
+     * @returns {Array<Annotation>} The annotations in the box. They
+     * should not be modified directly.
+     */
+    function getAnnotationsInBox(box) {
+        return _annotationIndex.search(box);
+    }
+
+    /**
+     * Get the polygons that make up a region, with the outer boundary
+     * and the holes of each. Regions without holes or further parts are
+     * made up of a single polygon. The returned polygons refer to the
+     * points of the annotation rather than copies of them.
+     * @param {Annotation} annotation The annotation.
+     * @returns {Array<Polygon>} The polygons of the annotation.
+     */
+    function getPolygons(annotation) {
+        const first = {
+            points: annotation.points,
+            holes: annotation.holes || []
+        };
+        const parts = (annotation.parts || []).map(part => ({
+            points: part.points,
+            holes: part.holes || []
+        }));
+        return [first, ...parts];
+    }
+
     /**
      * Get a copy of a specified annotation by its id.
      * @param {number} id The id used for looking up the annotation.
@@ -555,6 +829,22 @@ const annotationHandler = (function (){
         return annotationClone;
     }
 
+    /**
+     * Get copies of several annotations by their ids, looking all of
+     * them up in a single pass over the annotations.
+     * @param {Array<number>} ids The ids of the annotations.
+     * @returns {Array<Object>} Clones of the annotations, in the same
+     * order as their ids. Ids that aren't in use are left out.
+     */
+    function getAnnotationsByIds(ids) {
+        const wanted = new Set(ids);
+        const found = new Map();
+        _annotations.forEach(annotation => {
+            wanted.has(annotation.id) && found.set(annotation.id, _cloneAnnotation(annotation));
+        });
+        return ids.filter(id => found.has(id)).map(id => found.get(id));
+    }
+
     /**
      * Check whether or not the list of annotations is empty.
      * @returns {boolean} Whether or not the list is empty.
@@ -584,11 +874,16 @@ const annotationHandler = (function (){
     return {
         add,
         update,
+        setRevision,
         setBookmarked,
         remove,
+        replace,
         clear,
         forEachAnnotation,
+        getAnnotationsInBox,
         getAnnotationById,
+        getAnnotationsByIds,
+        getPolygons,
         isEmpty,
         hasPrediction,
         updateClassConfig
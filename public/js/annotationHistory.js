@@ -0,0 +1,287 @@
+/**
+ * Functions for keeping track of the annotation edits made by the local
+ * user so that they can be undone and redone. Edits are recorded by
+ * annotationHandler whenever they are transmitted, and undoing or redoing
+ * them performs the inverse edits through annotationHandler, so they are
+ * sent to any collaborators like any other edit. Edits of annotations
+ * that have since been changed by someone else are skipped rather than
+ * overwriting the other changes.
+ * @namespace annotationHistory
+ */
+const annotationHistory = (function() {
+    "use strict";
+
+    const _maxSteps = 100;
+    // Fields that are derived from other fields or kept track of by the server
+    const _ignoredFields = ["id", "originalId", "revision", "centroid", "diameter"];
+
+    let _undoStack = [];
+    let _redoStack = [];
+    let _group = null;
+    let _applying = false;
+
+    function _valuesAreEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // Whether or not an annotation still exists with the values it was recorded with
+    function _isUnchanged(recorded) {
+        const annotation = annotationHandler.getAnnotationById(recorded.id);
+        if (!annotation) {
+            return false;
+        }
+        const fields = new Set([...Object.keys(recorded), ...Object.keys(annotation)]);
+        return Array.from(fields).every(field =>
+            _ignoredFields.includes(field) || _valuesAreEqual(annotation[field], recorded[field])
+        );
+    }
+
+    function _pushStep(step) {
+        _undoStack.push(step);
+        if (_undoStack.length > _maxSteps) {
+            _undoStack.shift();
+        }
+        _redoStack = [];
+    }
+
+    function _mergeUpdates(previous, operation) {
+        Object.keys(operation.from).forEach(field => {
+            if (!(field in previous.from)) {
+                previous.from[field] = operation.from[field];
+            }
+        });
+        Object.assign(previous.to, operation.to);
+        Object.keys(previous.from).forEach(field => {
+            if (_valuesAreEqual(previous.from[field], previous.to[field])) {
+                delete previous.from[field];
+                delete previous.to[field];
+            }
+        });
+    }
+
+    function _record(operation) {
+        if (_applying) {
+            return;
+        }
+        if (!_group) {
+            _pushStep([operation]);
+            return;
+        }
+        const previous = _group[_group.length - 1];
+        if (previous && previous.type === "update" && operation.type === "update"
+            && previous.id === operation.id) {
+            // Continuous edits such as drags only make up a single step
+            _mergeUpdates(previous, operation);
+        }
+        else {
+            _group.push(operation);
+        }
+    }
+
+    function _invert(operation) {
+        switch (operation.type) {
+            case "add":
+                return {type: "remove", annotations: operation.annotations};
+            case "remove":
+                return {type: "add", annotations: operation.annotations};
+            case "replace":
+                return {type: "replace", removed: operation.added, added: operation.removed};
+            case "update":
+                return {type: "update", id: operation.id, from: operation.to, to: operation.from};
+            default:
+                throw new Error(`Unknown annotation operation: ${operation.type}`);
+        }
+    }
+
+    function _apply(operation) {
+        switch (operation.type) {
+            case "add": {
+                const missing = operation.annotations.filter(annotation =>
+                    !annotationHandler.getAnnotationById(annotation.id)
+                );
+                if (missing.length > 0) {
+                    annotationHandler.add(missing, "image");
+                }
+                return missing.length === operation.annotations.length;
+            }
+            case "remove": {
+                const ids = operation.annotations.filter(_isUnchanged)
+                    .map(annotation => annotation.id);
+                if (ids.length > 0) {
+                    annotationHandler.remove(ids);
+                }
+                return ids.length === operation.annotations.length;
+            }
+            case "replace": {
+                // Only replace the annotations if none of them have been touched since
+                const unchanged = operation.removed.every(_isUnchanged)
+                    && operation.added.every(annotation => !annotationHandler.getAnnotationById(annotation.id));
+                if (unchanged) {
+                    annotationHandler.replace(
+                        operation.removed.map(annotation => annotation.id),
+                        operation.added
+                    );
+                }
+                return unchanged;
+            }
+            case "update": {
+                const annotation = annotationHandler.getAnnotationById(operation.id);
+                if (!annotation) {
+                    return false;
+                }
+                const unchanged = Object.keys(operation.from).every(field =>
+                    _valuesAreEqual(annotation[field], operation.from[field])
+                );
+                if (!unchanged) {
+                    return false;
+                }
+                const changes = JSON.parse(JSON.stringify(operation.to));
+                annotationHandler.update(operation.id, Object.assign(annotation, changes), "image");
+                return true;
+            }
+            default:
+                throw new Error(`Unknown annotation operation: ${operation.type}`);
+        }
+    }
+
+    function _applyStep(operations) {
+        _applying = true;
+        // Steps with several edits are sent to collaborators as a single batch
+        collabClient.startBatch();
+        let complete;
+        try {
+            complete = operations.map(_apply).every(applied => applied);
+        }
+        finally {
+            collabClient.endBatch();
+            _applying = false;
+        }
+        if (!complete) {
+            console.warn("Some of the annotations have been changed since, skipping those edits.");
+        }
+    }
+
+    /**
+     * Record that annotations have been added by the local user.
+     * @param {Array<Object>} annotations Copies of the added annotations.
+     */
+    function recordAdd(annotations) {
+        annotations.length > 0 && _record({type: "add", annotations: annotations});
+    }
+
+    /**
+     * Record that an annotation has been updated by the local user. Only
+     * the fields that were changed by the update are stored.
+     * @param {Object} previous A copy of the annotation before the update.
+     * @param {Object} updated A copy of the annotation after the update.
+     */
+    function recordUpdate(previous, updated) {
+        const from = {};
+        const to = {};
+        Object.keys(updated).forEach(field => {
+            if (!_ignoredFields.includes(field)
+                && !_valuesAreEqual(previous[field], updated[field])) {
+                from[field] = previous[field];
+                to[field] = updated[field];
+            }
+        });
+        if (Object.keys(to).length > 0) {
+            _record({type: "update", id: updated.id, from: from, to: to});
+        }
+    }
+
+    /**
+     * Record that annotations have been removed by the local user.
+     * @param {Array<Object>} annotations Copies of the removed annotations.
+     */
+    function recordRemove(annotations) {
+        annotations.length > 0 && _record({type: "remove", annotations: annotations});
+    }
+
+    /**
+     * Record that annotations have been replaced by others in a single
+     * operation by the local user.
+     * @param {Array<Object>} removed Copies of the removed annotations.
+     * @param {Array<Object>} added Copies of the added annotations.
+     */
+    function recordReplace(removed, added) {
+        _record({type: "replace", removed: removed, added: added});
+    }
+
+    /**
+     * Start grouping the recorded edits into a single step, so that
+     * they are undone and redone together. Repeated updates of the same
+     * annotation, such as the ones made while dragging it, are merged.
+     */
+    function startGroup() {
+        if (!_group) {
+            _group = [];
+        }
+    }
+
+    /**
+     * Stop grouping the recorded edits, and store the edits made since
+     * startGroup() was called as a single step.
+     */
+    function endGroup() {
+        const operations = _group;
+        _group = null;
+        const nonEmpty = operations ? operations.filter(operation =>
+            operation.type !== "update" || Object.keys(operation.to).length > 0
+        ) : [];
+        if (nonEmpty.length > 0) {
+            _pushStep(nonEmpty);
+        }
+    }
+
+    /**
+     * Undo the most recent step of edits made by the local user.
+     * @returns {boolean} Whether or not there was anything to undo.
+     */
+    function undo() {
+        endGroup();
+        const step = _undoStack.pop();
+        if (!step) {
+            return false;
+        }
+        _applyStep(step.slice().reverse().map(_invert));
+        _redoStack.push(step);
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone step of edits.
+     * @returns {boolean} Whether or not there was anything to redo.
+     */
+    function redo() {
+        endGroup();
+        const step = _redoStack.pop();
+        if (!step) {
+            return false;
+        }
+        _applyStep(step);
+        _undoStack.push(step);
+        return true;
+    }
+
+    /**
+     * Forget all recorded edits, e.g. when a new image is opened.
+     */
+    function clear() {
+        _undoStack = [];
+        _redoStack = [];
+        _group = null;
+    }
+
+    return {
+        recordAdd,
+        recordUpdate,
+        recordRemove,
+        recordReplace,
+        startGroup,
+        endGroup,
+        undo,
+        redo,
+        clear
+    };
+})();
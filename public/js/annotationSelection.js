@@ -0,0 +1,137 @@
+/**
+ * Functions for keeping track of which annotations the local user has
+ * selected, so that operations can be performed on several of them at
+ * once. Annotations are selected by shift-clicking them in the overlay,
+ * by shift-dragging a box around them, or with the checkboxes in the
+ * annotation list.
+ * @namespace annotationSelection
+ */
+const annotationSelection = (function() {
+    "use strict";
+
+    let _selectedIds = new Set(); // Iterated in the order the ids were selected
+
+    function _update() {
+        const ids = getSelectedIds();
+        overlayHandler.setSelectedAnnotations(ids);
+        annotationVisuals.setSelectedAnnotations(ids);
+        // Both sets of controls need the annotations, so they are only looked up once
+        const selected = getSelectedAnnotations();
+        regionOperations.updateControls(selected);
+        annotationBulkEdit.updateControls(selected);
+    }
+
+    /**
+     * Add annotations to the selection.
+     * @param {number|Array<number>} ids The id or ids of the annotations.
+     */
+    function select(ids) {
+        const candidates = (Array.isArray(ids) ? ids : [ids]).filter(id => !_selectedIds.has(id));
+        const added = annotationHandler.getAnnotationsByIds(candidates);
+        if (added.length > 0) {
+            added.forEach(annotation => _selectedIds.add(annotation.id));
+            _update();
+        }
+    }
+
+    /**
+     * Remove annotations from the selection.
+     * @param {number|Array<number>} ids The id or ids of the annotations.
+     */
+    function deselect(ids) {
+        const removed = (Array.isArray(ids) ? ids : [ids]).filter(id => _selectedIds.delete(id));
+        if (removed.length > 0) {
+            _update();
+        }
+    }
+
+    /**
+     * Select an annotation if it isn't selected, and deselect it if it is.
+     * @param {number} id The id of the annotation.
+     */
+    function toggle(id) {
+        isSelected(id) ? deselect(id) : select(id);
+    }
+
+    /**
+     * Add the shown annotations whose centroids are inside a box to the
+     * selection. Annotations hidden by the current filter are left out.
+     * @param {Object} corner1 One corner of the box, expressed in web
+     * coordinates.
+     * @param {Object} corner2 The opposite corner of the box, expressed
+     * in web coordinates.
+     */
+    function selectInBox(corner1, corner2) {
+        // Compare in web coordinates, as the box is drawn on the screen
+        const minX = Math.min(corner1.x, corner2.x);
+        const maxX = Math.max(corner1.x, corner2.x);
+        const minY = Math.min(corner1.y, corner2.y);
+        const maxY = Math.max(corner1.y, corner2.y);
+        // Only the annotations near the box need to be compared
+        const corners = [{x: minX, y: minY}, {x: maxX, y: minY}, {x: maxX, y: maxY}, {x: minX, y: maxY}]
+            .map(coordinateHelper.webToImage);
+        const box = {
+            minX: Math.min(...corners.map(corner => corner.x)),
+            minY: Math.min(...corners.map(corner => corner.y)),
+            maxX: Math.max(...corners.map(corner => corner.x)),
+            maxY: Math.max(...corners.map(corner => corner.y))
+        };
+        const candidates = annotationHandler.getAnnotationsInBox(box).filter(annotation =>
+            annotationVisuals.isAnnotationShown(annotation.id)
+        );
+        const ids = candidates.filter(annotation => {
+            const centroid = coordinateHelper.imageToWeb(annotation.centroid);
+            return centroid.x >= minX && centroid.x <= maxX
+                && centroid.y >= minY && centroid.y <= maxY;
+        }).map(annotation => annotation.id);
+        select(ids);
+    }
+
+    /**
+     * Deselect all annotations.
+     */
+    function clear() {
+        if (_selectedIds.size > 0) {
+            _selectedIds.clear();
+            _update();
+        }
+    }
+
+    /**
+     * Check whether or not an annotation is selected.
+     * @param {number} id The id of the annotation.
+     * @returns {boolean} Whether or not the annotation is selected.
+     */
+    function isSelected(id) {
+        return _selectedIds.has(id);
+    }
+
+    /**
+     * Get the ids of the selected annotations, in the order they were
+     * selected.
+     * @returns {Array<number>} The ids of the selected annotations.
+     */
+    function getSelectedIds() {
+        return Array.from(_selectedIds);
+    }
+
+    /**
+     * Get the selected annotations, in the order they were selected.
+     * @returns {Array<annotationHandler.Annotation>} The selected
+     * annotations, expressed in image coordinates.
+     */
+    function getSelectedAnnotations() {
+        return annotationHandler.getAnnotationsByIds(getSelectedIds());
+    }
+
+    return {
+        select,
+        deselect,
+        toggle,
+        selectInBox,
+        clear,
+        isSelected,
+        getSelectedIds,
+        getSelectedAnnotations
+    };
+})();
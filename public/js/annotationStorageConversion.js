@@ -17,7 +17,9 @@ const annotationStorageConversion = (function() {
      * @param {string} name The name of the image where the annotations were
      * initially placed.
      * @param {Array<annotationHandler.Annotation>} annotations The actual data for
-     * the annotations.
+     * the annotations. Regions may have holes and further parts, which
+     * are optional fields that older versions of CytoBrowser ignore, so
+     * they still load the outer boundary of such regions.
      */
 
     /**
@@ -126,8 +126,119 @@ const annotationTool = (function() {
         };
     })();
 
-    // Tool for adding a free-form polygon
-    const _polyTool = (function() {
+    // Create a tool for adding an ellipse-shaped region by clicking two
+    // points, where getShape gets the shape described by the two points
+    function _createShapeTool(getShape) {
+        let _startPoint,
+            _endPoint,
+            _zLevel,
+            _mclass,
+            _clicks = 0,
+            _birthTime;
+
+        function _getAnnotation() {
+            const shape = getShape(_startPoint, _endPoint);
+            return {
+                points: mathUtils.getEllipsePoints(shape),
+                shape: shape,
+                z: _zLevel,
+                mclass: _mclass
+            };
+        }
+
+        function _updatePending() {
+            overlayHandler.updatePendingRegion(_getAnnotation());
+        }
+
+        function reset() {
+            _startPoint = null;
+            _endPoint = null;
+            overlayHandler.updatePendingRegion(null);
+            _clicks = 0;
+        }
+
+        function addPoint(position) {
+            _clicks++;
+            const coords = coordinateHelper.viewportToImage({
+                x: position.x,
+                y: position.y
+            });
+            _zLevel = position.z;
+            _mclass = _activeMclass;
+            _endPoint = coords;
+            if (_startPoint) {
+                const shape = getShape(_startPoint, _endPoint);
+                if (shape.radiusX === 0 || shape.radiusY === 0) {
+                    console.info("Zero sized shape (double click?), ignoring click.");
+                    return;
+                }
+                annotationHandler.add(_getAnnotation(), "image");
+                reset();
+            }
+            else {
+                _startPoint = coords;
+                _birthTime = Date.now();
+                _updatePending();
+            }
+        }
+
+        return {
+            click: addPoint,
+            // Prevent starting a new shape by the two separate click events
+            dblClick: function(position) {
+                if (_clicks<2) {
+                    console.info("Double-click close, reset to avoid creating new shape.");
+                    reset();
+                }
+            },
+            complete: addPoint,
+            update: function(position) {
+                if (_startPoint) {
+                    _mclass = _activeMclass;
+                    _endPoint = coordinateHelper.viewportToImage({
+                        x: position.x,
+                        y: position.y
+                    });
+                    _updatePending();
+                }
+            },
+            revert: reset,
+            reset: reset,
+            isEditing: () => _startPoint != null,
+            resetIfYounger: (time) => {
+                if (Date.now()-_birthTime<time) reset();
+            }
+        };
+    }
+
+    // Tool for adding an ellipse by clicking opposing corners of its bounding box
+    const _ellipseTool = _createShapeTool((start, end) => {
+        return {
+            type: "ellipse",
+            center: {x: (start.x + end.x) / 2, y: (start.y + end.y) / 2},
+            radiusX: Math.abs(end.x - start.x) / 2,
+            radiusY: Math.abs(end.y - start.y) / 2,
+            angle: 0
+        };
+    });
+
+    // Tool for adding a circle by clicking its center and a point on its edge
+    const _circleTool = _createShapeTool((start, end) => {
+        const radius = Math.hypot(end.x - start.x, end.y - start.y);
+        return {
+            type: "circle",
+            center: {x: start.x, y: start.y},
+            radiusX: radius,
+            radiusY: radius,
+            angle: 0
+        };
+    });
+
+    // Create a tool for adding a path by clicking each of its points. The
+    // path is either a closed polygon or an open line, which is completed
+    // automatically once it has maxPoints points if that is specified.
+    function _createPathTool(line, maxPoints) {
+        const minPoints = line ? 2 : 3;
         let _points = [],
             _nextPoint,
             _zLevel,
@@ -135,16 +246,24 @@ const annotationTool = (function() {
             _birthTime;
 
         function _getAnnotation(points) {
-            return {
+            const annotation = {
                 points: points,
                 z: _zLevel,
                 mclass: _mclass
             };
+            if (line) {
+                annotation.line = true;
+            }
+            return annotation;
         }
 
         function _updatePending() {
             const annotation = _getAnnotation([..._points, _nextPoint]);
-            overlayHandler.updatePendingRegion(annotation);
+            // Show the length of lines while they are being measured
+            const label = line ?
+                measurements.formatLength(measurements.measure(annotation).length)
+                : undefined;
+            overlayHandler.updatePendingRegion(annotation, label);
         }
 
         function reset() {
@@ -172,16 +291,20 @@ const annotationTool = (function() {
             }
             if (last && (last.x !== _nextPoint.x || last.y !== _nextPoint.y))
                 _points.push(last);
-            if (mathUtils.pathIntersectsSelf([..._points, _nextPoint], false))
+            if (!line && mathUtils.pathIntersectsSelf([..._points, _nextPoint], false))
                 return;
             _points.push(_nextPoint);
+            if (maxPoints && _points.length === maxPoints) {
+                complete(position);
+                return;
+            }
             _updatePending();
         }
 
         function complete(position) {
             _zLevel = position.z;
             _mclass = _activeMclass;
-            if (_points.length > 2 && !mathUtils.pathIntersectsSelf(_points)) {
+            if (_points.length >= minPoints && (line || !mathUtils.pathIntersectsSelf(_points))) {
                 const annotation = _getAnnotation(_points);
                 annotationHandler.add(annotation, "image");
                 reset();
@@ -214,20 +337,212 @@ const annotationTool = (function() {
                 if (Date.now()-_birthTime<time) reset();
             }
         };
+    }
+
+    // Tool for adding a free-form polygon
+    const _polyTool = _createPathTool(false);
+
+    // Tool for measuring the distance between two clicked points
+    const _rulerTool = _createPathTool(true, 2);
+
+    // Tool for measuring the length of a line through the clicked points
+    const _polylineTool = _createPathTool(true);
+
+    // Convert a distance in screen pixels to image coordinates at a given position
+    function _pixelsToImageDistance(pixels, position) {
+        const web = coordinateHelper.viewportToWeb(position);
+        const a = coordinateHelper.webToImage(web);
+        const b = coordinateHelper.webToImage({x: web.x + pixels, y: web.y});
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    // Tool for adding a region by drawing its outline while the mouse is held
+    const _lassoTool = (function() {
+        const _samplingDistance = 2, // Screen pixels between sampled points
+            _tolerance = 1.5; // Screen pixels the simplified outline may differ by
+        let _points = [],
+            _minDistance,
+            _simplifyTolerance,
+            _zLevel,
+            _mclass;
+
+        function _getAnnotation(points) {
+            return {
+                points: points,
+                z: _zLevel,
+                mclass: _mclass
+            };
+        }
+
+        function reset() {
+            _points = [];
+            overlayHandler.updatePendingRegion(null);
+        }
+
+        function press(position) {
+            _zLevel = position.z;
+            _mclass = _activeMclass;
+            _minDistance = _pixelsToImageDistance(_samplingDistance, position);
+            _simplifyTolerance = _pixelsToImageDistance(_tolerance, position);
+            _points = [coordinateHelper.viewportToImage(position)];
+        }
+
+        function drag(position) {
+            if (!_points.length) {
+                return;
+            }
+            const point = coordinateHelper.viewportToImage(position);
+            const last = _points[_points.length - 1];
+            if (Math.hypot(point.x - last.x, point.y - last.y) >= _minDistance) {
+                _points.push(point);
+                overlayHandler.updatePendingRegion(_getAnnotation(_points));
+            }
+        }
+
+        function complete() {
+            if (!_points.length) {
+                return;
+            }
+            _mclass = _activeMclass;
+            const points = mathUtils.simplifyPath(_points, _simplifyTolerance);
+            reset();
+            if (points.length < 3) {
+                return;
+            }
+            if (mathUtils.pathIntersectsSelf(points)) {
+                console.warn("Cannot add a region that intersects itself.");
+                return;
+            }
+            annotationHandler.add(_getAnnotation(points), "image");
+        }
+
+        return {
+            press: press,
+            drag: drag,
+            release: complete,
+            complete: complete,
+            update: function(position) {
+                if (_points.length) {
+                    _mclass = _activeMclass;
+                    overlayHandler.updatePendingRegion(_getAnnotation(_points));
+                }
+            },
+            revert: reset,
+            reset: reset,
+            isEditing: () => _points.length !== 0,
+            resetIfYounger: (time) => {},
+            drawsOnDrag: true
+        };
+    })();
+
+    // Tool for adding a region by painting its area with a round brush
+    const _brushTool = (function() {
+        const _radius = 15, // Screen pixels
+            _samplingDistance = 2; // Screen pixels between sampled points
+        let _points = [],
+            _imageRadius,
+            _minDistance,
+            _zLevel,
+            _mclass;
+
+        function _getOutline() {
+            const outline = mathUtils.getStrokeOutline(_points, _imageRadius);
+            // Remove the staircase pattern of the grid the stroke is painted on
+            const simplified = mathUtils.simplifyPath(outline, _imageRadius / 4);
+            return mathUtils.pathIntersectsSelf(simplified) ? outline : simplified;
+        }
+
+        function _getAnnotation(points) {
+            return {
+                points: points,
+                z: _zLevel,
+                mclass: _mclass
+            };
+        }
+
+        function _updatePending() {
+            overlayHandler.updatePendingRegion(_getAnnotation(_getOutline()));
+        }
+
+        function reset() {
+            _points = [];
+            overlayHandler.updatePendingRegion(null);
+        }
+
+        function press(position) {
+            _zLevel = position.z;
+            _mclass = _activeMclass;
+            _imageRadius = _pixelsToImageDistance(_radius, position);
+            _minDistance = _pixelsToImageDistance(_samplingDistance, position);
+            _points = [coordinateHelper.viewportToImage(position)];
+            _updatePending();
+        }
+
+        function drag(position) {
+            if (!_points.length) {
+                return;
+            }
+            const point = coordinateHelper.viewportToImage(position);
+            const last = _points[_points.length - 1];
+            if (Math.hypot(point.x - last.x, point.y - last.y) >= _minDistance) {
+                _points.push(point);
+                _updatePending();
+            }
+        }
+
+        function complete() {
+            if (!_points.length) {
+                return;
+            }
+            _mclass = _activeMclass;
+            const outline = _getOutline();
+            reset();
+            if (outline.length < 3 || mathUtils.pathIntersectsSelf(outline)) {
+                console.warn("Could not turn the painted area into a region.");
+                return;
+            }
+            annotationHandler.add(_getAnnotation(outline), "image");
+        }
+
+        return {
+            press: press,
+            drag: drag,
+            release: complete,
+            complete: complete,
+            update: function(position) {
+                // The outline is only recomputed when the class changes, the stroke is updated by drag()
+                if (_points.length && _mclass !== _activeMclass) {
+                    _mclass = _activeMclass;
+                    _updatePending();
+                }
+            },
+            revert: reset,
+            reset: reset,
+            isEditing: () => _points.length !== 0,
+            resetIfYounger: (time) => {},
+            drawsOnDrag: true
+        };
     })();
 
     const _tools = {
         marker: _markerTool,
         rect: _rectTool,
-        poly: _polyTool
+        ellipse: _ellipseTool,
+        circle: _circleTool,
+        poly: _polyTool,
+        ruler: _rulerTool,
+        polyline: _polylineTool,
+        lasso: _lassoTool,
+        brush: _brushTool
     };
 
     let _activeTool,
         _activeMclass,
-        _lastPosition;
+        _lastPosition,
+        _enabled = true;
 
     function _callToolFunction(funName, position) {
-        if (!_activeTool)
+        if (!_activeTool || !_enabled)
             return;
         if (position)
             _lastPosition = position;
@@ -292,6 +607,52 @@ const annotationTool = (function() {
         _callToolFunction("dblClick", position);
     }
 
+    /**
+     * Press the mouse button in the viewport with the currently active
+     * tool. Tools that draw while the mouse is held start drawing.
+     * @param {Object} position The position of the press.
+     * @param {number} position.x The x coordinate in viewport coordinates.
+     * @param {number} position.y The y coordinate in viewport coordinates.
+     * @param {number} position.z The focus level.
+     */
+    function press(position) {
+        _callToolFunction("press", position);
+    }
+
+    /**
+     * Drag the mouse in the viewport with the currently active tool.
+     * @param {Object} position The position of the mouse.
+     * @param {number} position.x The x coordinate in viewport coordinates.
+     * @param {number} position.y The y coordinate in viewport coordinates.
+     * @param {number} position.z The focus level.
+     */
+    function drag(position) {
+        _callToolFunction("drag", position);
+    }
+
+    /**
+     * Release the mouse button in the viewport with the currently
+     * active tool. Tools that draw while the mouse is held complete
+     * their annotation.
+     * @param {Object} position The position of the release.
+     * @param {number} position.x The x coordinate in viewport coordinates.
+     * @param {number} position.y The y coordinate in viewport coordinates.
+     * @param {number} position.z The focus level.
+     */
+    function release(position) {
+        _callToolFunction("release", position);
+    }
+
+    /**
+     * Check whether or not the currently active tool is drawing with
+     * the mouse, in which case dragging shouldn't move the viewport.
+     * @returns {boolean} Whether or not the tool is using mouse drags.
+     */
+    function capturesDrag() {
+        return Boolean(_enabled && _activeTool && _activeTool.drawsOnDrag
+            && _activeTool.isEditing());
+    }
+
     /**
      * Complete the currently active annotation.
      * @param {Object} position The position of the click.
@@ -339,16 +700,42 @@ const annotationTool = (function() {
         _activeTool && _activeTool["resetIfYounger"](time);
     }
 
+    /**
+     * Enable or disable the tool. While disabled, the tool ignores all
+     * input and no annotations can be created or edited with it.
+     * @param {boolean} enabled Whether or not the tool should be enabled.
+     */
+    function setEnabled(enabled) {
+        if (!enabled) {
+            reset();
+        }
+        _enabled = enabled;
+    }
+
+    /**
+     * Check whether or not the tool is enabled.
+     * @returns {boolean} Whether or not the tool is enabled.
+     */
+    function isEnabled() {
+        return _enabled;
+    }
+
     return {
         setTool,
         setMclass,
         click,
         dblClick,
+        press,
+        drag,
+        release,
+        capturesDrag,
         complete,
         reset,
         revert,
         updateMousePosition,
         isEditing,
-        resetIfYounger
+        resetIfYounger,
+        setEnabled,
+        isEnabled
     };
 })();
@@ -9,33 +9,75 @@ const annotationVisuals = (function() {
 
     let _annotationList = null;
     let _unfilteredAnnotations = [];
+    let _filteredAnnotations = [];
     let _filter = filters.getFilterFromQuery("");
     let _filterIsTrivial = true;
     let _lastQueryWasValid = true;
+    // Position of each shown annotation in _filteredAnnotations, by id
+    let _shownPositions = null;
+
+    // Annotations are drawn within this fraction of the viewport size outside it
+    const _viewportMargin = 0.5;
+    // Redraw when the drawn area is this many times larger than needed, e.g. after zooming in
+    const _maxDrawnAreaRatio = 16;
+    // The part of the image that annotations are currently drawn in, null if everywhere
+    let _drawnBounds = null;
 
     // Counters allowing to jump over intermediate updates
     const pendingVisCount = (function () { let i = 0n; return (val=0n) => i+=BigInt(val); })();
     const pendingListCount = (function () { let i = 0n; return (val=0n) => i+=BigInt(val); })();
     
-    /* This is the heavy work function: filter and visualize annotations */
-    function _filterAndUpdate() {
-        timingLog && console.time('visFiltUpd');
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-        const annotations = _unfilteredAnnotations.filter(annotation => {
-            const filterableAnnotation = filters.preprocessAnnotationBeforeFiltering(annotation);
-            return _filter.evaluate(filterableAnnotation);
-        });
+    function _area(box) {
+        return (box.maxX - box.minX) * (box.maxY - box.minY);
+    }
 
-        //Draw annotations and update list asynchronously
-        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    function _contains(box, other) {
+        return box.minX <= other.minX && box.minY <= other.minY
+            && box.maxX >= other.maxX && box.maxY >= other.maxY;
+    }
 
+    function _addMargin(box) {
+        const marginX = (box.maxX - box.minX) * _viewportMargin;
+        const marginY = (box.maxY - box.minY) * _viewportMargin;
+        return {
+            minX: box.minX - marginX,
+            minY: box.minY - marginY,
+            maxX: box.maxX + marginX,
+            maxY: box.maxY + marginY
+        };
+    }
+
+    /* Get the shown annotations that should be drawn given the current viewport */
+    function _getDrawnAnnotations() {
+        const visibleBounds = coordinateHelper.getVisibleImageBounds();
+        if (!visibleBounds) {
+            _drawnBounds = null;
+            return _filteredAnnotations;
+        }
+        _drawnBounds = _addMargin(visibleBounds);
+        const annotations = annotationHandler.getAnnotationsInBox(_drawnBounds)
+            .filter(annotation => _shownPositions.has(annotation.id));
+        // The region being edited may have been moved outside the box
+        const editedRegion = regionEditor.getEditedRegion();
+        if (editedRegion && _shownPositions.has(editedRegion.id)
+            && !annotations.some(annotation => annotation.id === editedRegion.id)) {
+            annotations.push(_filteredAnnotations[_shownPositions.get(editedRegion.id)]);
+        }
+        // Keep the drawing order of the annotations
+        return annotations.sort((a, b) => _shownPositions.get(a.id) - _shownPositions.get(b.id));
+    }
+
+    /* Draw the shown annotations in and around the viewport */
+    function _updateOverlay() {
         let thisVisCount=pendingVisCount(1); //add one
         if (overlayHandler.updateAnnotations.inProgress()) {
             wait(0) //Using Promise.resolve() didn't give time enough for rendering
                 .then(() => {
                     if (thisVisCount==pendingVisCount()) { //if we're the last one
                         // console.log('running delayed overlay update: ',thisVisCount,pendingVisCount());
-                        overlayHandler.updateAnnotations(annotations);
+                        overlayHandler.updateAnnotations(_getDrawnAnnotations());
                     }
                     else {
                         // console.log('skipping overlay update',thisVisCount,pendingVisCount());
@@ -44,9 +86,29 @@ const annotationVisuals = (function() {
         }
         else {
             // console.log('running immediate overlay update: ',thisVisCount,pendingVisCount());
-            overlayHandler.updateAnnotations(annotations);
+            overlayHandler.updateAnnotations(_getDrawnAnnotations());
         }
-        
+    }
+
+    /* This is the heavy work function: filter and visualize annotations */
+    function _filterAndUpdate() {
+        timingLog && console.time('visFiltUpd');
+
+        const annotations = _unfilteredAnnotations.filter(annotation => {
+            if (predictions.isRejected(annotation)) {
+                return false;
+            }
+            // Measuring is only worth the time if something is filtered
+            const measurement = !_filterIsTrivial && measurements.measure(annotation);
+            const filterableAnnotation = filters.preprocessAnnotationBeforeFiltering(annotation, measurement);
+            return _filter.evaluate(filterableAnnotation);
+        });
+        _filteredAnnotations = annotations;
+        _shownPositions = new Map(annotations.map((annotation, i) => [annotation.id, i]));
+
+        //Draw annotations and update list asynchronously
+        _updateOverlay();
+
         let thisListCount=pendingListCount(1); //add one
         if (_annotationList) {
             if (_annotationList.updateData.inProgress()) {
@@ -101,6 +163,63 @@ const annotationVisuals = (function() {
         _annotationList = annotationList;
     }
 
+    /**
+     * Highlight the selected annotations in the annotation list and
+     * check their checkboxes.
+     * @param {Array<number>} ids The ids of the selected annotations.
+     */
+    function setSelectedAnnotations(ids) {
+        if (_annotationList) {
+            _annotationList.unhighlightAllRows();
+            ids.forEach(id => _annotationList.highlightRow(id));
+        }
+        const selected = new Set(ids);
+        $(".annotation-select").each(function() {
+            const id = Number($(this).closest("tr").attr("data-annotation-id"));
+            $(this).prop("checked", selected.has(id));
+        });
+    }
+
+    /**
+     * Get the annotations that are currently shown, i.e. the ones that
+     * pass the current filter.
+     * @returns {Array<annotationHandler.Annotation>} The shown
+     * annotations, expressed in image coordinates. They should not be
+     * modified directly.
+     */
+    function getShownAnnotations() {
+        return _filteredAnnotations;
+    }
+
+    /**
+     * Check whether or not an annotation passes the current filter.
+     * @param {number} id The id of the annotation.
+     * @returns {boolean} Whether or not the annotation is shown.
+     */
+    function isAnnotationShown(id) {
+        return _shownPositions !== null && _shownPositions.has(id);
+    }
+
+    /**
+     * Let the visuals know that the viewport has changed. Only the
+     * annotations in and around the viewport are drawn, so they are
+     * redrawn if the viewport has moved outside the part of the image
+     * they were drawn in, or if it has become much smaller than it.
+     */
+    function updateViewport() {
+        if (_shownPositions === null) {
+            return; // Nothing has been drawn yet
+        }
+        const visibleBounds = coordinateHelper.getVisibleImageBounds();
+        if (!visibleBounds) {
+            return;
+        }
+        const outdated = !_drawnBounds
+            || !_contains(_drawnBounds, visibleBounds)
+            || _area(_drawnBounds) > _maxDrawnAreaRatio * _area(_addMargin(visibleBounds));
+        outdated && _updateOverlay();
+    }
+
     /**
      * Set the query that should be used to filter annotations in the
      * visuals.
@@ -152,6 +271,10 @@ const annotationVisuals = (function() {
     return {
         update: update,
         setAnnotationList: setAnnotationList,
+        setSelectedAnnotations: setSelectedAnnotations,
+        getShownAnnotations: getShownAnnotations,
+        isAnnotationShown: isAnnotationShown,
+        updateViewport: updateViewport,
         setFilterQuery: setFilterQuery,
         setFilterQueryWithoutUpdating: setFilterQueryWithoutUpdating,
         clear: clear
@@ -0,0 +1,344 @@
+/**
+ * Functions for drawing annotations on a canvas placed below the SVG
+ * overlay. Drawing on a canvas is much faster than keeping an SVG
+ * element for each annotation, so `overlayHandler` draws the annotations
+ * here instead when there are very many of them. As the drawn
+ * annotations don't have any elements of their own to receive mouse
+ * events, the annotation under the mouse is instead found through the
+ * spatial index of `annotationHandler` with getAnnotationAt().
+ * @namespace canvasOverlay
+ */
+const canvasOverlay = (function() {
+    "use strict";
+
+    // Distance in screen pixels within which lines can be hovered and clicked
+    const _lineTolerance = 4;
+
+    let _viewer = null;
+    let _canvas = null;
+    let _annotations = [];
+    let _drawnAnnotations = new Map(); // Position of each drawn annotation in the drawing order, by id
+    let _drawRequested = false;
+    let _style = {
+        markerSize: 0,
+        markerSquareSize: 0,
+        markerCircleSize: 0,
+        markerSquareStrokeWidth: 0,
+        markerCircleStrokeWidth: 0,
+        markerText: null,
+        regionStrokeWidth: 0,
+        selectedIds: new Set(),
+        hoveredId: null,
+        activeLayer: null,
+        visible: true
+    };
+
+    function _isMarker(annotation) {
+        return annotation.points.length === 1;
+    }
+
+    // The number of screen pixels for each unit in the SVG overlay
+    function _getOverlayUnitSize() {
+        const viewport = _viewer.viewport;
+        return viewport.getContainerSize().x * viewport.getZoom(true) / 1000;
+    }
+
+    // The affine transform from image coordinates to web coordinates
+    function _getImageTransform() {
+        const origin = coordinateHelper.imageToWeb({x: 0, y: 0});
+        const unitX = coordinateHelper.imageToWeb({x: 1, y: 0});
+        const unitY = coordinateHelper.imageToWeb({x: 0, y: 1});
+        return {
+            a: unitX.x - origin.x,
+            b: unitX.y - origin.y,
+            c: unitY.x - origin.x,
+            d: unitY.y - origin.y,
+            e: origin.x,
+            f: origin.y
+        };
+    }
+
+    function _applyTransform(t, point) {
+        return {
+            x: t.a * point.x + t.c * point.y + t.e,
+            y: t.b * point.x + t.d * point.y + t.f
+        };
+    }
+
+    function _getLayerAlpha(isMarker) {
+        const layer = isMarker ? "marker" : "region";
+        return _style.activeLayer && _style.activeLayer !== layer ? 0.4 : 1;
+    }
+
+    function _getRings(annotation) {
+        return annotationHandler.getPolygons(annotation).flatMap(polygon =>
+            [polygon.points, ...polygon.holes]
+        );
+    }
+
+    function _traceRegion(ctx, annotation) {
+        if (annotation.shape) {
+            const shape = annotation.shape;
+            ctx.ellipse(shape.center.x, shape.center.y, shape.radiusX, shape.radiusY,
+                shape.angle, 0, 2 * Math.PI);
+            return;
+        }
+        const rings = annotation.line ? [annotation.points] : _getRings(annotation);
+        rings.forEach(ring => {
+            ctx.moveTo(ring[0].x, ring[0].y);
+            ring.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            annotation.line || ctx.closePath();
+        });
+    }
+
+    function _drawRegion(ctx, annotation, transform, ratio, unitSize) {
+        const color = classUtils.classColor(annotation.mclass);
+        const alpha = _getLayerAlpha(false);
+        const strokeWidth = _style.regionStrokeWidth * unitSize;
+
+        // The path is traced in image coordinates, but stroked in screen pixels
+        ctx.setTransform(ratio * transform.a, ratio * transform.b, ratio * transform.c,
+            ratio * transform.d, ratio * transform.e, ratio * transform.f);
+        ctx.beginPath();
+        _traceRegion(ctx, annotation);
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        if (!annotation.line) {
+            ctx.globalAlpha = alpha * (annotation.id === _style.hoveredId ? 0.4 : 0.2);
+            ctx.fillStyle = color;
+            ctx.fill("evenodd");
+        }
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = strokeWidth;
+        // Selected regions are dashed and predicted ones dotted, as in the SVG overlay
+        ctx.setLineDash(_style.selectedIds.has(annotation.id) ? [2 * strokeWidth]
+            : annotation.predicted ? [strokeWidth] : []);
+        ctx.stroke();
+    }
+
+    function _drawMarker(ctx, annotation, transform, unitSize) {
+        const color = classUtils.classColor(annotation.mclass);
+        const hovered = annotation.id === _style.hoveredId;
+        const size = _style.markerSize * unitSize;
+        const position = _applyTransform(transform, annotation.points[0]);
+        ctx.globalAlpha = _getLayerAlpha(true);
+        ctx.setLineDash([]);
+
+        // A square turned 45 degrees, with the same area as the SVG markers
+        const halfDiagonal = Math.sqrt(_style.markerSquareSize / 2) * size * (hovered ? 1.25 : 1);
+        ctx.beginPath();
+        ctx.moveTo(position.x, position.y - halfDiagonal);
+        ctx.lineTo(position.x + halfDiagonal, position.y);
+        ctx.lineTo(position.x, position.y + halfDiagonal);
+        ctx.lineTo(position.x - halfDiagonal, position.y);
+        ctx.closePath();
+        ctx.fillStyle = _style.selectedIds.has(annotation.id) ? "rgba(255,255,255,0.6)" : "rgba(0,0,0,0.2)";
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = _style.markerSquareStrokeWidth * size;
+        ctx.setLineDash(annotation.predicted ? [ctx.lineWidth] : []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const radius = Math.sqrt(_style.markerCircleSize / Math.PI) * size;
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, radius, 0, 2 * Math.PI);
+        ctx.strokeStyle = "gray";
+        ctx.lineWidth = _style.markerCircleStrokeWidth * size;
+        ctx.stroke();
+
+        if (hovered && _style.markerText) {
+            ctx.fillStyle = color;
+            ctx.font = `700 ${0.16 * size}px sans-serif`;
+            ctx.fillText(_style.markerText(annotation), position.x + 0.2 * size, position.y - 0.2 * size);
+        }
+    }
+
+    function _resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(_viewer.container.clientWidth * ratio);
+        const height = Math.round(_viewer.container.clientHeight * ratio);
+        if (_canvas.width !== width || _canvas.height !== height) {
+            _canvas.width = width;
+            _canvas.height = height;
+        }
+        return ratio;
+    }
+
+    function _draw() {
+        _drawRequested = false;
+        // The viewer may have been destroyed since the drawing was requested
+        if (!_canvas || !_viewer.container || !_viewer.viewport) {
+            return;
+        }
+        const ctx = _canvas.getContext("2d");
+        const ratio = _resize();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, _canvas.width, _canvas.height);
+        if (!_style.visible || _annotations.length === 0 || !coordinateHelper.getVisibleImageBounds()) {
+            return;
+        }
+
+        const transform = _getImageTransform();
+        const unitSize = _getOverlayUnitSize();
+        ctx.save();
+        // Regions are drawn below the markers, as in the SVG overlay
+        _annotations.forEach(annotation => {
+            _isMarker(annotation) || _drawRegion(ctx, annotation, transform, ratio, unitSize);
+        });
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        _annotations.forEach(annotation => {
+            _isMarker(annotation) && _drawMarker(ctx, annotation, transform, unitSize);
+        });
+        ctx.restore();
+    }
+
+    function _requestDraw() {
+        if (!_drawRequested) {
+            _drawRequested = true;
+            window.requestAnimationFrame(_draw);
+        }
+    }
+
+    function _isHit(annotation, position, image, transform, imageTolerance) {
+        if (_isMarker(annotation)) {
+            // The markers are diamonds in screen coordinates
+            const center = _applyTransform(transform, annotation.points[0]);
+            const size = _style.markerSize * _getOverlayUnitSize();
+            const scale = annotation.id === _style.hoveredId ? 1.25 : 1;
+            const halfDiagonal = Math.sqrt(_style.markerSquareSize / 2) * size * scale;
+            return Math.abs(position.x - center.x) + Math.abs(position.y - center.y) <= halfDiagonal;
+        }
+        else if (annotation.line) {
+            return mathUtils.getDistanceToPath(image, annotation.points) <= imageTolerance;
+        }
+        return mathUtils.pointIsInsideRings(image, _getRings(annotation));
+    }
+
+    /**
+     * Find the annotation drawn on the canvas at a given position. If
+     * several annotations are drawn there, the one drawn on top is
+     * returned.
+     * @param {Object} position The position, expressed in web
+     * coordinates.
+     * @param {string} [layer] Either "marker" or "region" to only look
+     * for markers or regions, as only one of them can be interacted with
+     * at a time.
+     * @returns {annotationHandler.Annotation} The annotation, or null if
+     * there is no annotation at the position. It should not be modified
+     * directly.
+     */
+    function getAnnotationAt(position, layer) {
+        if (!_canvas || !_style.visible || _drawnAnnotations.size === 0
+            || !coordinateHelper.getVisibleImageBounds()) {
+            return null;
+        }
+        const transform = _getImageTransform();
+        const image = coordinateHelper.webToImage(position);
+        const pixelSize = 1 / Math.hypot(transform.a, transform.b);
+        const markerSize = _style.markerSize * _getOverlayUnitSize();
+        const tolerance = Math.max(_lineTolerance, 1.25 * Math.sqrt(_style.markerSquareSize / 2) * markerSize);
+        const imageTolerance = tolerance * pixelSize;
+        const box = {
+            minX: image.x - imageTolerance,
+            minY: image.y - imageTolerance,
+            maxX: image.x + imageTolerance,
+            maxY: image.y + imageTolerance
+        };
+        const hits = annotationHandler.getAnnotationsInBox(box).filter(annotation => {
+            if (!_drawnAnnotations.has(annotation.id)) {
+                return false;
+            }
+            const drawn = _annotations[_drawnAnnotations.get(annotation.id)];
+            if (layer && (layer === "marker") !== _isMarker(drawn)) {
+                return false;
+            }
+            return _isHit(drawn, position, image, transform, _lineTolerance * pixelSize);
+        });
+        if (hits.length === 0) {
+            return null;
+        }
+        // Markers are drawn on top of regions, and later annotations on top of earlier ones
+        const order = annotation => _drawnAnnotations.get(annotation.id)
+            + (_isMarker(annotation) ? _annotations.length : 0);
+        const top = hits.reduce((a, b) => order(a) > order(b) ? a : b);
+        return _annotations[_drawnAnnotations.get(top.id)];
+    }
+
+    /**
+     * Set the annotations that should be drawn on the canvas.
+     * @param {Array<annotationHandler.Annotation>} annotations The
+     * annotations, expressed in image coordinates. They are drawn in
+     * the given order, with all regions below all markers.
+     */
+    function setAnnotations(annotations) {
+        _annotations = annotations;
+        _drawnAnnotations = new Map(annotations.map((annotation, i) => [annotation.id, i]));
+        _requestDraw();
+    }
+
+    /**
+     * Change how the annotations are drawn. The sizes are expressed in
+     * the units of the SVG overlay, so that the annotations look the same
+     * as when they are drawn there.
+     * @param {Object} style The properties of the style that should be
+     * changed. Properties that aren't given keep their current values.
+     * @param {number} [style.markerSize] The scale of the markers.
+     * @param {number} [style.markerSquareSize] The area of the square
+     * of a marker, relative to its scale.
+     * @param {number} [style.markerCircleSize] The area of the circle
+     * in the middle of a marker, relative to its scale.
+     * @param {number} [style.markerSquareStrokeWidth] The width of the
+     * outline of the square, relative to the marker scale.
+     * @param {number} [style.markerCircleStrokeWidth] The width of the
+     * outline of the circle, relative to the marker scale.
+     * @param {Function} [style.markerText] Function returning the text
+     * shown next to a hovered marker, or null to not show any text.
+     * @param {number} [style.regionStrokeWidth] The width of the
+     * outlines of regions.
+     * @param {Set<number>} [style.selectedIds] The ids of the selected
+     * annotations.
+     * @param {number} [style.hoveredId] The id of the hovered annotation.
+     * @param {string} [style.activeLayer] Either "marker" or "region",
+     * the other kind of annotations is drawn faded.
+     * @param {boolean} [style.visible] Whether or not the annotations
+     * should be drawn at all.
+     */
+    function setStyle(style) {
+        Object.assign(_style, style);
+        _requestDraw();
+    }
+
+    /**
+     * Initialize the canvas for a new OpenSeadragon viewer. Should be
+     * called before the SVG overlay is created, so that the canvas ends
+     * up below it.
+     * @param {OpenSeadragon.Viewer} viewer The viewer.
+     */
+    function init(viewer) {
+        _viewer = viewer;
+        _canvas = document.createElement("canvas");
+        _canvas.style.position = "absolute";
+        _canvas.style.left = 0;
+        _canvas.style.top = 0;
+        _canvas.style.width = "100%";
+        _canvas.style.height = "100%";
+        _canvas.style.pointerEvents = "none";
+        viewer.canvas.appendChild(_canvas);
+        _annotations = [];
+        _drawnAnnotations = new Map();
+
+        // Redraw along with the image, in the same frame
+        ["animation", "open", "rotate", "resize"].forEach(eventName =>
+            viewer.addHandler(eventName, _draw)
+        );
+    }
+
+    return {
+        getAnnotationAt,
+        setAnnotations,
+        setStyle,
+        init
+    };
+})();
@@ -12,10 +12,15 @@ const collabClient = (function(){
         _followedMember,
         _desiredMember,
         _userId,
-        _onCreated;
+        _onCreated,
+        _observe = null,
+        _lastSeq = null,
+        _batchedActions = null,
+        _batchDepth = 0;
 
     const _idleTime = 20 * 60 * 1000; // 20 minutes
     const _keepaliveTime = 30 * 1000; // sending ping every 30s
+    const _maxBatchSize = 5000; // Most annotations sent in a single batch message
     let _idleTimeout, _keepaliveTimeout;
 
     let _ongoingDestruction = new Promise(r => r());
@@ -60,12 +65,27 @@ const collabClient = (function(){
             case "nameChange":
                 _handleNameChange(msg);
                 break;
+            case "accessAction": //roles of users in the session
+                _handleAccessAction(msg);
+                break;
             default:
                 console.warn(`Unknown message type received in collab: ${msg.type}`);
         }
     }
 
     function _handleAnnotationAction(msg) {
+        if (msg.seq !== undefined) {
+            // Batches contain a range of operations, ending with msg.seq
+            const firstSeq = msg.firstSeq !== undefined ? msg.firstSeq : msg.seq;
+            if (_lastSeq !== null && firstSeq !== _lastSeq + 1) {
+                // An operation has been missed, start over from the server state
+                console.warn(`Expected annotation operation ${_lastSeq + 1}, got ${msg.seq}. Requesting summary.`);
+                _lastSeq = null;
+                _requestSummary();
+                return;
+            }
+            _lastSeq = msg.seq;
+        }
         switch(msg.actionType) {
             case "add":
                 annotationHandler.add(msg.annotation, "image", false);
@@ -76,14 +96,83 @@ const collabClient = (function(){
             case "remove":
                 annotationHandler.remove(msg.id, false);
                 break;
+            case "replace":
+                annotationHandler.replace(msg.ids, msg.annotations, false);
+                break;
             case "clear":
                 annotationHandler.clear(false);
                 break;
+            case "bulk":
+                // Each of the batched actions carries its own sequence number
+                msg.actions.forEach(_handleAnnotationAction);
+                break;
+            case "batchAdd":
+                annotationHandler.add(msg.annotations, "image", false);
+                break;
+            case "batchUpdate":
+                // Only redraw the annotations once all of them have been updated
+                msg.updates.forEach((update, i) => {
+                    const redraw = i === msg.updates.length - 1;
+                    annotationHandler.update(update.id, update.annotation, "image", false, redraw);
+                });
+                break;
+            case "batchRemove":
+                msg.ids.length > 0 && annotationHandler.remove(msg.ids, false);
+                break;
+            case "batchAck":
+                _handleBatchAck(msg);
+                break;
+            case "ack":
+                annotationHandler.setRevision(msg.id, msg.revision);
+                break;
+            case "reject":
+                _reconcileAnnotation(msg.id, msg.annotation);
+                break;
             default:
                 console.warn(`Unknown annotation action type: ${msg.actionType}`);
         }
     }
 
+    function _handleBatchAck(msg) {
+        msg.results.forEach(item => {
+            switch (item.result) {
+                case "applied":
+                    item.revision !== undefined && annotationHandler.setRevision(item.id, item.revision);
+                    break;
+                case "merged":
+                    annotationHandler.update(item.id, item.annotation, "image", false);
+                    break;
+                case "rejected":
+                    _reconcileAnnotation(item.id, item.annotation);
+                    break;
+                case "ignored":
+                    // Duplicates of annotations on the server were never added there
+                    msg.batchType === "batchAdd" && _reconcileAnnotation(item.id, null);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Replace the local version of an annotation with the one stored on
+     * the server after a local update has been rejected.
+     * @param {number} id The id of the annotation.
+     * @param {Object|null} annotation The annotation stored on the
+     * server, or null if it no longer exists.
+     */
+    function _reconcileAnnotation(id, annotation) {
+        const exists = annotationHandler.getAnnotationById(id) !== undefined;
+        if (annotation && exists) {
+            annotationHandler.update(id, annotation, "image", false);
+        }
+        else if (annotation) {
+            annotationHandler.add(annotation, "image", false);
+        }
+        else if (exists) {
+            annotationHandler.remove(id, false);
+        }
+    }
+
     function _handleClassConfigAction(msg) {
         switch(msg.actionType) {
             case "update":
@@ -114,11 +203,27 @@ const collabClient = (function(){
             case "versionInfo":
                 versionRevert.setVersions(msg.history);
                 break;
+            case "versionDiff":
+                versionRevert.showDiff(msg.fromId, msg.toId, msg.diff);
+                break;
+            case "versionPreview":
+                versionRevert.showPreview(msg.versionId, msg.annotations);
+                break;
             default:
                 console.warn(`Unknown version action type: ${msg.actionType}`);
         }
     }
 
+    function _handleAccessAction(msg) {
+        switch(msg.actionType) {
+            case "accessInfo":
+                tmappUI.updateAccess(msg.access);
+                break;
+            default:
+                console.warn(`Unknown access action type: ${msg.actionType}`);
+        }
+    }
+
     function _handleMemberEvent(msg) {
         if (!_members) {
             throw new Error("Tried to handle member event without an initialized member array.");
@@ -209,11 +314,16 @@ const collabClient = (function(){
         msg.comments.forEach(comment => {
             globalDataHandler.handleCommentFromServer(comment);
         });
+        _lastSeq = msg.seq;
         _members = msg.members;
         _localMember = _members.find(member => member.id === msg.requesterId);
         _userId= _localMember.id;
 
         _memberUpdate();
+        if (_localMember.role === "owner") {
+            getAccess();
+        }
+        tmappUI.setObserverToken(msg.observerToken);
         tmappUI.setCollabName(msg.name);
         tmapp.updateCollabStatus();
         if (_onCreated) {
@@ -235,7 +345,7 @@ const collabClient = (function(){
             swapImage(msg.image, msg.collab);
             disconnect();
             tmapp.openImage(msg.image, () => {
-                connect(msg.collab);
+                _connect(msg.collab);
                 _desiredMember = target;
             }, disconnect);
         }
@@ -258,8 +368,11 @@ const collabClient = (function(){
         _localMember = null;
         _ws = null;
         _collabId  = null;
+        _lastSeq = null;
         overlayHandler.updateMembers([]);
         tmappUI.clearCollaborators();
+        tmappUI.setLocalRole(null);
+        tmappUI.setReadOnly(false);
         tmapp.clearCollab();
         versionRevert.clear();
         _resolveOngoingDestruction && _resolveOngoingDestruction();
@@ -267,7 +380,7 @@ const collabClient = (function(){
 
     function _attemptReconnect() {
         console.info(`Attempting to reconnect to ${_collabId}.`);
-        connect(_collabId, getDefaultName(), false);
+        _connect(_collabId, getDefaultName(), false);
     }
 
     function _promptReconnect(title) {
@@ -312,6 +425,8 @@ const collabClient = (function(){
         }
         if (hardUpdate) {
             tmappUI.updateCollaborators(_localMember, _members);
+            tmappUI.setLocalRole(_localMember.role);
+            tmappUI.setReadOnly(_localMember.observer || _localMember.role === "viewer");
         }
         overlayHandler.updateMembers(_members.filter(member => member !== _localMember));
 
@@ -375,6 +490,24 @@ const collabClient = (function(){
      * prompted about the inclusion of annotations.
      */
     function connect(id, name=getDefaultName(), include=false, askAboutInclude=false) {
+        _observe = null;
+        _connect(id, name, include, askAboutInclude);
+    }
+
+    /**
+     * Connect to a collaboration as an observer, who can see everything
+     * that happens in the collaboration without being able to change it.
+     * @param {string} id Identifier for the collaboration being observed.
+     * @param {string} observe Either a signed observer token from an
+     * observer link, or "true" to observe a collaboration that the user
+     * already has access to.
+     */
+    function observe(id, observe="true") {
+        _observe = observe;
+        _connect(id, getDefaultName());
+    }
+
+    function _connect(id, name=getDefaultName(), include=false, askAboutInclude=false) {
         tmappUI.displayImageError("loadingcollab");
         if (_ws) {
             if (_ws.readyState === 1) {
@@ -387,7 +520,8 @@ const collabClient = (function(){
             const imageName = tmapp.getImageName();
             const address = `${window.location.host}${window.location.dirname}/collaboration/` +
                 `${id}?name=${name}&image=${imageName ? imageName : ""}` +
-                `&userId=${_userId ? _userId : ""}`;
+                `&userId=${_userId ? _userId : ""}` +
+                (_observe ? `&observe=${encodeURIComponent(_observe)}` : "");
             const ws = new WebSocket(wsProtocol+address);
             ws.onopen = function(event) {
                 console.info(`Successfully connected to collaboration ${id}.`);
@@ -395,7 +529,7 @@ const collabClient = (function(){
 
                 _ws = ws;
                 _collabId = id;
-                tmapp.setCollab(id);
+                tmapp.setCollab(id, _observe);
                 _keepalive();
 
                 if (include) {
@@ -425,6 +559,10 @@ const collabClient = (function(){
                 if (event.code === 1000) {
                     _destroy();
                 }
+                else if (event.code === 4003) {
+                    _destroy();
+                    tmappUI.displayImageError("accessdenied");
+                }
                 else {
                     tmappUI.displayImageError("loadingcollab");
                     const title = event.code === 4000 ?
@@ -478,6 +616,65 @@ const collabClient = (function(){
         }
     }
 
+    function _sendAnnotationAction(msg) {
+        if (_batchedActions) {
+            _batchedActions.push(msg);
+        }
+        else {
+            send(msg);
+        }
+    }
+
+    function _sendBatchAction(actionType, field, items, sendSingle) {
+        if (_batchedActions || items.length === 1) {
+            // Bulk actions are applied as a whole, so they can't contain batches
+            items.forEach(sendSingle);
+            return;
+        }
+        for (let i = 0; i < items.length; i += _maxBatchSize) {
+            send({
+                type: "annotationAction",
+                actionType: actionType,
+                [field]: items.slice(i, i + _maxBatchSize)
+            });
+        }
+    }
+
+    /**
+     * Start collecting the annotation actions sent to collaborators into
+     * a single batch instead of sending them one by one. The server
+     * applies a batch either as a whole or not at all. Calls can be
+     * nested, and the batch is sent once endBatch() has been called as
+     * many times as this function.
+     */
+    function startBatch() {
+        _batchDepth++;
+        _batchedActions = _batchedActions || [];
+    }
+
+    /**
+     * Send the annotation actions collected since startBatch() was
+     * called, as a single message if there are several of them.
+     */
+    function endBatch() {
+        _batchDepth = Math.max(_batchDepth - 1, 0);
+        if (_batchDepth > 0 || !_batchedActions) {
+            return;
+        }
+        const actions = _batchedActions;
+        _batchedActions = null;
+        if (actions.length === 1) {
+            send(actions[0]);
+        }
+        else if (actions.length > 1) {
+            send({
+                type: "annotationAction",
+                actionType: "bulk",
+                actions: actions.map(({type, ...action}) => action)
+            });
+        }
+    }
+
     /**
      * Notify collaborators that you are moving to another image.
      * @param {string} imageName Name of the image being swapped to.
@@ -499,41 +696,107 @@ const collabClient = (function(){
     function addAnnotation(annotation) {
         //skip computables
         const {centroid, diameter, ...essentials} = annotation;
-        send({
+        _sendAnnotationAction({
             type: "annotationAction",
             actionType: "add",
             annotation: essentials
         });
     }
 
+    /**
+     * Notify collaborators about several annotations being added. The
+     * annotations are sent in batches rather than one by one, and the
+     * server skips any that duplicate existing annotations.
+     * @param {Array<Object>} annotations Data for the added annotations.
+     */
+    function addAnnotations(annotations) {
+        const essentials = annotations.map(annotation => {
+            //skip computables
+            const {centroid, diameter, ...essentials} = annotation;
+            return essentials;
+        });
+        _sendBatchAction("batchAdd", "annotations", essentials, addAnnotation);
+    }
+
     /**
      * Notify collaborators about an annotation being updated.
      * @param {number} id The original id of the annotation being updated.
      * @param {Object} annotation Data for the updated annotation.
+     * @param {number} revision The revision of the annotation that the
+     * update is based on. The server rejects the update if it conflicts
+     * with changes made after this revision.
      */
-    function updateAnnotation(id, annotation) {
+    function updateAnnotation(id, annotation, revision) {
         //skip computables
         const {centroid, diameter, ...essentials} = annotation;
-        send({
+        _sendAnnotationAction({
             type: "annotationAction",
             actionType: "update",
             id: id,
+            revision: revision,
             annotation: essentials
         });
     }
 
+    /**
+     * Notify collaborators about several annotations being updated. The
+     * updates are sent in batches rather than one by one, and each of
+     * them is merged or rejected on its own as in updateAnnotation().
+     * @param {Array<Object>} updates The updates, each with the id and
+     * the data of the updated annotation along with the revision that
+     * the update is based on.
+     */
+    function updateAnnotations(updates) {
+        const essentials = updates.map(({id, annotation, revision}) => {
+            //skip computables
+            const {centroid, diameter, ...essentials} = annotation;
+            return {id: id, revision: revision, annotation: essentials};
+        });
+        _sendBatchAction("batchUpdate", "updates", essentials, update =>
+            updateAnnotation(update.id, update.annotation, update.revision)
+        );
+    }
+
     /**
      * Notify collaborators about an annotation being removed.
      * @param {number} id The id of the annotation being removed.
      */
     function removeAnnotation(id) {
-        send({
+        _sendAnnotationAction({
             type: "annotationAction",
             actionType: "remove",
             id: id
         });
     }
 
+    /**
+     * Notify collaborators about several annotations being removed, in
+     * batches rather than one by one.
+     * @param {Array<number>} ids The ids of the removed annotations.
+     */
+    function removeAnnotations(ids) {
+        _sendBatchAction("batchRemove", "ids", ids, removeAnnotation);
+    }
+
+    /**
+     * Notify collaborators about some annotations being replaced by
+     * others in a single operation, such as when regions are combined.
+     * @param {Array<number>} ids The ids of the removed annotations.
+     * @param {Array<Object>} annotations The added annotations.
+     */
+    function replaceAnnotations(ids, annotations) {
+        _sendAnnotationAction({
+            type: "annotationAction",
+            actionType: "replace",
+            ids: ids,
+            annotations: annotations.map(annotation => {
+                //skip computables
+                const {centroid, diameter, ...essentials} = annotation;
+                return essentials;
+            })
+        });
+    }
+
     /**
      * Notify collaborators of all annotations being cleared.
      */
@@ -599,6 +862,46 @@ const collabClient = (function(){
         }
     }
 
+    /**
+     * Request information about who has access to the current
+     * collaboration. Only the owner of the collaboration gets a response.
+     */
+    function getAccess() {
+        send({
+            type: "accessAction",
+            actionType: "getAccess"
+        });
+    }
+
+    /**
+     * Give a user a specific role in the current collaboration. Only
+     * the owner of the collaboration can change roles.
+     * @param {string} username The name of the user.
+     * @param {string|null} role The role, either "editor" or "viewer",
+     * or null to remove the specific role of the user.
+     */
+    function setRole(username, role) {
+        send({
+            type: "accessAction",
+            actionType: "setRole",
+            username: username,
+            role: role
+        });
+    }
+
+    /**
+     * Set the role of users without a specific role in the current
+     * collaboration. Only the owner of the collaboration can change roles.
+     * @param {string} role The role, either "editor", "viewer" or "none".
+     */
+    function setDefaultRole(role) {
+        send({
+            type: "accessAction",
+            actionType: "setDefaultRole",
+            role: role
+        });
+    }
+
     /**
      * Get the default name for the collaboration member by retrieving
      * their most recently used name from a cookie.
@@ -765,16 +1068,69 @@ const collabClient = (function(){
         });
     }
 
+    /**
+     * Request the annotations of a previous version of the current
+     * collaboration, without reverting to it.
+     * @param {number} versionId The id of the version to preview.
+     */
+    function previewVersion(versionId) {
+        send({
+            type: "versionAction",
+            actionType: "preview",
+            versionId: versionId
+        });
+    }
+
+    /**
+     * Tell the server to tag a version of the current collaboration
+     * with a name and note, so that it is kept in the history.
+     * @param {number} versionId The id of the version to tag.
+     * @param {string} name The name of the version, or an empty
+     * string to remove the tag.
+     * @param {string} note A longer description of the version.
+     */
+    function tagVersion(versionId, name, note) {
+        send({
+            type: "versionAction",
+            actionType: "tag",
+            versionId: versionId,
+            name: name,
+            note: note
+        });
+    }
+
+    /**
+     * Request the differences in annotations between two versions of
+     * the current collaboration.
+     * @param {number} fromId The id of the older version.
+     * @param {number} toId The id of the newer version.
+     */
+    function getVersionDiff(fromId, toId) {
+        send({
+            type: "versionAction",
+            actionType: "getDiff",
+            fromId: fromId,
+            toId: toId
+        });
+    }
+
     return {
         createCollab,
         connect,
+        observe,
         disconnect,
         send,
         swapImage,
         addAnnotation,
+        addAnnotations,
         updateAnnotation,
+        updateAnnotations,
         removeAnnotation,
+        removeAnnotations,
+        replaceAnnotations,
         clearAnnotations,
+        startBatch,
+        endBatch,
         updateClassConfig,
         addComment,
         removeComment,
@@ -786,6 +1142,12 @@ const collabClient = (function(){
         followView,
         stopFollowing,
         getVersions,
-        revertVersion
+        revertVersion,
+        previewVersion,
+        tagVersion,
+        getVersionDiff,
+        getAccess,
+        setRole,
+        setDefaultRole
     };
 })();
@@ -0,0 +1,183 @@
+/**
+ * Module for handling the visuals and logic of the dialog for finding
+ * sessions across all images. The search itself is done by the server,
+ * using the same filter queries as the session picker.
+ * @namespace collabSearch
+ */
+const collabSearch = (function() {
+    "use strict";
+
+    const _tableFields = [
+        {
+            name: "Image",
+            key: "image",
+            sortable: true
+        },
+        {
+            name: "Name",
+            title: "Session name",
+            key: "name",
+            sortable: true
+        },
+        {
+            name: "Created by",
+            key: "author",
+            sortable: true
+        },
+        {
+            name: "Updated",
+            title: "Last edit",
+            key: "updatedOn",
+            sortable: true,
+            selectFun: d => dateUtils.formatReadableDate(d.updatedOn)
+        },
+        {
+            name: "# Annotations",
+            title: "Total number of annotations",
+            key: "nAnnotations",
+            sortable: true
+        },
+        {
+            name: "# Comments",
+            title: "Total number of comments",
+            key: "nComments",
+            sortable: true
+        }
+    ];
+    let _resultList = null;
+    let _results = [];
+    let _currentSelection = null;
+
+    function _setSearchError(error) {
+        const input = $("#collab-search-query-input");
+        input.addClass("is-invalid");
+        input.removeClass("is-valid");
+        $("#collab-search-query-error").text(error);
+    }
+
+    function _setSearchInfo(count) {
+        const input = $("#collab-search-query-input");
+        input.removeClass("is-invalid");
+        input.addClass("is-valid");
+        $("#collab-search-query-info").text(`Found ${count} sessions`);
+    }
+
+    // HttpRequest to 'api/collaboration/search?query=...'
+    function _retrieveResults(query) {
+        return new Promise((resolve, reject) => {
+            const searchReq = new XMLHttpRequest();
+            searchReq.open("GET", window.location.api + "/collaboration/search?query=" + encodeURIComponent(query), true);
+            searchReq.setRequestHeader("Cache-Control", "no-cache, no-store, must-revalidate, max-age=0");
+            searchReq.send(null);
+            searchReq.onreadystatechange = () => {
+                if (searchReq.readyState === 4 && searchReq.status === 200) {
+                    resolve(JSON.parse(searchReq.responseText).results);
+                }
+                else if (searchReq.readyState === 4) {
+                    reject(new Error(searchReq.responseText || "The search could not be carried out."));
+                }
+            };
+        });
+    }
+
+    function _selectActive(key) {
+        _resultList.unhighlightAllRows();
+        _resultList.highlightRow(key);
+        _currentSelection = _results.find(result => result.key === key);
+        $("#collab-search-open").prop("disabled", false);
+    }
+
+    function _unselectActive() {
+        _resultList.unhighlightAllRows();
+        _currentSelection = null;
+        $("#collab-search-open").prop("disabled", true);
+    }
+
+    function _openResult() {
+        const result = _currentSelection;
+        if (!result) {
+            return;
+        }
+        $("#collab-search").off("hide.bs.modal"); // Don't go back to the previous dialog
+        $("#collab-search").modal("hide");
+        tmapp.openImage(result.image, () => {
+            collabClient.connect(result.id);
+        });
+    }
+
+    function _handleResultClick(d) {
+        if (_currentSelection && d.key === _currentSelection.key) {
+            _unselectActive();
+        }
+        else {
+            _selectActive(d.key);
+        }
+    }
+
+    function _handleResultDoubleClick(d) {
+        _selectActive(d.key);
+        _openResult();
+    }
+
+    /**
+     * Search for sessions matching a filter query and show them in
+     * the list of results.
+     * @param {string} query The filter query.
+     * @returns {Promise} Promise that resolves once the results are shown.
+     */
+    function search(query) {
+        return _retrieveResults(query).then(results => {
+            results.forEach(result => result.key = `${result.image}/${result.id}`);
+            _results = results;
+            _resultList.updateData(results);
+            _unselectActive();
+            _setSearchInfo(results.length);
+        }).catch(err => {
+            _setSearchError(err.message);
+        });
+    }
+
+    /**
+     * Open the dialog for finding sessions and search with the
+     * current query.
+     */
+    function open() {
+        const activeModal = $(".modal.show");
+        activeModal.modal("hide");
+        $("#collab-search").modal();
+        $("#collab-search").one("hide.bs.modal", () => activeModal.modal("show"));
+        search($("#collab-search-query-input").val());
+    }
+
+    /**
+     * Initialize the session search. Should be called before any other
+     * functions in the module are called.
+     */
+    function init() {
+        _resultList = new SortableList(
+            "#collab-search-list",
+            "#collab-search-list-container",
+            "key",
+            _tableFields,
+            _handleResultClick,
+            _handleResultDoubleClick
+        );
+        const input = $("#collab-search-query-input");
+        input.keypress(e => e.stopPropagation());
+        input.keyup(e => e.stopPropagation());
+        input.keydown(e => {
+            e.stopPropagation();
+            if (e.code === "Enter" || e.code === "NumpadEnter") {
+                search(input.val());
+            }
+        });
+        $("#collab-search-submit").click(() => search(input.val()));
+        $("#collab-search-open").click(_openResult);
+    }
+
+    return {
+        search: search,
+        open: open,
+        init: init
+    };
+})();
@@ -166,6 +166,31 @@ const coordinateHelper = (function() {
         return pointIsInsideViewport(imageToViewport({x, y}));
     }
 
+    /**
+     * Get the bounding box of the part of the image currently visible
+     * in the viewer. When the image is rotated, the box contains the
+     * whole rotated viewer.
+     * @returns {SpatialIndex.BoundingBox} The bounding box, expressed in
+     * image coordinates, or null if no image is shown.
+     */
+    function getVisibleImageBounds() {
+        const viewer = $("#ISS_viewer");
+        const width = viewer.width();
+        const height = viewer.height();
+        if (!_activeImage || !width || !height) {
+            return null;
+        }
+        const corners = [
+            {x: 0, y: 0}, {x: width, y: 0}, {x: width, y: height}, {x: 0, y: height}
+        ].map(webToImage);
+        return {
+            minX: Math.min(...corners.map(corner => corner.x)),
+            minY: Math.min(...corners.map(corner => corner.y)),
+            maxX: Math.max(...corners.map(corner => corner.x)),
+            maxY: Math.max(...corners.map(corner => corner.y))
+        };
+    }
+
     /**
      * Set the coordinate helper to work with a given image. Due to
      * inaccuracies in coordinates when working with multiple images
@@ -202,6 +227,7 @@ const coordinateHelper = (function() {
         pointIsInsideViewport: pointIsInsideViewport,
         pointIsInsideWeb: pointIsInsideWeb,
         pointIsInsideImage: pointIsInsideImage,
+        getVisibleImageBounds: getVisibleImageBounds,
         setImage: setImage,
         clearImage: clearImage
     };
@@ -1,10 +1,11 @@
 /**
  * Parsing and instantiation of filters that can be used to alter which
  * annotations are shown. Includes functionality for preprocessing an
- * annotation into a filterable object.
+ * annotation into a filterable object. The namespace is also used by
+ * the server for searching collaborations.
  * @namespace filters
  */
-const filters = (function () {
+const filters = (function (dateUtils) {
     "use strict";
 
     const _tokenTypes = {
@@ -143,7 +144,8 @@ const filters = (function () {
         }
 
         evaluate(input) {
-            if (this.key === "prediction" && input[this.key] === null) {
+            if (input[this.key] === null) {
+                // Missing values, such as the area of a marker, never compare
                 return false
             }
             return input[this.key] > this.value.evaluate(input);
@@ -158,7 +160,8 @@ const filters = (function () {
         }
 
         evaluate(input) {
-            if (this.key === "prediction" && input[this.key] === null) {
+            if (input[this.key] === null) {
+                // Missing values, such as the area of a marker, never compare
                 return false
             }
             return input[this.key] < this.value.evaluate(input);
@@ -360,20 +363,29 @@ const filters = (function () {
      * annotation.
      * @param {annotationHandler.Annotation} annotation The annotation to be
      * processed.
+     * @param {measurements.Measurement} [measurement] The measurements
+     * of the annotation, making its area, perimeter and length filterable.
      * @return {Object} The processed object.
      */
-    function preprocessAnnotationBeforeFiltering(annotation) {
+    function preprocessAnnotationBeforeFiltering(annotation, measurement) {
         return {
             class: annotation.mclass,
             author: annotation.author,
             comments: annotation.comments ? annotation.comments.length : 0,
             bookmarked: annotation.bookmarked,
-            region: annotation.points.length > 1,
+            region: annotation.points.length > 1 && !annotation.line,
             marker: annotation.points.length === 1,
+            line: Boolean(annotation.line),
+            area: measurement ? measurement.area : null,
+            perimeter: measurement ? measurement.perimeter : null,
+            length: measurement ? measurement.length : null,
             x: annotation.centroid.x,
             y: annotation.centroid.y,
             z: annotation.z,
             prediction: annotation.prediction,
+            predicted: Boolean(annotation.predicted),
+            decision: annotation.review ? annotation.review.decision : null,
+            reviewer: annotation.review ? annotation.review.reviewer : null,
         };
     }
 
@@ -391,7 +403,8 @@ const filters = (function () {
             updated: dateUtils.formatReadableDate(collab.updatedOn),
             annotations: collab.nAnnotations,
             comments: collab.nComments,
-            users: collab.nUsers
+            users: collab.nUsers,
+            image: collab.image
         };
     }
 
@@ -400,4 +413,9 @@ const filters = (function () {
         preprocessAnnotationBeforeFiltering: preprocessAnnotationBeforeFiltering,
         preprocessCollabBeforeFiltering: preprocessCollabBeforeFiltering
     };
-})();
+})(typeof module !== "undefined" ? require("./utils/dateUtils") : dateUtils);
+
+// Allow the filters to be required by the server
+if (typeof module !== "undefined") {
+    module.exports = filters;
+}
@@ -0,0 +1,268 @@
+/**
+ * Converts between annotation storage objects and GeoJSON, the format
+ * used for exchanging annotations with other tools such as QuPath.
+ * Markers are represented as Point features, regions as Polygon or
+ * MultiPolygon features and lines as LineString features, all with
+ * their coordinates in image pixels. The class and other information
+ * about each annotation is stored in the properties of its feature,
+ * and the class is also stored as a QuPath classification so that its
+ * color can be restored when the file is imported.
+ * @namespace geoJSONConversion
+ */
+const geoJSONConversion = (function() {
+    "use strict";
+
+    // Class given to imported features without any classification
+    const _unclassifiedClass = {
+        name: "Unclassified",
+        description: "Imported annotations without a class",
+        color: "#808080"
+    };
+
+    function _colorToRGB(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (!hex) {
+            return color; // Other color formats are kept as they are
+        }
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+    }
+
+    function _rgbToColor(rgb) {
+        if (typeof rgb === "number") {
+            // Older versions of QuPath store the color as a single packed integer
+            rgb = [(rgb >> 16) & 255, (rgb >> 8) & 255, rgb & 255];
+        }
+        if (!Array.isArray(rgb)) {
+            return typeof rgb === "string" ? rgb : null;
+        }
+        return "#" + rgb.slice(0, 3).map(value =>
+            Math.round(value).toString(16).padStart(2, "0")
+        ).join("");
+    }
+
+    function _toPosition(point) {
+        return [point.x, point.y];
+    }
+
+    function _toRing(points) {
+        // GeoJSON rings end with their first position
+        return [...points, points[0]].map(_toPosition);
+    }
+
+    function _fromPosition([x, y]) {
+        return {x: x, y: y};
+    }
+
+    function _fromRing(ring) {
+        const points = ring.map(_fromPosition);
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (points.length > 1 && first.x === last.x && first.y === last.y) {
+            points.pop();
+        }
+        return points;
+    }
+
+    function _getGeometry(annotation) {
+        if (annotation.points.length === 1) {
+            return {type: "Point", coordinates: _toPosition(annotation.points[0])};
+        }
+        else if (annotation.line) {
+            return {type: "LineString", coordinates: annotation.points.map(_toPosition)};
+        }
+        const polygons = annotationHandler.getPolygons(annotation).map(polygon =>
+            [_toRing(polygon.points), ...polygon.holes.map(_toRing)]
+        );
+        return polygons.length === 1
+            ? {type: "Polygon", coordinates: polygons[0]}
+            : {type: "MultiPolygon", coordinates: polygons};
+    }
+
+    function _getFeature(annotation, classConfig) {
+        const mclass = classConfig.find(entry => entry.name === annotation.mclass);
+        const properties = {
+            objectType: "annotation",
+            mclass: annotation.mclass,
+            classification: {
+                name: annotation.mclass,
+                color: mclass ? _colorToRGB(mclass.color) : undefined
+            },
+            z: annotation.z,
+            author: annotation.author,
+            comments: annotation.comments || [],
+            bookmarked: Boolean(annotation.bookmarked)
+        };
+        if (annotation.prediction != null) {
+            properties.prediction = annotation.prediction;
+        }
+        if (annotation.shape) {
+            properties.shape = annotation.shape;
+        }
+        return {
+            type: "Feature",
+            id: annotation.id,
+            geometry: _getGeometry(annotation),
+            properties: properties
+        };
+    }
+
+    // A feature may contain several annotations, e.g. a MultiPoint feature
+    function _getAnnotations(geometry) {
+        switch (geometry.type) {
+            case "Point":
+                return [{points: [_fromPosition(geometry.coordinates)]}];
+            case "MultiPoint":
+                return geometry.coordinates.map(position => ({points: [_fromPosition(position)]}));
+            case "LineString":
+                return [{points: geometry.coordinates.map(_fromPosition), line: true}];
+            case "MultiLineString":
+                return geometry.coordinates.map(line => ({points: line.map(_fromPosition), line: true}));
+            case "Polygon":
+            case "MultiPolygon": {
+                const polygons = (geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates)
+                    .map(rings => ({points: _fromRing(rings[0]), holes: rings.slice(1).map(_fromRing)}));
+                const annotation = {points: polygons[0].points};
+                if (polygons[0].holes.length > 0) {
+                    annotation.holes = polygons[0].holes;
+                }
+                if (polygons.length > 1) {
+                    annotation.parts = polygons.slice(1);
+                }
+                return [annotation];
+            }
+            case "GeometryCollection":
+                return geometry.geometries.flatMap(_getAnnotations);
+            default:
+                throw new Error(`Unknown GeoJSON geometry type: ${geometry.type}`);
+        }
+    }
+
+    function _getClassName(properties) {
+        if (properties.mclass) {
+            return properties.mclass;
+        }
+        const classification = properties.classification;
+        if (classification && classification.name) {
+            return classification.name;
+        }
+        return typeof classification === "string" ? classification : _unclassifiedClass.name;
+    }
+
+    // The classes of the features, with the colors of their classifications
+    function _getClassConfig(features) {
+        const classConfig = [];
+        features.forEach(feature => {
+            const properties = feature.properties || {};
+            const name = _getClassName(properties);
+            if (classConfig.some(entry => entry.name === name)) {
+                return;
+            }
+            if (name === _unclassifiedClass.name) {
+                classConfig.push(Object.assign({}, _unclassifiedClass));
+                return;
+            }
+            const classification = properties.classification || {};
+            const color = _rgbToColor(classification.color !== undefined
+                ? classification.color : classification.colorRGB);
+            classConfig.push({
+                name: name,
+                description: name,
+                color: color || _unclassifiedClass.color
+            });
+        });
+        return classConfig;
+    }
+
+    /**
+     * Check whether or not loaded JSON data is GeoJSON, either as a
+     * FeatureCollection, a single Feature or an array of Features as
+     * exported by some versions of QuPath.
+     * @param {Object} data The loaded data.
+     * @returns {boolean} Whether or not the data is GeoJSON.
+     */
+    function isGeoJSON(data) {
+        if (Array.isArray(data)) {
+            return data.length > 0 && data.every(feature => feature && feature.type === "Feature");
+        }
+        return Boolean(data) && (data.type === "FeatureCollection" || data.type === "Feature");
+    }
+
+    /**
+     * Convert an annotation storage object to a GeoJSON
+     * FeatureCollection. The name of the image, the class configuration
+     * and the comments are also stored in the collection, so that no
+     * information is lost when the file is imported again.
+     * @param {annotationStorageConversion.AnnotationStorage} data The
+     * annotation storage object.
+     * @returns {Object} The GeoJSON FeatureCollection.
+     */
+    function fromStorageData(data) {
+        const classConfig = data.classConfig || classUtils.getClassConfig();
+        return {
+            type: "FeatureCollection",
+            image: data.image,
+            author: data.author,
+            updatedOn: data.updatedOn,
+            classConfig: classConfig,
+            comments: data.comments,
+            features: data.annotations.map(annotation => _getFeature(annotation, classConfig))
+        };
+    }
+
+    /**
+     * Convert GeoJSON to an annotation storage object, so that it can
+     * be loaded like an ordinary annotation file. If the GeoJSON was not
+     * exported from CytoBrowser, the class configuration is made up of
+     * the classes of the features, with the colors of their
+     * classifications, and the annotations are assumed to be for the
+     * current image.
+     * @param {Object} geoJSON The GeoJSON data.
+     * @returns {annotationStorageConversion.AnnotationStorage} The
+     * annotation storage object.
+     */
+    function toStorageData(geoJSON) {
+        const features = Array.isArray(geoJSON) ? geoJSON
+            : geoJSON.type === "Feature" ? [geoJSON] : geoJSON.features;
+        const annotatedFeatures = features.filter(feature => feature.geometry);
+        if (annotatedFeatures.length < features.length) {
+            console.warn("Ignoring GeoJSON features without any geometry.");
+        }
+
+        const annotations = annotatedFeatures.flatMap(feature => {
+            const properties = feature.properties || {};
+            return _getAnnotations(feature.geometry).map(annotation => {
+                Object.assign(annotation, {
+                    z: Number.isInteger(properties.z) ? properties.z : 0,
+                    mclass: _getClassName(properties),
+                    comments: Array.isArray(properties.comments) ? properties.comments : [],
+                    bookmarked: Boolean(properties.bookmarked)
+                });
+                properties.author && (annotation.author = properties.author);
+                // Scores are drawn as numbers, so others are left out
+                const prediction = properties.prediction === "" ? NaN : Number(properties.prediction);
+                properties.prediction != null && Number.isFinite(prediction) && (annotation.prediction = prediction);
+                properties.shape && (annotation.shape = properties.shape);
+                return annotation;
+            });
+        });
+
+        const data = {
+            version: "1.1",
+            image: geoJSON.image || tmapp.getImageName(),
+            annotations: annotations,
+            comments: Array.isArray(geoJSON.comments) ? geoJSON.comments : []
+        };
+        const classConfig = geoJSON.classConfig || _getClassConfig(annotatedFeatures);
+        if (classConfig.length > 0) {
+            data.classConfig = classConfig;
+        }
+        return data;
+    }
+
+    return {
+        isGeoJSON,
+        fromStorageData,
+        toStorageData
+    };
+})();
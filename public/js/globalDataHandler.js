@@ -49,6 +49,18 @@ const globalDataHandler = (function() {
        });
    }
 
+   /**
+    * Update the displayed progress of reviewing the annotations added
+    * by models.
+    * @param {number} nReviewed The number of reviewed predicted annotations.
+    * @param {number} nPredicted The number of predicted annotations,
+    * whether or not they have been reviewed.
+    */
+   function updateReviewProgress(nReviewed, nPredicted) {
+       const progress = nPredicted > 0 ? `${_shortenInt(nReviewed)} / ${_shortenInt(nPredicted)}` : "-";
+       $("#global_data_nreviewed").text(progress);
+   }
+
    /**
     * Submit a comment that should be added to the global comments of
     * the current session.
@@ -120,6 +132,7 @@ const globalDataHandler = (function() {
 
    return {
        updateAnnotationCounts: updateAnnotationCounts,
+       updateReviewProgress: updateReviewProgress,
        sendCommentToServer: sendCommentToServer,
        sendCommentRemovalToServer: sendCommentRemovalToServer,
        handleCommentFromServer: handleCommentFromServer,
@@ -74,6 +74,98 @@ const htmlHelper = (function() {
         return row;
     }
 
+    function _annotationMeasurementRows(annotation) {
+        const measurement = measurements.measure(annotation);
+        if (annotation.line) {
+            return [_annotationValueRow("Length", measurements.formatLength(measurement.length))];
+        }
+        else if (measurement.area !== null) {
+            return [
+                _annotationValueRow("Area", measurements.formatArea(measurement.area)),
+                _annotationValueRow("Perimeter", measurements.formatLength(measurement.perimeter))
+            ];
+        }
+        else {
+            return [];
+        }
+    }
+
+    function _annotationPredictionRows(annotation, closeFun, updateFun) {
+        const rows = [];
+        if (Number.isFinite(annotation.prediction)) {
+            rows.push(_annotationValueRow("Prediction", annotation.prediction.toFixed(4)));
+        }
+        if (annotation.classProbabilities) {
+            const probabilities = Object.entries(annotation.classProbabilities)
+                .filter(([mclass, probability]) => Number.isFinite(probability))
+                .sort((a, b) => b[1] - a[1])
+                .map(([mclass, probability]) => `${mclass}: ${probability.toFixed(2)}`)
+                .join(", ");
+            rows.push(_annotationValueRow("Probabilities", probabilities));
+        }
+        if (annotation.predicted) {
+            const reviewRow = $(`
+                <div class="form-group row">
+                    <label class="col-4 col-form-label">
+                        Predicted
+                    </label>
+                    <div class="col-8 btn-group">
+                        <button type="button" class="btn btn-success">Confirm</button>
+                        <button type="button" class="btn btn-warning">Reject</button>
+                    </div>
+                </div>
+            `);
+            reviewRow.find(".btn-success").click(() => {
+                predictions.recordDecision(annotation, "accepted");
+                updateFun();
+                reviewRow.remove();
+            });
+            reviewRow.find(".btn-warning").click(() => {
+                closeFun();
+                predictions.reject([annotation.id]);
+            });
+            rows.push(reviewRow);
+        }
+        return rows;
+    }
+
+    function _annotationAnalysisRows(annotation, closeFun) {
+        const plugins = regionAnalysis.getPlugins();
+        if (plugins.length === 0 || annotation.points.length === 1 || annotation.line) {
+            return [];
+        }
+        const row = $(`
+            <div class="form-group row">
+                <label class="col-4 col-form-label">
+                    Analysis
+                </label>
+                <div class="col-8 input-group">
+                    <select class="custom-select">
+                    </select>
+                    <div class="input-group-append">
+                        <button type="button" class="btn btn-primary">Run</button>
+                    </div>
+                </div>
+            </div>
+        `);
+        const select = row.find("select");
+        plugins.forEach(plugin => {
+            const option = $("<option></option>");
+            option.attr("value", plugin.name);
+            option.attr("title", plugin.description);
+            option.text(plugin.name);
+            select.append(option);
+        });
+        const button = row.find("button");
+        button.attr("title", "Run the analysis on the area of the region");
+        button.prop("disabled", regionAnalysis.isRunning() || !annotationTool.isEnabled());
+        button.click(() => {
+            closeFun();
+            regionAnalysis.run(annotation, select.val()).catch(err => alert(err.message));
+        });
+        return [row];
+    }
+
     function _annotationMclassOptions(annotation, updateFun) {
         const container = $(`
             <div class="form-group row">
@@ -368,6 +460,11 @@ const htmlHelper = (function() {
             </a>
         `);
         entry.find(".collaborator-list-name").text(`${member.name}${local? " (me)" : following ? " (following)" : ""}`);
+        if (member.role && member.role !== "editor") {
+            const role = $(`<small class="text-muted ml-2"></small>`);
+            role.text(member.role);
+            entry.find(".collaborator-list-name").after(role);
+        }
         const checkbox = entry.find("input");
         if (!active) {
             entry.addClass("disabled");
@@ -389,6 +486,29 @@ const htmlHelper = (function() {
         return entry;
     }
 
+    function _accessListEntry(username, role) {
+        const entry = $(`
+            <div class="list-group-item d-flex justify-content-between align-items-center">
+                <span class="access-list-name"></span>
+                <span class="d-flex">
+                    <select class="custom-select custom-select-sm">
+                        <option value="viewer">Viewer</option>
+                        <option value="editor">Editor</option>
+                    </select>
+                    <button type="button" class="btn btn-sm btn-link">Remove</button>
+                </span>
+            </div>
+        `);
+        entry.find(".access-list-name").text(username);
+        entry.find("select").val(role).change(event => {
+            collabClient.setRole(username, event.target.value);
+        });
+        entry.find("button").click(() => {
+            collabClient.setRole(username, null);
+        });
+        return entry;
+    }
+
     function _emptyImageBrowser() {
         return $(`
             <div class="col-12 text-center">
@@ -496,6 +616,9 @@ const htmlHelper = (function() {
         const updateFun = saveFun;
         const id = _annotationValueRow("Id", annotation.id);
         const author = _annotationValueRow("Created by", annotation.author);
+        const measurementRows = _annotationMeasurementRows(annotation);
+        const predictionRows = _annotationPredictionRows(annotation, closeFun, updateFun);
+        const analysisRows = _annotationAnalysisRows(annotation, closeFun);
         const classes = _annotationMclassOptions(annotation, updateFun);
         const focus = _annotationFocus(annotation, updateFun);
         const list = _commentList(annotation, updateFun);
@@ -509,7 +632,7 @@ const htmlHelper = (function() {
             updateFun();
         });
         const buttonRow = _annotationButtonRow(annotation.id, closeFun);
-        container.append(id, author, classes, focus, list, input, buttonRow);
+        container.append(id, author, ...measurementRows, ...predictionRows, ...analysisRows, classes, focus, list, input, buttonRow);
     }
 
     /**
@@ -545,6 +668,29 @@ const htmlHelper = (function() {
         });
     }
 
+    /**
+     * Fill a jquery selection with a list of the users that have been
+     * given a specific role in the collaboration, along with controls
+     * for changing their roles.
+     * @param {Object} container The selection that should contain the list.
+     * @param {Object} access The access information from the server.
+     * @param {string} access.owner The name of the owner.
+     * @param {Object} access.roles The roles of specific users.
+     */
+    function buildAccessList(container, access) {
+        const owner = $(`
+            <div class="list-group-item d-flex justify-content-between align-items-center">
+                <span class="access-list-name"></span>
+                <small class="text-muted">owner</small>
+            </div>
+        `);
+        owner.find(".access-list-name").text(access.owner);
+        container.append(owner);
+        Object.entries(access.roles).forEach(([username, role]) => {
+            container.append(_accessListEntry(username, role));
+        });
+    }
+
     /**
      * Fill a jquery selection with an image browser.
      * @param {Object} container The selection that should contain the
@@ -575,6 +721,7 @@ const htmlHelper = (function() {
         buildAnnotationSettingsMenu: buildAnnotationSettingsMenu,
         buildClassSelectionButtons: buildClassSelectionButtons,
         buildCollaboratorList: buildCollaboratorList,
+        buildAccessList: buildAccessList,
         buildImageBrowser: buildImageBrowser
     };
 })();
@@ -1,43 +1,23 @@
 /**
- * Handling the storage of JSON data on the local machine.
+ * Handling the storage of JSON data and tables on the local machine.
  * @namespace localStorage
  */
 const localStorage = (function (){
     "use strict";
 
-    /**
-     * General function for saving an arbitrary object as a JSON file
-     * with UTF-8 encoding on the local machine.
-     * @param {Object} data The data to be converted to a JSON string
-     * and saved.
-     */
-    function saveJSON(data) {
-        // Check if the data is actually an object first
-        const type = typeof data;
-        if (type !== "object") {
-            throw new Error(`Expected an object, got a ${type} instead.`);
-        }
-
+    function _save(content, mimeType, fileName) {
         // Create a hidden anchor element and use it to save data
-        const dataJSON = encodeURIComponent(JSON.stringify(data, null, 4));
-        const fileData = `text/json;charset=utf-8,${dataJSON}`;
+        const fileData = `${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
         const a = document.createElement("a");
         a.setAttribute("href", `data:${fileData}`);
-        a.setAttribute("download", "annotation.json");
+        a.setAttribute("download", fileName);
         a.setAttribute('visibility', 'hidden');
         a.setAttribute('display', 'none');
         a.click();
         a.remove();
     }
 
-    /**
-     * Load a JSON file from a specified input element.
-     * @param {string} fileInputId The id of the input DOM element to
-     * which the file has been uploaded.
-     * @returns {Promise<Object>} A promise that resolves with the loaded
-     * JSON file converted to an Object.
-     */
-    function loadJSON(fileInputId) {
+    function _load(fileInputId, isValidFile, invalidMessage, parse) {
         const input = $(`#${fileInputId}`);
         if (!input.length) {
             throw new Error("Unable to find specified file input element.");
@@ -50,8 +30,8 @@ const localStorage = (function (){
             alert("No file selected");
             return;
         }
-        if (!file.type.match('json')) {
-            alert("File should be json");
+        if (!isValidFile(file)) {
+            alert(invalidMessage);
             return;
         }
 
@@ -59,7 +39,7 @@ const localStorage = (function (){
             const reader = new FileReader();
             reader.readAsText(file);
             reader.onload = function(event) {
-                const data = JSON.parse(event.target.result);
+                const data = parse(event.target.result);
                 resolve(data);
             }
             reader.onabort = function() {
@@ -70,8 +50,74 @@ const localStorage = (function (){
         return new Promise(loadFile);
     }
 
+    /**
+     * General function for saving an arbitrary object as a JSON file
+     * with UTF-8 encoding on the local machine.
+     * @param {Object} data The data to be converted to a JSON string
+     * and saved.
+     * @param {string} [fileName="annotation.json"] The name of the file.
+     */
+    function saveJSON(data, fileName="annotation.json") {
+        // Check if the data is actually an object first
+        const type = typeof data;
+        if (type !== "object") {
+            throw new Error(`Expected an object, got a ${type} instead.`);
+        }
+        _save(JSON.stringify(data, null, 4), "text/json", fileName);
+    }
+
+    /**
+     * Save a table as a CSV or TSV file with UTF-8 encoding on the
+     * local machine.
+     * @param {string} table The contents of the table.
+     * @param {string} fileName The name of the file, ending with either
+     * .csv or .tsv.
+     */
+    function saveTable(table, fileName) {
+        const mimeType = fileName.endsWith(".tsv") ? "text/tab-separated-values" : "text/csv";
+        _save(table, mimeType, fileName);
+    }
+
+    /**
+     * Load a JSON file from a specified input element.
+     * @param {string} fileInputId The id of the input DOM element to
+     * which the file has been uploaded.
+     * @returns {Promise<Object>} A promise that resolves with the loaded
+     * JSON file converted to an Object.
+     */
+    function loadJSON(fileInputId) {
+        // Browsers don't always know the type of GeoJSON files
+        const isJSON = file => file.type.match('json') || /\.(geo)?json$/i.test(file.name);
+        return _load(fileInputId, isJSON, "File should be json", JSON.parse);
+    }
+
+    /**
+     * Load a CSV or TSV file from a specified input element.
+     * @param {string} fileInputId The id of the input DOM element to
+     * which the file has been uploaded.
+     * @returns {Promise<string>} A promise that resolves with the
+     * contents of the loaded file.
+     */
+    function loadTable(fileInputId) {
+        const isTable = file => isTableFile(file.name);
+        return _load(fileInputId, isTable, "File should be csv or tsv", text => text);
+    }
+
+    /**
+     * Check whether or not a file should be loaded as a table rather
+     * than as JSON, based on its name.
+     * @param {string} fileName The name of the file.
+     * @returns {boolean} Whether or not the file is a CSV or TSV file.
+     */
+    function isTableFile(fileName) {
+        return /\.(csv|tsv|txt)$/i.test(fileName);
+    }
+
     return {
         saveJSON,
-        loadJSON
+        saveTable,
+        loadJSON,
+        loadTable,
+        isTableFile
     };
 })();
@@ -0,0 +1,102 @@
+/**
+ * Functions for measuring the annotations. Lengths and areas are
+ * expressed in micrometers when the physical size of the pixels is
+ * known from the metadata of the image, and in pixels otherwise.
+ * @namespace measurements
+ */
+const measurements = (function() {
+    "use strict";
+
+    /**
+     * The measurements of an annotation. Values that don't apply to
+     * the type of annotation are null.
+     * @typedef {Object} Measurement
+     * @property {number} area The area of a region.
+     * @property {number} perimeter The length of the outline of a region.
+     * @property {number} length The length of a line.
+     */
+
+    function _getScale() {
+        return metadataHandler.getPixelSize() || {x: 1, y: 1};
+    }
+
+    function _format(value, unit) {
+        if (value === null || value === undefined) {
+            return "-";
+        }
+        return `${Number(value.toPrecision(4))} ${unit}`;
+    }
+
+    /**
+     * Get the unit that lengths are currently measured in.
+     * @returns {string} Either "µm" or "px".
+     */
+    function getLengthUnit() {
+        return metadataHandler.getPixelSize() ? "µm" : "px";
+    }
+
+    /**
+     * Get the unit that areas are currently measured in.
+     * @returns {string} Either "µm²" or "px²".
+     */
+    function getAreaUnit() {
+        return `${getLengthUnit()}²`;
+    }
+
+    /**
+     * Measure an annotation.
+     * @param {annotationHandler.Annotation} annotation The annotation,
+     * expressed in image coordinates.
+     * @returns {Measurement} The measurements of the annotation.
+     */
+    function measure(annotation) {
+        const scale = _getScale();
+        const points = annotation.points;
+        const isRegion = points.length > 2 && !annotation.line;
+        let area = null;
+        if (isRegion && annotation.shape) {
+            // The points only approximate ellipses, so use the exact area
+            const shape = annotation.shape;
+            area = Math.PI * shape.radiusX * shape.radiusY * scale.x * scale.y;
+        }
+        else if (isRegion) {
+            area = mathUtils.getPolygonsArea(annotationHandler.getPolygons(annotation), scale);
+        }
+        // The outlines of any holes and further parts count to the perimeter
+        const perimeter = isRegion ? annotationHandler.getPolygons(annotation)
+            .flatMap(polygon => [polygon.points, ...polygon.holes])
+            .reduce((sum, ring) => sum + mathUtils.getPathLength(ring, true, scale), 0)
+            : null;
+        return {
+            area: area,
+            perimeter: perimeter,
+            length: annotation.line ? mathUtils.getPathLength(points, false, scale) : null
+        };
+    }
+
+    /**
+     * Format a length for showing it to the user.
+     * @param {number} length The length, as given by measure().
+     * @returns {string} The length with its unit.
+     */
+    function formatLength(length) {
+        return _format(length, getLengthUnit());
+    }
+
+    /**
+     * Format an area for showing it to the user.
+     * @param {number} area The area, as given by measure().
+     * @returns {string} The area with its unit.
+     */
+    function formatArea(area) {
+        return _format(area, getAreaUnit());
+    }
+
+    return {
+        getLengthUnit: getLengthUnit,
+        getAreaUnit: getAreaUnit,
+        measure: measure,
+        formatLength: formatLength,
+        formatArea: formatArea
+    };
+})();
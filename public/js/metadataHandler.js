@@ -83,6 +83,24 @@ const metadataHandler = (function() {
         _updateScalebar();
     }
 
+    /**
+     * Get the physical size of a pixel in the image, if it is known.
+     * @returns {Object} The width and height of a pixel in micrometers
+     * as x and y, or null if the metadata doesn't specify them.
+     */
+    function getPixelSize() {
+        const unitX = _units[_metadataValues.PhysicalSizeXUnit];
+        const unitY = _units[_metadataValues.PhysicalSizeYUnit];
+        if (!_metadataValues.PhysicalSizeX || !_metadataValues.PhysicalSizeY
+            || !unitX || !unitY) {
+            return null;
+        }
+        return {
+            x: _metadataValues.PhysicalSizeX * unitX / _units["µm"],
+            y: _metadataValues.PhysicalSizeY * unitY / _units["µm"]
+        };
+    }
+
     /**
      * Clear the currently set metadata.
      **/
@@ -94,6 +112,7 @@ const metadataHandler = (function() {
 
     return {
         updateMetadataValues: updateMetadataValues,
+        getPixelSize: getPixelSize,
         clear: clear
     };
 })();
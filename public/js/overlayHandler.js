@@ -9,12 +9,23 @@ const overlayHandler = (function (){
         _markerCircleSize = 1/32,
         _markerSquareStrokeWidth = 0.03,
         _markerCircleStrokeWidth = 0.01,
-        _markerText = true;
+        _markerText = true,
+        _canvasThreshold = 5000; // Annotations are drawn on a canvas when more are shown
 
     let _cursorOverlay,
         _markerOverlay,
         _regionOverlay,
         _pendingRegionOverlay,
+        _previewOverlay,
+        _selectionBoxOverlay,
+        _previewAnnotations = [],
+        _selectedIds = new Set(),
+        _editedRegion = null,
+        _editedRegionId = null,
+        _drawnAnnotations = [],
+        _useCanvas = false,
+        _canvasTarget = null,
+        _hoveredId = null,
         _activeAnnotationOverlayName,
         _previousCursors,
         _scale,
@@ -111,13 +122,66 @@ const overlayHandler = (function (){
         return 0.5 * _scale;
     }
 
-    function _getRegionPath(d) {
-        const stops = d.points.map(point => {
-            const viewport = coordinateHelper.imageToViewport(point);
-            const coords = coordinateHelper.viewportToOverlay(viewport);
+    function _measurementFontSize() {
+        return 14 * _scale;
+    }
+
+    function _imageToOverlay(point) {
+        const viewport = coordinateHelper.imageToViewport(point);
+        return coordinateHelper.viewportToOverlay(viewport);
+    }
+
+    // The ends of the axes of an ellipse, in image coordinates
+    function _getShapeAxes(shape) {
+        const cos = Math.cos(shape.angle);
+        const sin = Math.sin(shape.angle);
+        return [
+            {x: shape.center.x + shape.radiusX * cos, y: shape.center.y + shape.radiusX * sin},
+            {x: shape.center.x - shape.radiusY * sin, y: shape.center.y + shape.radiusY * cos}
+        ];
+    }
+
+    // Ellipses and circles are drawn as arcs rather than from their points
+    function _getShapePath(shape) {
+        const center = _imageToOverlay(shape.center);
+        const [axisX, axisY] = _getShapeAxes(shape).map(_imageToOverlay);
+        const radiusX = Math.hypot(axisX.x - center.x, axisX.y - center.y);
+        const radiusY = Math.hypot(axisY.x - center.x, axisY.y - center.y);
+        const angle = Math.atan2(axisX.y - center.y, axisX.x - center.x) * 180 / Math.PI;
+        const opposite = {x: 2 * center.x - axisX.x, y: 2 * center.y - axisX.y};
+        const arc = `A ${radiusX} ${radiusY} ${angle} 0 1`;
+        return `M ${axisX.x} ${axisX.y} ${arc} ${opposite.x} ${opposite.y} ${arc} ${axisX.x} ${axisX.y} Z`;
+    }
+
+    // The boundaries of all parts and holes of a region
+    function _getRings(d) {
+        return annotationHandler.getPolygons(d).flatMap(polygon =>
+            [polygon.points, ...polygon.holes]
+        );
+    }
+
+    function _getRingPath(points, closed) {
+        const stops = points.map(point => {
+            const coords = _imageToOverlay(point);
             return `${coords.x} ${coords.y}`;
         });
-        return `M ${stops.join(" L ")} Z`;
+        return closed ? `M ${stops.join(" L ")} Z` : `M ${stops.join(" L ")}`;
+    }
+
+    // Regions are filled with the even-odd rule so that holes are left empty
+    function _getRegionPath(d) {
+        if (d.shape) {
+            return _getShapePath(d.shape);
+        }
+        else if (d.line) {
+            // Lines are left open
+            return _getRingPath(d.points, false);
+        }
+        return _getRings(d).map(ring => _getRingPath(ring, true)).join(" ");
+    }
+
+    function _getRegionFill(d) {
+        return d.line ? "none" : _getAnnotationColor(d);
     }
 
     function _getAnnotationColor(d) {
@@ -125,10 +189,26 @@ const overlayHandler = (function (){
     }
 
     function _getAnnotationText(d) {
+        const suffix = d.predicted ? " (predicted)" : "";
         if (d.prediction == null) { //null or undef
-            return `${d.mclass}`;
+            return `${d.mclass}${suffix}`;
         }
-        return `${d.prediction.toFixed(4)}: ${d.mclass}`;
+        return `${d.prediction.toFixed(4)}: ${d.mclass}${suffix}`;
+    }
+
+    function _updateCanvasStyle() {
+        canvasOverlay.setStyle({
+            markerSize: _markerSize(),
+            markerSquareSize: _markerSquareSize,
+            markerCircleSize: _markerCircleSize,
+            markerSquareStrokeWidth: _markerSquareStrokeWidth,
+            markerCircleStrokeWidth: _markerCircleStrokeWidth,
+            markerText: _markerText ? _getAnnotationText : null,
+            regionStrokeWidth: _regionStrokeWidth(),
+            selectedIds: _selectedIds,
+            hoveredId: _hoveredId,
+            activeLayer: _activeAnnotationOverlayName
+        });
     }
 
     function _resizeMembers() {
@@ -138,22 +218,57 @@ const overlayHandler = (function (){
             }));
     }
 
+    function _getMarkerFill(d) {
+        return _selectedIds.has(d.id) ? "rgba(255,255,255,0.6)" : "rgba(0,0,0,0.2)";
+    }
+
+    // Predicted annotations are drawn with dotted lines until they are confirmed
+    function _markerDashArray(d) {
+        return d.predicted ? `${_markerSquareStrokeWidth} ${_markerSquareStrokeWidth}` : null;
+    }
+
     function _resizeMarkers() {
         _markerOverlay.selectAll("g")
             .attr("transform", _transformFunction({scale: _markerSize()}));
     }
 
+    function _regionDashArray(d) {
+        if (_selectedIds.has(d.id)) {
+            return 2 * _regionStrokeWidth();
+        }
+        return d.predicted ? `${_regionStrokeWidth()} ${_regionStrokeWidth()}` : null;
+    }
+
     function _resizeRegions() {
         _regionOverlay.selectAll("g")
             .call(group =>
                 group.select(".region-area")
                     .attr("stroke-width", _regionStrokeWidth())
+                    .attr("stroke-dasharray", _regionDashArray)
+            )
+            .call(group =>
+                group.selectAll(".region-edit-edges path")
+                    .attr("stroke-width", 4 * _regionStrokeWidth())
             )
             .selectAll(".region-edit-handles g")
             .attr("transform", _transformFunction({scale: _regionHandleSize()}));
         _pendingRegionOverlay.selectAll("path")
             .attr("stroke-width", _regionStrokeWidth())
             .attr("stroke-dasharray", _regionStrokeWidth());
+        _pendingRegionOverlay.selectAll("text")
+            .attr("font-size", _measurementFontSize())
+            .attr("stroke-width", 0.2 * _measurementFontSize());
+    }
+
+    function _resizePreview() {
+        if (!_previewOverlay) {
+            return;
+        }
+        _previewOverlay.selectAll(".preview-region")
+            .attr("stroke-width", _regionStrokeWidth())
+            .attr("stroke-dasharray", 2 * _regionStrokeWidth());
+        _previewOverlay.selectAll(".preview-marker")
+            .attr("transform", _transformFunction({scale: _markerSize()}));
     }
 
     function _rotateMarkers() {
@@ -161,9 +276,159 @@ const overlayHandler = (function (){
             .attr("transform", _transformFunction({rotate: -_rotation}));
     }
 
+    // Ellipses are edited by the ends of their axes, other regions by their points
+    function _getEditHandlePoints(d) {
+        if (!d.shape) {
+            return _getRings(d).flat();
+        }
+        const axes = _getShapeAxes(d.shape);
+        return d.shape.type === "circle" ? axes.slice(0, 1) : axes;
+    }
+
+    function _getShapeFromHandle(shape, i, point) {
+        const dx = point.x - shape.center.x;
+        const dy = point.y - shape.center.y;
+        const radius = Math.hypot(dx, dy);
+        const angle = Math.atan2(dy, dx);
+        if (radius === 0) {
+            return shape;
+        }
+        else if (shape.type === "circle") {
+            return Object.assign({}, shape, {radiusX: radius, radiusY: radius, angle: angle});
+        }
+        else if (i === 0) {
+            return Object.assign({}, shape, {radiusX: radius, angle: angle});
+        }
+        else {
+            return Object.assign({}, shape, {radiusY: radius, angle: angle - Math.PI / 2});
+        }
+    }
+
+    // The segments between the vertices, along with the index a vertex inserted on them gets
+    function _getEditEdges(d) {
+        if (d.shape) {
+            return [];
+        }
+        let offset = 0;
+        return _getRings(d).flatMap(ring => {
+            const edges = ring.map((point, i) => ({
+                start: point,
+                end: ring[(i + 1) % ring.length],
+                index: offset + i + 1
+            }));
+            offset += ring.length;
+            return d.line ? edges.slice(0, -1) : edges;
+        });
+    }
+
+    function _getPointOnEdge(edge, point) {
+        const dx = edge.end.x - edge.start.x;
+        const dy = edge.end.y - edge.start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) {
+            return {x: edge.start.x, y: edge.start.y};
+        }
+        const t = ((point.x - edge.start.x) * dx + (point.y - edge.start.y) * dy) / lengthSquared;
+        const clamped = Math.min(Math.max(t, 0), 1);
+        return {x: edge.start.x + clamped * dx, y: edge.start.y + clamped * dy};
+    }
+
+    function _addEditHandleMouseEvents(node, i) {
+        let mouse_offset; //offset (in webCoords) between mouse click and vertex
+        new OpenSeadragon.MouseTracker({
+            element: node,
+            clickHandler: function(event) {
+                if (event.originalEvent.ctrlKey) {
+                    regionEditor.deleteVertex(i);
+                }
+            },
+            pressHandler: function(event) {
+                tmapp.setCursorStatus({held: true});
+                regionEditor.prepareSnapping();
+                const mouse_pos = new OpenSeadragon.Point(event.originalEvent.offsetX,event.originalEvent.offsetY);
+                const handle = _getEditHandlePoints(regionEditor.getEditedRegion())[i];
+                const vertex_pos = coordinateHelper.imageToWeb(handle);
+                mouse_offset = mouse_pos.minus(vertex_pos);
+            },
+            releaseHandler: function(event) {
+                tmapp.setCursorStatus({held: false});
+            },
+            dragHandler: function(event) {
+                // The edits are only made to the draft until editing stops
+                const draft = regionEditor.getEditedRegion();
+                const mouse_pos = new OpenSeadragon.Point(event.originalEvent.offsetX,event.originalEvent.offsetY);
+                const vertex_new_pos = coordinateHelper.webToImage(mouse_pos.minus(mouse_offset));
+                if (draft.shape) {
+                    regionEditor.setShape(_getShapeFromHandle(draft.shape, i, vertex_new_pos));
+                }
+                else {
+                    regionEditor.moveVertex(i, vertex_new_pos);
+                }
+                const viewportCoords = coordinateHelper.pageToViewport({
+                    x: event.originalEvent.pageX,
+                    y: event.originalEvent.pageY
+                });
+                tmapp.setCursorStatus(viewportCoords);
+            }
+        }).setTracking(true);
+    }
+
+    function _addEditEdgeMouseEvents(node) {
+        new OpenSeadragon.MouseTracker({
+            element: node,
+            clickHandler: function(event) {
+                const rect1 = event.eventSource.element.getBoundingClientRect();
+                const rect2 = tmapp.mouseHandler().element.getBoundingClientRect();
+                const position = new OpenSeadragon.Point(
+                    event.position.x + rect1.left - rect2.left,
+                    event.position.y + rect1.top - rect2.top
+                );
+                const edge = d3.select(node).datum();
+                const point = _getPointOnEdge(edge, coordinateHelper.webToImage(position));
+                regionEditor.insertVertex(edge.index, point);
+            }
+        }).setTracking(true);
+    }
+
+    function _updateRegionEditControls(selection, d) {
+        selection.select(".region-edit-edges")
+            .selectAll("path")
+            .data(_getEditEdges(d))
+            .join(enter => enter.append("path")
+                .attr("fill", "none")
+                .attr("stroke", "transparent")
+                .style("pointer-events", "stroke")
+                .style("cursor", "copy")
+                .each(function() { _addEditEdgeMouseEvents(this); })
+            )
+            .attr("d", edge => _getRingPath([edge.start, edge.end], false))
+            .attr("stroke-width", 4 * _regionStrokeWidth());
+        selection.select(".region-edit-handles")
+            .selectAll("g")
+            .data(_getEditHandlePoints(d))
+            .join(enter => enter.append("g")
+                .call(group =>
+                    group.append("path")
+                        .attr("d", d3.symbol().size(500).type(d3.symbolCircle))
+                        .attr("transform", "scale(0)")
+                        .style("cursor", "move")
+                        .transition("appear").duration(250)
+                        .attr("transform", "scale(1)")
+                )
+                .each(function(point, i) { _addEditHandleMouseEvents(this, i); })
+            )
+            .attr("transform", point => {
+                const coords = _imageToOverlay(point);
+                return `translate(${coords.x}, ${coords.y}), scale(${_regionHandleSize()})`;
+            })
+            .select("path")
+            .style("fill", _getAnnotationColor(d));
+    }
+
     function _removeRegionEditControls(d, node) {
         const selection = d3.select(node);
         if (selection.attr("data-being-edited")) {
+            selection.select(".region-edit-edges").remove();
             selection.selectAll(".region-edit-handles g path")
                 .transition("appear").duration(250)
                 .attr("transform", "scale(0)")
@@ -178,91 +443,52 @@ const overlayHandler = (function (){
     function _createRegionEditControls(d, node) {
         const selection = d3.select(node);
         if (!selection.attr("data-being-edited")) {
-            selection.attr("data-being-edited", true)
-                .append("g")
-                .attr("class", "region-edit-handles")
-                .call(group => {
-                    d.points.forEach((point, i) => {
-                        group.append("g")
-                            .attr("transform", d => {
-                                const viewport = coordinateHelper.imageToViewport(point);
-                                const coords = coordinateHelper.viewportToOverlay(viewport);
-                                return `translate(${coords.x}, ${coords.y}), scale(${_regionHandleSize()})`;
-                            })
-                            .append("path")
-                            .attr("d", d3.symbol().size(500).type(d3.symbolCircle))
-                            .attr("transform", "scale(0)")
-                            .style("fill", _getAnnotationColor)
-                            .style("cursor", "move")
-                            .transition("appear").duration(250)
-                            .attr("transform", "scale(1)")
-                            .call(path => {
-                                let mouse_offset; //offset (in webCoords) between mouse click and vertex
-                                new OpenSeadragon.MouseTracker({
-                                    element: path.node(),
-                                    pressHandler: function(event) {
-                                        tmapp.setCursorStatus({held: true});
-                                        const mouse_pos = new OpenSeadragon.Point(event.originalEvent.offsetX,event.originalEvent.offsetY);
-                                        const vertex_pos = coordinateHelper.imageToWeb(annotationHandler.getAnnotationById(d.id).points[i]);
-                                        mouse_offset = mouse_pos.minus(vertex_pos);
-                                    },
-                                    releaseHandler: function(event) {
-                                        tmapp.setCursorStatus({held: false});
-                                    },
-                                    dragHandler: function(event) {
-                                        // Use a clone of the annotation to make sure the edit is permitted
-                                        const dClone = annotationHandler.getAnnotationById(d.id);
-                                        const pointClone = dClone.points[i];
-                                        const mouse_pos = new OpenSeadragon.Point(event.originalEvent.offsetX,event.originalEvent.offsetY);
-                                        const vertex_new_pos = coordinateHelper.webToImage(mouse_pos.minus(mouse_offset));
-                                        Object.assign(pointClone,vertex_new_pos);
-                                        annotationHandler.update(d.id, dClone, "image");
-                                        const viewportCoords = coordinateHelper.pageToViewport({
-                                            x: event.originalEvent.pageX,
-                                            y: event.originalEvent.pageY
-                                        });
-                                        tmapp.setCursorStatus(viewportCoords);
-                                    }
-                                }).setTracking(true);
-                            });
-                    });
-                });
+            selection.attr("data-being-edited", true);
+            selection.append("g")
+                .attr("class", "region-edit-edges");
+            selection.append("g")
+                .attr("class", "region-edit-handles");
+            _updateRegionEditControls(selection, d);
         }
     }
 
     /**
-     * Add mouse events that should be shared between all annotations,
-     * both markers and regions. These include handlers for dragging an
-     * annotation, ctrl-clicking to remove, and right clicking for
-     * options.
-     * @param {Object} d The data object given by d3.
-     * @param {Object} node The node for the annotation.
+     * Get the mouse handlers that should be shared between all
+     * annotations, both markers and regions, whether they are drawn in
+     * the SVG overlay or on the canvas. These include handlers for
+     * dragging an annotation, ctrl-clicking to remove, and right
+     * clicking for options.
+     * @param {Object} d The annotation.
+     * @param {Function} isBeingEdited Function returning whether or not
+     * the annotation is currently being edited.
+     * @param {Function} forward Function called with the name of the
+     * handler and the event when the event should be handled by the
+     * viewer rather than by the annotation.
+     * @returns {Object} The handlers, named as in OpenSeadragon.MouseTracker.
      */
-    function _addAnnotationMouseEvents(d, node) {
+    function _getAnnotationMouseHandlers(d, isBeingEdited, forward) {
         let mouse_offset; //offset (in webCoords) between mouse click and object
+        let last_pos; //previous mouse position (in imageCoords) when moving an edited region
 
-        function toggleEditing(d, node) {
-            const selection = d3.select(node);
-            if (selection.attr("data-being-edited")) {
+        function toggleEditing() {
+            if (isBeingEdited()) {
                 regionEditor.stopEditingRegionIfBeingEdited(d.id);
             }
             else {
                 regionEditor.startEditingRegion(d.id);
             }
         }
-        new OpenSeadragon.MouseTracker({
-            element: node,
+        return {
             clickHandler: function(event) {
                 regionEditor.stopEditingRegion();
-                if (event.originalEvent.ctrlKey) {
-                    annotationHandler.remove(d.id);
+                if (event.originalEvent.shiftKey) {
+                    annotationSelection.toggle(d.id);
+                }
+                else if (event.originalEvent.ctrlKey) {
+                    annotationTool.isEnabled() && annotationHandler.remove(d.id);
                 }
                 else if (getActiveAnnotationOverlay()==="region") {
-                    const rect1 = event.eventSource.element.getBoundingClientRect(); //There must be an easier way
-                    const rect2 = tmapp.mouseHandler().element.getBoundingClientRect(); //Possibly OSD 2.5 
-                    event.position.x+=rect1.left-rect2.left; //https://github.com/openseadragon/openseadragon/issues/1652
-                    event.position.y+=rect1.top-rect2.top;
-                    tmapp.mouseHandler().clickHandler( event );
+                    forward("clickHandler", event);
                 }
             },
             dblClickHandler: function(event) { 
@@ -270,11 +496,10 @@ const overlayHandler = (function (){
                 annotationTool.resetIfYounger(event.eventSource.dblClickTimeThreshold); 
 
                  if (annotationTool.isEditing()) { //If editing, allow dblClick->complete
-                    const rect1 = event.eventSource.element.getBoundingClientRect();
-                    const rect2 = tmapp.mouseHandler().element.getBoundingClientRect();
-                    event.position.x+=rect1.left-rect2.left;
-                    event.position.y+=rect1.top-rect2.top;
-                    tmapp.mouseHandler().dblClickHandler( event );
+                    forward("dblClickHandler", event);
+                }
+                else if (!annotationTool.isEnabled()) {
+                    return; // Annotations can't be edited
                 }
                 else if (event.pointerType === 'touch') { // If touch
                     const location = {
@@ -284,22 +509,36 @@ const overlayHandler = (function (){
                     tmappUI.openAnnotationEditMenu(d.id, location);
                 }   
                 else {
-                    toggleEditing(d, node);
+                    toggleEditing();
                 }        
             },
             pressHandler: function(event) {
                 tmapp.setCursorStatus({held: true});
+                annotationHistory.startGroup(); // Undo the whole drag at once
                 const mouse_pos = new OpenSeadragon.Point(event.originalEvent.offsetX,event.originalEvent.offsetY);
                 const object_pos = coordinateHelper.imageToWeb(annotationHandler.getAnnotationById(d.id).centroid);
                 mouse_offset = mouse_pos.minus(object_pos);
+                last_pos = coordinateHelper.webToImage(mouse_pos);
             },
             releaseHandler: function(event) {
                 tmapp.setCursorStatus({held: false});
+                annotationHistory.endGroup();
             },
             dragHandler: function(event) {
+                const mouse_pos = new OpenSeadragon.Point(event.originalEvent.offsetX,event.originalEvent.offsetY);
+                const draft = regionEditor.getEditedRegion();
+                if (draft && draft.id === d.id && annotationTool.isEnabled()) {
+                    // Regions being edited are moved as part of the edit
+                    const new_pos = coordinateHelper.webToImage(mouse_pos);
+                    regionEditor.moveRegion(new_pos.minus(last_pos));
+                    last_pos = new_pos;
+                    return;
+                }
                 regionEditor.stopEditingRegion();
+                if (!annotationTool.isEnabled()) {
+                    return;
+                }
 
-                const mouse_pos = new OpenSeadragon.Point(event.originalEvent.offsetX,event.originalEvent.offsetY);
                 const object_new_pos = coordinateHelper.webToImage(mouse_pos.minus(mouse_offset)); //imageCoords
 
                 // Use a clone of the annotation to make sure the edit is permitted
@@ -307,7 +546,7 @@ const overlayHandler = (function (){
                 const object_pos = dClone.centroid; //current pos imageCoords
 
                 const delta = object_new_pos.minus(object_pos);
-                dClone.points.forEach(point => {
+                _getRings(dClone).flat().forEach(point => {
                     point.x += delta.x;
                     point.y += delta.y;
                 });
@@ -320,7 +559,7 @@ const overlayHandler = (function (){
                 tmapp.setCursorStatus(viewportCoords);
             },
             nonPrimaryReleaseHandler: function(event) {
-                if (event.button === 2) { // If right click
+                if (event.button === 2 && annotationTool.isEnabled()) { // If right click
                     const location = {
                         x: event.originalEvent.pageX,
                         y: event.originalEvent.pageY
@@ -328,7 +567,31 @@ const overlayHandler = (function (){
                     tmappUI.openAnnotationEditMenu(d.id, location);
                 }
             }          
-        }).setTracking(true);
+        };
+    }
+
+    /**
+     * Add the shared mouse events to the SVG node of an annotation.
+     * Events that should be handled by the viewer are passed on to its
+     * mouse handler.
+     * @param {Object} d The data object given by d3.
+     * @param {Object} node The node for the annotation.
+     */
+    function _addAnnotationMouseEvents(d, node) {
+        function isBeingEdited() {
+            return Boolean(d3.select(node).attr("data-being-edited"));
+        }
+        function forward(handlerName, event) {
+            const rect1 = event.eventSource.element.getBoundingClientRect(); //There must be an easier way
+            const rect2 = tmapp.mouseHandler().element.getBoundingClientRect(); //Possibly OSD 2.5 
+            event.position.x+=rect1.left-rect2.left; //https://github.com/openseadragon/openseadragon/issues/1652
+            event.position.y+=rect1.top-rect2.top;
+            tmapp.mouseHandler()[handlerName]( event );
+        }
+        new OpenSeadragon.MouseTracker(Object.assign(
+            {element: node},
+            _getAnnotationMouseHandlers(d, isBeingEdited, forward)
+        )).setTracking(true);
     }
 
     function _addMarkerMouseEvents(d, node) {
@@ -381,7 +644,7 @@ const overlayHandler = (function (){
                 .selectAll(".region-area")
                 .transition("highlight").duration(200)
                 .attr("stroke", _getAnnotationColor)
-                .attr("fill", _getAnnotationColor)
+                .attr("fill", _getRegionFill)
                 .attr("fill-opacity", 0.4);
         }
 
@@ -390,7 +653,7 @@ const overlayHandler = (function (){
                 .selectAll(".region-area")
                 .transition("highlight").duration(200)
                 .attr("stroke", _getAnnotationColor)
-                .attr("fill", _getAnnotationColor)
+                .attr("fill", _getRegionFill)
                 .attr("fill-opacity", 0.2);
         }
 
@@ -414,8 +677,9 @@ const overlayHandler = (function (){
                     .attr("d", d3.symbol().size(_markerSquareSize).type(d3.symbolSquare))
                     .attr("transform", "rotate(0) scale(0)")
                     .attr("stroke-width", _markerSquareStrokeWidth)
+                    .attr("stroke-dasharray", _markerDashArray)
                     .attr("stroke", _getAnnotationColor)
-                    .style("fill","rgba(0,0,0,0.2)")
+                    .style("fill", _getMarkerFill)
                     .transition("appear").duration(250)
                     .attr("transform", _transformFunction({
                         rotate: 45,
@@ -465,6 +729,7 @@ const overlayHandler = (function (){
             }))
             .selectAll("path")
             .filter((d, i) => i === 0)
+            .attr("stroke-dasharray", _markerDashArray)
             .transition("changeColor").duration(500)
             .attr("stroke", _getAnnotationColor);
         if (_markerText) {
@@ -492,8 +757,10 @@ const overlayHandler = (function (){
                     .attr("d", _getRegionPath)
                     .attr("stroke", _getAnnotationColor)
                     .attr("stroke-width", _regionStrokeWidth())
-                    .attr("fill", _getAnnotationColor)
+                    .attr("stroke-dasharray", _regionDashArray)
+                    .attr("fill", _getRegionFill)
                     .attr("fill-opacity", 0.2)
+                    .attr("fill-rule", "evenodd")
                     .attr("class", "region-area")
             )
             .attr("opacity", 1)
@@ -504,24 +771,14 @@ const overlayHandler = (function (){
         return update.call(update =>
                 update.select(".region-area")
                     .attr("d", _getRegionPath)
+                    .attr("stroke-dasharray", _regionDashArray)
                     .transition("changeColor").duration(500)
                     .attr("stroke", _getAnnotationColor)
-                    .attr("fill", _getAnnotationColor)
+                    .attr("fill", _getRegionFill)
             )
             .call(update =>
-                update.selectAll(".region-edit-handles g")
-                    .each(function(d, i) {
-                        const point = d.points[i];
-                        d3.select(this)
-                            .attr("transform", _transformFunction(function(d) {
-                                const viewport = coordinateHelper.imageToViewport(point);
-                                const coords = coordinateHelper.viewportToOverlay(viewport);
-                                return {translate: [coords.x, coords.y]};
-                            }));
-                    })
-                    .select("path")
-                    .transition("changeColor").duration(500)
-                    .style("fill", _getAnnotationColor)
+                update.filter(function() { return d3.select(this).attr("data-being-edited"); })
+                    .each(function(d) { _updateRegionEditControls(d3.select(this), d); })
             );
     }
 
@@ -603,6 +860,8 @@ const overlayHandler = (function (){
      * Clear all annotations currently in the overlay, in case you need to quickly replace them.
      */
     function clearAnnotations(){
+        _drawnAnnotations = [];
+        canvasOverlay.setAnnotations([]);
         if (_markerOverlay)
             _markerOverlay.selectAll("g").remove();
         if (_regionOverlay)
@@ -612,16 +871,32 @@ const overlayHandler = (function (){
 
     /**
      * Use d3 to update annotations, adding new ones and removing old ones.
-     * The annotations are identified by their id.
+     * The annotations are identified by their id. If there are too many
+     * annotations for the SVG overlay to handle, they are drawn on the
+     * canvas layer instead, except for any region being edited.
      * @param {Array} annotations The currently placed annotations.
      */
     function updateAnnotations(annotations){
         updateAnnotations.inProgress(true); //No function 'self' existing
+        _drawnAnnotations = annotations;
+        _useCanvas = annotations.length > _canvasThreshold;
+        if (_useCanvas) {
+            // The region being edited needs the editing controls of the SVG overlay
+            canvasOverlay.setAnnotations(annotations.filter(annotation => annotation.id !== _editedRegionId));
+            annotations = annotations.filter(annotation => annotation.id === _editedRegionId);
+        }
+        else {
+            canvasOverlay.setAnnotations([]);
+            _setHoveredId(null);
+        }
         const markers = annotations.filter(annotation =>
             annotation.points.length === 1
         );
+        // Regions being edited are shown with the edits made so far
         const regions = annotations.filter(annotation =>
             annotation.points.length > 1
+        ).map(annotation =>
+            _editedRegion && _editedRegion.id === annotation.id ? _editedRegion : annotation
         );
 
         const doneMarkers = new Promise((resolve, reject) => {
@@ -690,12 +965,92 @@ const overlayHandler = (function (){
     // Boolean to check if we're busy rendering
     updateAnnotations.inProgress = (function () { let flag = false; return (set=null) => { if (set!=null) flag=set; return flag; }} )();
 
+    function _drawPreview() {
+        if (!_previewOverlay) {
+            return;
+        }
+        const markers = _previewAnnotations.filter(annotation =>
+            annotation.points.length === 1
+        );
+        const regions = _previewAnnotations.filter(annotation =>
+            annotation.points.length > 1
+        );
+        _previewOverlay.selectAll(".preview-region")
+            .data(regions, d => d.id)
+            .join(
+                enter => enter.append("path")
+                    .attr("class", "preview-region")
+                    .attr("stroke-width", _regionStrokeWidth())
+                    .attr("stroke-dasharray", 2 * _regionStrokeWidth())
+                    .attr("fill", "none")
+            )
+            .attr("d", _getRegionPath)
+            .attr("stroke", _getAnnotationColor);
+        _previewOverlay.selectAll(".preview-marker")
+            .data(markers, d => d.id)
+            .join(
+                enter => enter.append("g")
+                    .attr("class", "preview-marker")
+                    .call(group =>
+                        group.append("path")
+                            .attr("d", d3.symbol().size(_markerSquareSize).type(d3.symbolCircle))
+                            .attr("stroke-width", _markerSquareStrokeWidth)
+                            .attr("stroke-dasharray", _markerSquareStrokeWidth)
+                            .style("fill", "none")
+                    )
+            )
+            .attr("transform", d => {
+                const viewport = coordinateHelper.imageToViewport(d.points[0]);
+                const coords = coordinateHelper.viewportToOverlay(viewport);
+                return `translate(${coords.x}, ${coords.y}) scale(${_markerSize()})`;
+            })
+            .select("path")
+            .attr("stroke", _getAnnotationColor);
+    }
+
+    /**
+     * Show the annotations of a version that isn't the current one in
+     * a separate layer. The layer is drawn with dashed outlines on top of
+     * the current annotations, and can't be interacted with.
+     * @param {Array<Object>} annotations The annotations to show,
+     * expressed in image coordinates.
+     */
+    function setPreviewAnnotations(annotations) {
+        _previewAnnotations = annotations;
+        _drawPreview();
+    }
+
+    /**
+     * Remove the annotations shown in the preview layer.
+     */
+    function clearPreviewAnnotations() {
+        setPreviewAnnotations([]);
+    }
+
+    /**
+     * Set whether the preview layer and the layers of the current
+     * annotations should be shown, so that they can be compared.
+     * @param {boolean} showPreview Whether the preview layer is shown.
+     * @param {boolean} showCurrent Whether the current annotations are shown.
+     */
+    function setPreviewVisibility(showPreview, showCurrent) {
+        if (!_previewOverlay) {
+            return;
+        }
+        _previewOverlay.style("visibility", showPreview ? null : "hidden");
+        canvasOverlay.setStyle({visible: showCurrent});
+        _regionOverlay.style("visibility", showCurrent ? null : "hidden");
+        _markerOverlay.style("visibility", showCurrent ? null : "hidden");
+    }
+
     /**
      * Update the visuals for the pending region.
      * @param {Object} annotation The current state of the pending region,
      * expressed in image coordinates.
+     * @param {string} [label] Text to show next to the last point of
+     * the pending region, such as its current length.
      */
-    function updatePendingRegion(annotation) {
+    function updatePendingRegion(annotation, label) {
         let data = [];
         if (annotation)
             data = [annotation];
@@ -707,12 +1062,30 @@ const overlayHandler = (function (){
                     .attr("stroke", _getAnnotationColor)
                     .attr("stroke-width", _regionStrokeWidth())
                     .attr("stroke-dasharray", _regionStrokeWidth())
-                    .attr("fill", _getAnnotationColor)
+                    .attr("fill", _getRegionFill)
                     .attr("fill-opacity", 0.05),
                 update => update.attr("d", _getRegionPath)
                     .attr("stroke", _getAnnotationColor)
-                    .attr("fill", _getAnnotationColor)
+                    .attr("fill", _getRegionFill)
             );
+        _pendingRegionOverlay.selectAll("text")
+            .data(label ? data : [])
+            .join(
+                enter => enter.append("text")
+                    .attr("font-size", _measurementFontSize())
+                    .attr("stroke", "black")
+                    .attr("stroke-width", 0.2 * _measurementFontSize())
+                    .attr("dx", "0.5em")
+                    .attr("dy", "-0.5em")
+                    .style("paint-order", "stroke")
+                    .style("pointer-events", "none")
+            )
+            .attr("transform", d => {
+                const coords = _imageToOverlay(d.points[d.points.length - 1]);
+                return `translate(${coords.x}, ${coords.y}) rotate(${-_rotation})`;
+            })
+            .attr("fill", _getAnnotationColor)
+            .text(label);
     }
 
     /**
@@ -721,9 +1094,12 @@ const overlayHandler = (function (){
      * the region.
      */
     function startRegionEdit(id) {
+        _editedRegionId = id;
         if (!_regionOverlay) {
             return;
         }
+        // Move the region from the canvas to the SVG overlay
+        _useCanvas && updateAnnotations(_drawnAnnotations);
         _regionOverlay.selectAll(".region")
             .filter(d => d.id === id)
             .each(function(d) { _createRegionEditControls(d, this); });
@@ -735,12 +1111,44 @@ const overlayHandler = (function (){
      * the region.
      */
     function stopRegionEdit(id) {
+        if (_editedRegion && _editedRegion.id === id) {
+            _editedRegion = null;
+        }
         if (!_regionOverlay) {
             return;
         }
-        _regionOverlay.selectAll(".region")
+        const region = _regionOverlay.selectAll(".region")
             .filter(d => d.id === id)
             .each(function(d) { _removeRegionEditControls(d, this); });
+
+        // Show the region as it is stored rather than any discarded edits
+        const annotation = annotationHandler.getAnnotationById(id);
+        if (annotation) {
+            region.datum(annotation).call(_updateRegion);
+        }
+
+        // Move the region back to the canvas
+        if (_editedRegionId === id) {
+            _editedRegionId = null;
+            _useCanvas && updateAnnotations(_drawnAnnotations);
+        }
+    }
+
+    /**
+     * Show the edits made so far to a region that is being edited,
+     * without changing the stored annotation.
+     * @param {Object} draft The edited version of the annotation,
+     * expressed in image coordinates.
+     */
+    function updateEditedRegion(draft) {
+        _editedRegion = draft;
+        if (!_regionOverlay) {
+            return;
+        }
+        _regionOverlay.selectAll(".region")
+            .filter(d => d.id === draft.id)
+            .datum(draft)
+            .call(_updateRegion);
     }
 
     /**
@@ -756,11 +1164,15 @@ const overlayHandler = (function (){
         _resizeMembers();
         _resizeMarkers();
         _resizeRegions();
+        _resizePreview();
+        _updateCanvasStyle();
     }
 
     function setMarkerScale(scale) {
         _markerScale=scale;
         _resizeMarkers();
+        _resizePreview();
+        _updateCanvasStyle();
     }
 
     /**
@@ -781,6 +1193,7 @@ const overlayHandler = (function (){
      */
     function setActiveAnnotationOverlay(name) {
         _activeAnnotationOverlayName = name;
+        _updateCanvasStyle();
         if (!_regionOverlay || !_markerOverlay)
             return;
 
@@ -809,6 +1222,127 @@ const overlayHandler = (function (){
         return _activeAnnotationOverlayName;
     }
 
+    /**
+     * Set which annotations should be shown as selected.
+     * @param {Array<number>} ids The ids of the selected annotations.
+     */
+    function setSelectedAnnotations(ids) {
+        _selectedIds = new Set(ids);
+        _updateCanvasStyle();
+        if (_regionOverlay) {
+            _regionOverlay.selectAll(".region-area")
+                .attr("stroke-dasharray", _regionDashArray);
+        }
+        if (_markerOverlay) {
+            _markerOverlay.selectAll("g")
+                .select("path")
+                .style("fill", _getMarkerFill);
+        }
+    }
+
+    function _setHoveredId(id) {
+        if (_hoveredId !== id) {
+            _hoveredId = id;
+            _updateCanvasStyle();
+        }
+    }
+
+    /**
+     * Let the annotations drawn on the canvas layer handle a mouse event
+     * in the viewer. As they have no elements of their own, the viewer's
+     * mouse handler should call this for each event before handling it
+     * itself, and the annotation under the mouse is looked up instead.
+     * @param {string} handlerName The name of the handler receiving the
+     * event, as in OpenSeadragon.MouseTracker, e.g. "clickHandler".
+     * @param {Object} event The event received by the handler.
+     * @returns {boolean} Whether or not the event was handled by an
+     * annotation, in which case the viewer should ignore it.
+     */
+    function handleCanvasMouseEvent(handlerName, event) {
+        // Drags continue even if the mouse leaves the annotation
+        if (handlerName === "dragHandler" || handlerName === "releaseHandler") {
+            if (!_canvasTarget) {
+                return false;
+            }
+            _canvasTarget[handlerName](event);
+            if (handlerName === "releaseHandler") {
+                _canvasTarget = null;
+            }
+            return true;
+        }
+        if (!_useCanvas) {
+            return false;
+        }
+        if (handlerName === "exitHandler") {
+            _setHoveredId(null);
+            return false;
+        }
+        const d = canvasOverlay.getAnnotationAt(event.position, getActiveAnnotationOverlay());
+        if (handlerName === "moveHandler") {
+            _setHoveredId(d ? d.id : null);
+            return false;
+        }
+        if (!d) {
+            return false;
+        }
+        let forwarded = false;
+        // Regions on the canvas are never being edited, as those are moved to the SVG overlay
+        const handlers = _getAnnotationMouseHandlers(d, () => false, () => forwarded = true);
+        handlers[handlerName](event);
+        if (handlerName === "pressHandler") {
+            _canvasTarget = handlers;
+        }
+        return !forwarded;
+    }
+
+    /**
+     * Check whether or not an annotation on the canvas layer is being
+     * dragged, in which case the viewport shouldn't be panned.
+     * @returns {boolean} Whether or not an annotation is being dragged.
+     */
+    function capturesDrag() {
+        return _canvasTarget !== null;
+    }
+
+    /**
+     * Draw the box used for selecting annotations by dragging.
+     * @param {Object} corner1 One corner of the box, expressed in web
+     * coordinates.
+     * @param {Object} corner2 The opposite corner of the box, expressed
+     * in web coordinates.
+     */
+    function updateSelectionBox(corner1, corner2) {
+        if (!_selectionBoxOverlay) {
+            return;
+        }
+        // The box is aligned with the screen, so it is rotated along with the image
+        const points = [
+            corner1,
+            {x: corner2.x, y: corner1.y},
+            corner2,
+            {x: corner1.x, y: corner2.y}
+        ].map(point =>
+            coordinateHelper.viewportToOverlay(coordinateHelper.webToViewport(point))
+        );
+        _selectionBoxOverlay.selectAll("polygon")
+            .data([points])
+            .join(enter => enter.append("polygon")
+                .attr("stroke", "white")
+                .attr("fill", "white")
+                .attr("fill-opacity", 0.1)
+            )
+            .attr("stroke-width", _regionStrokeWidth())
+            .attr("stroke-dasharray", 2 * _regionStrokeWidth())
+            .attr("points", points.map(point => `${point.x},${point.y}`).join(" "));
+    }
+
+    /**
+     * Remove the box used for selecting annotations by dragging.
+     */
+    function clearSelectionBox() {
+        _selectionBoxOverlay && _selectionBoxOverlay.selectAll("polygon").remove();
+    }
+
     /**
      * Initialize the overlay handler. Should be called whenever OSD is
      * initialized.
@@ -826,16 +1360,32 @@ const overlayHandler = (function (){
         const markers = d3.select(svgOverlay.node())
             .append("g")
             .attr("id", "markers");
+        const preview = d3.select(svgOverlay.node())
+            .append("g")
+            .attr("id", "preview")
+            .style("pointer-events", "none");
+        const selectionBox = d3.select(svgOverlay.node())
+            .append("g")
+            .attr("id", "selectionBox")
+            .style("pointer-events", "none");
         const cursors = d3.select(svgOverlay.node())
             .append("g")
             .attr("id", "cursors");
         _regionOverlay = d3.select(regions.node());
         _pendingRegionOverlay = d3.select(pendingRegion.node());
         _markerOverlay = d3.select(markers.node());
+        _previewOverlay = d3.select(preview.node());
+        _selectionBoxOverlay = d3.select(selectionBox.node());
         _cursorOverlay = d3.select(cursors.node());
         _previousCursors = d3.local();
         if (_activeAnnotationOverlayName)
             setActiveAnnotationOverlay(_activeAnnotationOverlayName);
+        _previewAnnotations = [];
+        _drawnAnnotations = [];
+        _editedRegionId = null;
+        _canvasTarget = null;
+        _hoveredId = null;
+        _updateCanvasStyle();
     }
 
     return {
@@ -844,7 +1394,16 @@ const overlayHandler = (function (){
         updatePendingRegion,
         startRegionEdit,
         stopRegionEdit,
+        updateEditedRegion,
         clearAnnotations,
+        setPreviewAnnotations,
+        clearPreviewAnnotations,
+        setPreviewVisibility,
+        setSelectedAnnotations,
+        updateSelectionBox,
+        clearSelectionBox,
+        handleCanvasMouseEvent,
+        capturesDrag,
         setOverlayScale,
         setMarkerScale,
         setOverlayRotation,
@@ -0,0 +1,209 @@
+/**
+ * Review mode for triaging the annotations added by models. The
+ * predicted annotations that haven't been reviewed yet are stepped
+ * through from the highest prediction score to the lowest, and each one
+ * can be accepted, rejected or reclassified with a single key.
+ * @namespace predictionReview
+ */
+const predictionReview = (function() {
+    "use strict";
+
+    let _active = false;
+    let _queue = []; // Ids of the annotations left to review, in order
+    let _currentId = null;
+
+    function _setMessage(message) {
+        $("#review-message").text(message || "");
+    }
+
+    function _isUnreviewed(annotation) {
+        return annotation && annotation.predicted && !annotation.review;
+    }
+
+    function _getUnreviewedIds() {
+        const unreviewed = [];
+        annotationHandler.forEachAnnotation(annotation => {
+            _isUnreviewed(annotation) && unreviewed.push(annotation);
+        });
+        // Annotations without a score are reviewed last
+        const score = annotation => Number.isFinite(annotation.prediction) ? annotation.prediction : -Infinity;
+        return unreviewed.sort((a, b) => score(b) - score(a)).map(annotation => annotation.id);
+    }
+
+    function _updateControls(annotation) {
+        const text = Number.isFinite(annotation.prediction)
+            ? `${annotation.mclass} (${annotation.prediction.toFixed(4)})`
+            : `${annotation.mclass}`;
+        $("#review-text").text(`${_queue.length} left to review: ${text}`);
+
+        const classSelect = $("#review-class");
+        classSelect.empty();
+        classUtils.forEachClass(entry => {
+            classSelect.append($("<option></option>").val(entry.name).text(entry.name));
+        });
+        classSelect.val(annotation.mclass);
+    }
+
+    function _showNext() {
+        // Annotations may have been reviewed or removed by collaborators in the meantime
+        let annotation;
+        while (_queue.length > 0 && !_isUnreviewed(annotation = annotationHandler.getAnnotationById(_queue[0]))) {
+            _queue.shift();
+        }
+        if (_queue.length === 0) {
+            stop();
+            alert("All predicted annotations have been reviewed.");
+            return;
+        }
+        _currentId = _queue[0];
+        annotationSelection.clear();
+        annotationSelection.select(_currentId);
+        tmapp.moveToAnnotation(annotation);
+        _updateControls(annotation);
+        _setMessage(null);
+    }
+
+    function _decide(decideFun) {
+        if (!_active || _currentId === null) {
+            return;
+        }
+        if (!annotationTool.isEnabled()) {
+            _setMessage("The annotations can't be edited right now.");
+            return;
+        }
+        decideFun([_currentId]);
+        _queue.shift();
+        _showNext();
+    }
+
+    /**
+     * Start reviewing the predicted annotations that haven't been
+     * reviewed yet, moving to the one with the highest score.
+     * @returns {boolean} Whether or not there was anything to review.
+     */
+    function start() {
+        _queue = _getUnreviewedIds();
+        if (_queue.length === 0) {
+            return false;
+        }
+        _active = true;
+        $("#review-bar").removeClass("d-none");
+        _showNext();
+        return true;
+    }
+
+    /**
+     * Stop reviewing the predicted annotations.
+     */
+    function stop() {
+        _active = false;
+        _queue = [];
+        _currentId = null;
+        $("#review-bar").addClass("d-none");
+        annotationSelection.clear();
+    }
+
+    /**
+     * Check whether or not the predicted annotations are being reviewed.
+     * @returns {boolean} Whether or not review mode is active.
+     */
+    function isActive() {
+        return _active;
+    }
+
+    /**
+     * Accept the annotation currently being reviewed and move on.
+     */
+    function accept() {
+        _decide(predictions.confirm);
+    }
+
+    /**
+     * Reject the annotation currently being reviewed and move on.
+     */
+    function reject() {
+        _decide(predictions.reject);
+    }
+
+    /**
+     * Give the annotation currently being reviewed another class and
+     * move on.
+     * @param {string} mclass The name of the new class.
+     */
+    function reclassify(mclass) {
+        _decide(ids => predictions.reclassify(ids, mclass));
+    }
+
+    /**
+     * Move on without deciding about the annotation currently being
+     * reviewed. It is reviewed again once the others have been.
+     */
+    function skip() {
+        if (_active && _queue.length > 0) {
+            _queue.push(_queue.shift());
+            _showNext();
+        }
+    }
+
+    /**
+     * Handle a key being pressed while in review mode. The a key
+     * accepts the current annotation, r rejects it, the digit keys
+     * reclassify it as the class with that number, space skips it and
+     * escape stops the review.
+     * @param {KeyboardEvent} event The keydown event.
+     * @returns {boolean} Whether or not the key was used.
+     */
+    function handleKey(event) {
+        if (!_active) {
+            return false;
+        }
+        switch (event.which) {
+            case 65: // a
+                accept();
+                return true;
+            case 82: // r
+                reject();
+                return true;
+            case 32: // space
+                skip();
+                return true;
+            case 27: // esc
+                stop();
+                return true;
+        }
+        // Digit keys, also on the numpad, in the same order as the class buttons
+        const digits = Array.from({length: 10}, (v, k) => String((k+1) % 10));
+        const index = digits.map(digit => digit.charCodeAt()).slice(0, classUtils.count())
+            .findIndex(char => event.which === char || event.which === char+48);
+        if (index !== -1) {
+            reclassify(classUtils.getClassFromID(index).name);
+            return true;
+        }
+        return false;
+    }
+
+    function init() {
+        $("#review_predictions").click(() => {
+            start() || alert("There are no predicted annotations left to review.");
+        });
+        $("#review-accept").click(accept);
+        $("#review-reject").click(reject);
+        $("#review-reclassify").click(() => reclassify($("#review-class").val()));
+        $("#review-skip").click(skip);
+        $("#review-stop").click(stop);
+        // Keep the focus off the buttons, so that the space key doesn't press them again
+        $("#review-bar button").click(event => event.currentTarget.blur());
+    }
+
+    return {
+        start: start,
+        stop: stop,
+        isActive: isActive,
+        accept: accept,
+        reject: reject,
+        reclassify: reclassify,
+        skip: skip,
+        handleKey: handleKey,
+        init: init
+    };
+})();
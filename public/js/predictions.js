@@ -0,0 +1,375 @@
+/**
+ * Imports the output of external models, such as detections and
+ * classifications, as predictions. Each prediction is either attached
+ * to an existing annotation, found by its id or by being close to the
+ * prediction, or added as a new predicted annotation. Predicted
+ * annotations are drawn differently from other annotations until
+ * someone confirms, rejects or reclassifies them, and the decision is
+ * recorded on the annotation.
+ * @namespace predictions
+ */
+const predictions = (function() {
+    "use strict";
+
+    // Largest distance in image pixels between a prediction and an annotation it is attached to
+    const _defaultMatchDistance = 10;
+    // Author of the predicted annotations if the model has no name
+    const _defaultModelName = "Model";
+    // Prefix of the columns with class probabilities in prediction tables
+    const _probabilityPrefix = "p_";
+
+    // Fields of the predictions read from tables
+    const _tableFields = ["id", "x", "y", "z", "mclass", "prediction"];
+
+    /**
+     * A single prediction made by a model.
+     * @typedef {Object} Prediction
+     * @property {number} [id] The id of the annotation the prediction
+     * is for.
+     * @property {Array<Object>} [points] The predicted point or the
+     * corners of the predicted region, in image coordinates.
+     * @property {number} [z] The z level of the prediction.
+     * @property {string} [mclass] The predicted class. Defaults to the
+     * class with the highest probability.
+     * @property {number} [score] The score of the prediction. Defaults
+     * to the probability of the predicted class.
+     * @property {Object} [probabilities] The probability of each class,
+     * by the names of the classes.
+     */
+    /**
+     * The predictions of a model, along with how to import them.
+     * @typedef {Object} PredictionSet
+     * @property {string} model The name of the model.
+     * @property {number} matchDistance The largest distance in image
+     * pixels between the centroids of a prediction and an annotation
+     * for the prediction to be attached to the annotation.
+     * @property {boolean} createUnmatched Whether or not predictions
+     * that can't be attached to an annotation are added as new
+     * predicted annotations.
+     * @property {Array<Prediction>} predictions The predictions.
+     */
+
+    function _toNumber(value) {
+        if (value === null || value === undefined || value === "") {
+            return undefined;
+        }
+        const number = Number(value);
+        return isFinite(number) ? number : undefined;
+    }
+
+    function _getPoints(entry) {
+        let points;
+        if (Array.isArray(entry.points)) {
+            points = entry.points.map(point => ({x: _toNumber(point.x), y: _toNumber(point.y)}));
+        }
+        else if (_toNumber(entry.x) !== undefined && _toNumber(entry.y) !== undefined) {
+            points = [{x: _toNumber(entry.x), y: _toNumber(entry.y)}];
+        }
+        const isValid = points
+            && (points.length === 1 || points.length >= 3)
+            && points.every(point => point.x !== undefined && point.y !== undefined);
+        return isValid ? points : undefined;
+    }
+
+    function _getProbabilities(entry) {
+        if (!entry.probabilities || typeof entry.probabilities !== "object") {
+            return undefined;
+        }
+        const probabilities = {};
+        Object.entries(entry.probabilities).forEach(([name, value]) => {
+            _toNumber(value) !== undefined && (probabilities[name] = _toNumber(value));
+        });
+        return Object.keys(probabilities).length > 0 ? probabilities : undefined;
+    }
+
+    function _toPrediction(entry) {
+        const prediction = {};
+        const id = _toNumber(entry.id);
+        Number.isInteger(id) && (prediction.id = id);
+        const points = _getPoints(entry);
+        points && (prediction.points = points);
+        const z = _toNumber(entry.z);
+        Number.isInteger(z) && (prediction.z = z);
+
+        const probabilities = _getProbabilities(entry);
+        probabilities && (prediction.probabilities = probabilities);
+        const mclass = entry.class || entry.mclass || (probabilities
+            && Object.keys(probabilities).reduce((a, b) => probabilities[a] >= probabilities[b] ? a : b));
+        mclass && (prediction.mclass = String(mclass));
+        const score = _toNumber(entry.score !== undefined ? entry.score : entry.prediction);
+        if (score !== undefined) {
+            prediction.score = score;
+        }
+        else if (probabilities && probabilities[prediction.mclass] !== undefined) {
+            prediction.score = probabilities[prediction.mclass];
+        }
+        return prediction;
+    }
+
+    // The annotation a prediction should be attached to, if any
+    function _findMatch(prediction, matchDistance, matchedIds) {
+        if (prediction.id !== undefined) {
+            const annotation = annotationHandler.getAnnotationById(prediction.id);
+            if (annotation) {
+                return annotation;
+            }
+        }
+        if (!prediction.points) {
+            return null;
+        }
+        const center = mathUtils.getCentroid(prediction.points);
+        const box = {
+            minX: center.x - matchDistance,
+            minY: center.y - matchDistance,
+            maxX: center.x + matchDistance,
+            maxY: center.y + matchDistance
+        };
+        let closest = null;
+        let closestDistance = matchDistance;
+        annotationHandler.getAnnotationsInBox(box).forEach(annotation => {
+            if (matchedIds.has(annotation.id)
+                || (prediction.z !== undefined && annotation.z !== prediction.z)) {
+                return;
+            }
+            const distance = Math.hypot(annotation.centroid.x - center.x, annotation.centroid.y - center.y);
+            if (distance <= closestDistance) {
+                closest = annotation;
+                closestDistance = distance;
+            }
+        });
+        return closest && annotationHandler.getAnnotationById(closest.id);
+    }
+
+    function _getPredicted(ids) {
+        return ids.map(annotationHandler.getAnnotationById)
+            .filter(annotation => annotation && annotation.predicted);
+    }
+
+    function _inSingleStep(edit) {
+        annotationHistory.startGroup();
+        collabClient.startBatch();
+        try {
+            edit();
+        }
+        finally {
+            collabClient.endBatch();
+            annotationHistory.endGroup();
+        }
+    }
+
+    /**
+     * Read a prediction file in JSON format. The file is either an
+     * array of predictions, or an object with the predictions in its
+     * predictions property and optionally the name of the model in
+     * model, the largest distance for attaching predictions to
+     * annotations in matchDistance, and whether or not to add the
+     * predictions that aren't attached to annotations in
+     * createUnmatched. Each prediction has the id of an annotation,
+     * the x and y coordinates of a point or the corners of a region
+     * in points, or both, and may have a z level, a class, a score and
+     * the probabilities of the classes in probabilities.
+     * @param {Object|Array<Object>} data The loaded JSON data.
+     * @returns {PredictionSet} The predictions.
+     */
+    function fromJSON(data) {
+        const entries = Array.isArray(data) ? data : data && data.predictions;
+        if (!Array.isArray(entries)) {
+            throw new Error("The prediction file needs a list of predictions.");
+        }
+        const options = Array.isArray(data) ? {} : data;
+        return {
+            model: options.model ? String(options.model) : _defaultModelName,
+            matchDistance: _toNumber(options.matchDistance) !== undefined
+                ? _toNumber(options.matchDistance) : _defaultMatchDistance,
+            createUnmatched: options.createUnmatched !== false,
+            predictions: entries.filter(entry => entry && typeof entry === "object").map(_toPrediction)
+        };
+    }
+
+    /**
+     * Read a prediction file in CSV or TSV format, with one prediction
+     * per row. The table needs a header row, and can have columns for
+     * the id of an annotation, the x, y and z coordinates, the class
+     * and the score of each prediction. Columns named p_ followed by
+     * the name of a class hold the probability of that class.
+     * @param {string} text The table.
+     * @param {string} [model] The name of the model.
+     * @returns {PredictionSet} The predictions.
+     */
+    function fromTable(text, model=_defaultModelName) {
+        const {header, rows} = tableConversion.parseTable(text);
+        const columns = tableConversion.findColumns(header, _tableFields);
+        if (columns.id === -1 && (columns.x === -1 || columns.y === -1)) {
+            throw new Error("The table needs a column for the annotation ids or for the x and y coordinates.");
+        }
+        const probabilityColumns = header.map((name, i) => ({name: name.trim(), column: i}))
+            .filter(({name}) => name.toLowerCase().startsWith(_probabilityPrefix))
+            .map(({name, column}) => ({mclass: name.slice(_probabilityPrefix.length), column: column}));
+
+        const predictions = rows.map(row => {
+            const entry = {};
+            Object.entries(columns).forEach(([field, column]) => {
+                column !== -1 && row[column] !== undefined && (entry[field] = row[column].trim());
+            });
+            if (probabilityColumns.length > 0) {
+                entry.probabilities = {};
+                probabilityColumns.forEach(({mclass, column}) => {
+                    entry.probabilities[mclass] = row[column] && row[column].trim();
+                });
+            }
+            return _toPrediction(entry);
+        });
+        return {
+            model: model,
+            matchDistance: _defaultMatchDistance,
+            createUnmatched: true,
+            predictions: predictions
+        };
+    }
+
+    /**
+     * Import the predictions of a model. Each prediction is attached to
+     * the annotation with its id if there is one, and otherwise to the
+     * closest annotation with the same z level within the match
+     * distance that no other prediction has been attached to. The
+     * score and class probabilities of an attached prediction are
+     * stored in the prediction and classProbabilities properties of
+     * the annotation. Predictions without a matching annotation are
+     * added as predicted annotations, authored by the model, if they
+     * have a point or region and a class in the current class
+     * configuration. The import is sent to collaborators as a single
+     * batch and undone in a single step.
+     * @param {PredictionSet} predictionSet The predictions to import.
+     * @returns {Object} The number of predictions that were attached to
+     * annotations, added as annotations, and skipped.
+     */
+    function importPredictions(predictionSet) {
+        const classes = classUtils.getSortedNames(classUtils.getClassConfig());
+        const matchedIds = new Set();
+        const updated = [];
+        const added = [];
+        let skipped = 0;
+        predictionSet.predictions.forEach(prediction => {
+            const match = _findMatch(prediction, predictionSet.matchDistance, matchedIds);
+            if (match && (prediction.score !== undefined || prediction.probabilities)) {
+                matchedIds.add(match.id);
+                prediction.score !== undefined && (match.prediction = prediction.score);
+                prediction.probabilities && (match.classProbabilities = prediction.probabilities);
+                updated.push(match);
+            }
+            else if (!match && predictionSet.createUnmatched && prediction.points
+                && classes.includes(prediction.mclass)) {
+                const annotation = {
+                    points: prediction.points,
+                    z: prediction.z !== undefined ? prediction.z : 0,
+                    mclass: prediction.mclass,
+                    author: predictionSet.model,
+                    prediction: prediction.score !== undefined ? prediction.score : null,
+                    predicted: true
+                };
+                prediction.probabilities && (annotation.classProbabilities = prediction.probabilities);
+                added.push(annotation);
+            }
+            else {
+                skipped++;
+            }
+        });
+        skipped > 0 && console.warn(`Skipped ${skipped} predictions that could not be attached to or added as annotations.`);
+
+        _inSingleStep(() => {
+            updated.forEach((annotation, i) =>
+                annotationHandler.update(annotation.id, annotation, "image", true, i === updated.length - 1)
+            );
+            added.length > 0 && annotationHandler.add(added, "image");
+        });
+        return {attached: updated.length, added: added.length, skipped: skipped};
+    }
+
+    function _decide(ids, decision, mclass) {
+        const decided = _getPredicted(ids);
+        _inSingleStep(() => {
+            decided.forEach((annotation, i) => {
+                recordDecision(annotation, decision, mclass);
+                annotationHandler.update(annotation.id, annotation, "image", true, i === decided.length - 1);
+            });
+        });
+    }
+
+    /**
+     * Record a decision about a predicted annotation on a copy of it,
+     * which then has to be passed to annotationHandler.update(). The
+     * annotation stops being predicted, and the decision is stored in
+     * its review property along with the current user and time.
+     * @param {annotationHandler.Annotation} annotation The copy of the
+     * annotation.
+     * @param {string} decision Either "accepted", "rejected" or
+     * "reclassified".
+     * @param {string} [mclass] The new class of a reclassified annotation.
+     */
+    function recordDecision(annotation, decision, mclass) {
+        if (decision === "reclassified" && mclass === annotation.mclass) {
+            decision = "accepted";
+        }
+        annotation.review = {
+            decision: decision,
+            reviewer: userInfo.getName(),
+            reviewedOn: new Date().toISOString()
+        };
+        if (decision === "reclassified") {
+            annotation.review.originalClass = annotation.mclass;
+            annotation.mclass = mclass;
+        }
+        annotation.predicted = false;
+    }
+
+    /**
+     * Check whether or not an annotation is a prediction that has been
+     * rejected. Rejected predictions are kept, e.g. for retraining the
+     * model, but are not shown.
+     * @param {annotationHandler.Annotation} annotation The annotation.
+     * @returns {boolean} Whether or not the annotation was rejected.
+     */
+    function isRejected(annotation) {
+        return Boolean(annotation.review) && annotation.review.decision === "rejected";
+    }
+
+    /**
+     * Confirm predicted annotations, so that they are treated as any
+     * other annotation. Their scores and class probabilities are kept.
+     * @param {Array<number>} ids The ids of the annotations. Ids of
+     * annotations that aren't predicted are ignored.
+     */
+    function confirm(ids) {
+        _decide(ids, "accepted");
+    }
+
+    /**
+     * Reject predicted annotations, hiding them.
+     * @param {Array<number>} ids The ids of the annotations. Ids of
+     * annotations that aren't predicted are ignored.
+     */
+    function reject(ids) {
+        _decide(ids, "rejected");
+    }
+
+    /**
+     * Confirm predicted annotations with another class than predicted.
+     * @param {Array<number>} ids The ids of the annotations. Ids of
+     * annotations that aren't predicted are ignored.
+     * @param {string} mclass The name of the new class.
+     */
+    function reclassify(ids, mclass) {
+        _decide(ids, "reclassified", mclass);
+    }
+
+    return {
+        fromJSON,
+        fromTable,
+        importPredictions,
+        recordDecision,
+        isRejected,
+        confirm,
+        reject,
+        reclassify
+    };
+})();
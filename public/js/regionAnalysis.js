@@ -0,0 +1,186 @@
+/**
+ * Runs the analysis plugins registered on the server, such as local
+ * detection models, on regions of the current image. The server adds
+ * the annotations found by a plugin to the collaboration as predicted
+ * annotations, so they show up for all members and can be reviewed.
+ * One analysis can be run at a time, and its progress is shown in a bar
+ * from which it can be cancelled.
+ * @namespace regionAnalysis
+ */
+const regionAnalysis = (function() {
+    "use strict";
+
+    const _pollInterval = 1000; // Time in ms between checking the state of a job
+
+    let _plugins = [];
+    let _job = null; // The job that is currently running, if any
+    let _jobCollab = null;
+    let _pollTimeout = null;
+
+    function _request(method, endpoint, body) {
+        return new Promise((resolve, reject) => {
+            const req = new XMLHttpRequest();
+            req.open(method, window.location.api + endpoint, true);
+            req.setRequestHeader("Content-Type", "application/json");
+            // Turn off caching of response
+            req.setRequestHeader("Cache-Control", "no-cache, no-store, must-revalidate, max-age=0"); // HTTP 1.1
+            req.setRequestHeader("Pragma", "no-cache"); // HTTP 1.0
+            req.setRequestHeader("Expires", "0"); // Proxies
+            req.onreadystatechange = function() {
+                if (req.readyState === 4) {
+                    resolve(req);
+                }
+            };
+            req.onerror = reject;
+            req.send(body ? JSON.stringify(body) : null);
+        });
+    }
+
+    function _jobEndpoint(collab, jobId) {
+        return `/collaboration/${encodeURIComponent(collab)}/analysis/${jobId}`;
+    }
+
+    function _readJob(req) {
+        if (req.status !== 200 && req.status !== 202) {
+            throw new Error(req.responseText || "The server was unable to handle the request.");
+        }
+        return JSON.parse(req.responseText).job;
+    }
+
+    function _updateBar() {
+        const percentage = Math.round(_job.progress * 100);
+        $("#analysis-text").text(`Running ${_job.plugin}`);
+        $("#analysis-progress .progress-bar").css("width", `${percentage}%`).text(`${percentage}%`);
+        $("#analysis-message").text(_job.message || "");
+    }
+
+    function _finish() {
+        const job = _job;
+        clearTimeout(_pollTimeout);
+        _job = null;
+        _jobCollab = null;
+        _pollTimeout = null;
+        $("#analysis-bar").addClass("d-none");
+        switch (job.status) {
+            case "done": {
+                // The message says how many results were skipped, if any
+                const skipped = job.message ? ` ${job.message}` : "";
+                if (job.nAdded > 0 && confirm(`${job.plugin} added ${job.nAdded} predicted annotations.${skipped} Review them now?`)) {
+                    predictionReview.start();
+                }
+                else if (job.nAdded === 0) {
+                    alert(`${job.plugin} did not find anything in the region.${skipped}`);
+                }
+                break;
+            }
+            case "failed":
+                alert(`The analysis failed: ${job.message}`);
+                break;
+        }
+    }
+
+    function _poll() {
+        _request("GET", _jobEndpoint(_jobCollab, _job.id)).then(_readJob).then(job => {
+            if (!_job || _job.id !== job.id) {
+                return; // The job was cancelled while waiting for the response
+            }
+            _job = job;
+            if (job.status === "running") {
+                _updateBar();
+                _pollTimeout = setTimeout(_poll, _pollInterval);
+            }
+            else {
+                _finish();
+            }
+        }).catch(err => {
+            if (_job) {
+                _finish();
+                alert(`Lost track of the analysis: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Get the analysis plugins registered on the server.
+     * @returns {Array<Object>} The names and descriptions of the plugins.
+     */
+    function getPlugins() {
+        return _plugins;
+    }
+
+    /**
+     * Check whether or not an analysis is currently running.
+     * @returns {boolean} Whether or not an analysis is running.
+     */
+    function isRunning() {
+        return _job !== null;
+    }
+
+    /**
+     * Analyse the area of a region with one of the plugins on the
+     * server. The region is sent in image coordinates, together with
+     * the z level it was placed on.
+     * @param {annotationHandler.Annotation} annotation The region to
+     * analyse, expressed in image coordinates.
+     * @param {string} pluginName The name of the plugin to run.
+     * @returns {Promise} Promise that resolves once the analysis has
+     * been started.
+     */
+    function run(annotation, pluginName) {
+        const collab = tmapp.getCollab();
+        if (!collab) {
+            return Promise.reject(new Error("Analyses can only be run in a collaboration."));
+        }
+        if (_job) {
+            return Promise.reject(new Error("Another analysis is already running."));
+        }
+        const params = new URLSearchParams({image: tmapp.getImageName(), name: userInfo.getName() || ""});
+        const body = {
+            plugin: pluginName,
+            z: annotation.z,
+            polygons: annotationHandler.getPolygons(annotation)
+        };
+        return _request("POST", `/collaboration/${encodeURIComponent(collab)}/analysis?${params}`, body)
+            .then(_readJob)
+            .then(job => {
+                _job = job;
+                _jobCollab = collab;
+                _updateBar();
+                $("#analysis-bar").removeClass("d-none");
+                _pollTimeout = setTimeout(_poll, _pollInterval);
+            });
+    }
+
+    /**
+     * Cancel the analysis that is currently running. Nothing is added
+     * by a cancelled analysis.
+     */
+    function cancel() {
+        if (!_job) {
+            return;
+        }
+        const endpoint = _jobEndpoint(_jobCollab, _job.id);
+        _job.status = "cancelled";
+        _finish();
+        _request("DELETE", endpoint).then(_readJob).catch(err => {
+            console.warn(`Failed to cancel the analysis: ${err.message}`);
+        });
+    }
+
+    function init() {
+        $("#analysis-cancel").click(cancel);
+        _request("GET", "/analysis/plugins").then(req => {
+            if (req.status === 200) {
+                _plugins = JSON.parse(req.responseText).plugins;
+            }
+        }).catch(() => console.warn("Could not retrieve the analysis plugins."));
+    }
+
+    return {
+        getPlugins,
+        isRunning,
+        run,
+        cancel,
+        init
+    };
+})();
@@ -6,11 +6,97 @@
  * namespace, as this namespace is also used to make sure that only one
  * region is being edited at a time.
  *
+ * While a region is being edited, its vertices can be moved, inserted
+ * and deleted, and the region itself moved. These edits are made to a
+ * draft of the region that is only shown locally, and the draft is
+ * sent as a single update once editing stops. Edits that would make a
+ * boundary of the region intersect itself are refused as they're made,
+ * as the update would otherwise be refused when editing stops.
+ *
  * @namespace regionEditor
  */
 
 const regionEditor = (function() {
+    // Distance within which moved vertices snap to other regions, in screen pixels
+    const _snapDistance = 8;
+
     let _currentlyEditedRegionId = null;
+    let _draft = null;
+    let _draftChanged = false;
+    let _snapPoints = [];
+
+    // The boundaries of all parts and holes, in the same order as the edit handles
+    function _getRings(annotation) {
+        return annotationHandler.getPolygons(annotation).flatMap(polygon =>
+            [polygon.points, ...polygon.holes]
+        );
+    }
+
+    function _getVertex(i) {
+        if (!_draft || _draft.shape) {
+            return null; // Ellipses and circles are edited through their shape
+        }
+        let offset = 0;
+        for (const ring of _getRings(_draft)) {
+            if (i < offset + ring.length) {
+                return {ring: ring, index: i - offset};
+            }
+            offset += ring.length;
+        }
+        return null;
+    }
+
+    function _update() {
+        _draftChanged = true;
+        overlayHandler.updateEditedRegion(_draft);
+    }
+
+    // Lines may cross themselves, but the boundaries of regions may not
+    function _intersectsSelf(ring) {
+        if (!_draft.line && mathUtils.pathIntersectsSelf(ring)) {
+            console.warn("Cannot make a region intersect itself.");
+            return true;
+        }
+        return false;
+    }
+
+    function _snap(point) {
+        // Compare the distances in image pixels corresponding to the screen distance
+        const web = coordinateHelper.imageToWeb(point);
+        const offset = coordinateHelper.webToImage({x: web.x + _snapDistance, y: web.y});
+        const maxDistance = Math.hypot(offset.x - point.x, offset.y - point.y);
+        let closest = null;
+        let closestDistance = maxDistance;
+        _snapPoints.forEach(snapPoint => {
+            const distance = Math.hypot(snapPoint.x - point.x, snapPoint.y - point.y);
+            if (distance < closestDistance) {
+                closest = snapPoint;
+                closestDistance = distance;
+            }
+        });
+        return closest ? {x: closest.x, y: closest.y} : point;
+    }
+
+    function _commit() {
+        const id = _currentlyEditedRegionId;
+        if (_draftChanged && annotationHandler.getAnnotationById(id)) {
+            annotationHandler.update(id, _draft, "image");
+        }
+    }
+
+    function _stop(commit) {
+        if (_currentlyEditedRegionId === null) {
+            return false;
+        }
+        const id = _currentlyEditedRegionId;
+        commit && _commit();
+        _currentlyEditedRegionId = null;
+        _draft = null;
+        _draftChanged = false;
+        _snapPoints = [];
+        overlayHandler.stopRegionEdit(id);
+        return true;
+    }
 
     /**
      * Stop editing any region that is currently being edited and begin
@@ -21,23 +107,27 @@ const regionEditor = (function() {
     function startEditingRegion(id) {
         stopEditingRegion();
         _currentlyEditedRegionId = id;
+        _draft = annotationHandler.getAnnotationById(id);
         overlayHandler.startRegionEdit(id);
     }
 
     /**
      * Stop editing the region currently being edited and remove its
-     * handles, if a region is currently being edited.
+     * handles, if a region is currently being edited. Any edits made
+     * to the region are sent as a single update.
      * @returns {boolean} Whether or not a region editing was stopped.
      */
     function stopEditingRegion() {
-        if (_currentlyEditedRegionId !== null) {
-            overlayHandler.stopRegionEdit(_currentlyEditedRegionId);
-            _currentlyEditedRegionId = null;
-            return true;
-        }
-        else {
-            return false;
-        }
+        return _stop(true);
+    }
+
+    /**
+     * Stop editing the region currently being edited without keeping
+     * the edits made to it, if a region is currently being edited.
+     * @returns {boolean} Whether or not a region editing was stopped.
+     */
+    function cancelEditingRegion() {
+        return _stop(false);
     }
 
     /**
@@ -55,9 +145,150 @@ const regionEditor = (function() {
         }
     }
 
+    /**
+     * Get the draft of the region currently being edited, with the
+     * edits that have been made to it so far.
+     * @returns {annotationHandler.Annotation} The draft of the region,
+     * expressed in image coordinates, or null if no region is being
+     * edited. It should not be modified directly.
+     */
+    function getEditedRegion() {
+        return _draft;
+    }
+
+    /**
+     * Collect the vertices of the other regions in view so that moved
+     * vertices can snap to them. Should be called when a vertex starts
+     * being dragged, as the other regions may have changed since the
+     * editing started.
+     */
+    function prepareSnapping() {
+        _snapPoints = [];
+        const bounds = coordinateHelper.getVisibleImageBounds();
+        if (!bounds) {
+            return;
+        }
+        annotationHandler.getAnnotationsInBox(bounds).forEach(annotation => {
+            if (annotation.id !== _currentlyEditedRegionId && annotation.points.length > 1) {
+                _getRings(annotation).flat().forEach(point =>
+                    _snapPoints.push({x: point.x, y: point.y})
+                );
+            }
+        });
+    }
+
+    /**
+     * Move a vertex of the region being edited. The vertex snaps to any
+     * vertex of another region close to the new position. The vertex is
+     * not moved if its boundary would intersect itself.
+     * @param {number} i The index of the vertex, counting the vertices
+     * of all parts and holes of the region in order.
+     * @param {Object} point The new position of the vertex, expressed
+     * in image coordinates.
+     */
+    function moveVertex(i, point) {
+        const vertex = _getVertex(i);
+        if (!vertex) {
+            return;
+        }
+        const previous = Object.assign({}, vertex.ring[vertex.index]);
+        Object.assign(vertex.ring[vertex.index], _snap(point));
+        if (_intersectsSelf(vertex.ring)) {
+            Object.assign(vertex.ring[vertex.index], previous);
+            return;
+        }
+        _update();
+    }
+
+    /**
+     * Insert a vertex into the region being edited, unless the boundary
+     * it's inserted into would intersect itself.
+     * @param {number} i The index the inserted vertex should have,
+     * counting the vertices of all parts and holes of the region in
+     * order. The vertex is inserted into the same boundary as the
+     * vertex before it.
+     * @param {Object} point The position of the vertex, expressed in
+     * image coordinates.
+     */
+    function insertVertex(i, point) {
+        const vertex = _getVertex(i - 1);
+        if (!vertex) {
+            return;
+        }
+        vertex.ring.splice(vertex.index + 1, 0, {x: point.x, y: point.y});
+        if (_intersectsSelf(vertex.ring)) {
+            vertex.ring.splice(vertex.index + 1, 1);
+            return;
+        }
+        _update();
+    }
+
+    /**
+     * Delete a vertex from the region being edited, unless the
+     * boundary it belongs to would become too small or intersect itself.
+     * @param {number} i The index of the vertex, counting the vertices
+     * of all parts and holes of the region in order.
+     */
+    function deleteVertex(i) {
+        const vertex = _getVertex(i);
+        if (!vertex) {
+            return;
+        }
+        const minLength = _draft.line ? 2 : 3;
+        if (vertex.ring.length <= minLength) {
+            console.warn(`Cannot remove a vertex when only ${minLength} remain.`);
+            return;
+        }
+        const [removed] = vertex.ring.splice(vertex.index, 1);
+        if (_intersectsSelf(vertex.ring)) {
+            vertex.ring.splice(vertex.index, 0, removed);
+            return;
+        }
+        _update();
+    }
+
+    /**
+     * Set the shape of the ellipse or circle being edited.
+     * @param {Object} shape The new shape, expressed in image coordinates.
+     */
+    function setShape(shape) {
+        if (_draft && _draft.shape) {
+            _draft.shape = shape;
+            _update();
+        }
+    }
+
+    /**
+     * Move the whole region being edited.
+     * @param {Object} delta The distance to move the region, expressed
+     * in image coordinates.
+     */
+    function moveRegion(delta) {
+        if (!_draft) {
+            return;
+        }
+        _getRings(_draft).flat().forEach(point => {
+            point.x += delta.x;
+            point.y += delta.y;
+        });
+        if (_draft.shape) {
+            const center = _draft.shape.center;
+            _draft.shape.center = {x: center.x + delta.x, y: center.y + delta.y};
+        }
+        _update();
+    }
+
     return {
         startEditingRegion,
         stopEditingRegion,
-        stopEditingRegionIfBeingEdited
+        cancelEditingRegion,
+        stopEditingRegionIfBeingEdited,
+        getEditedRegion,
+        prepareSnapping,
+        moveVertex,
+        insertVertex,
+        deleteVertex,
+        setShape,
+        moveRegion
     };
 })();
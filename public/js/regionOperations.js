@@ -0,0 +1,198 @@
+/**
+ * Functions for combining and splitting the selected regions with
+ * boolean operations. The resulting regions replace the original ones
+ * in a single operation, so that collaborators receive the change as a
+ * whole and it can be undone in a single step.
+ * @namespace regionOperations
+ */
+const regionOperations = (function() {
+    "use strict";
+
+    // Half the width of the gap cut along a line when splitting, in image pixels
+    const _cutHalfWidth = 0.05;
+
+    function _isRegion(annotation) {
+        return annotation.points.length > 2 && !annotation.line;
+    }
+
+    function _isLine(annotation) {
+        return Boolean(annotation.line);
+    }
+
+    function _toMultiPolygon(annotation) {
+        return annotationHandler.getPolygons(annotation).map(polygon =>
+            [polygon.points, ...polygon.holes].map(ring =>
+                ring.map(point => [point.x, point.y])
+            )
+        );
+    }
+
+    function _toPolygons(multiPolygon) {
+        // The rings returned by polygon-clipping repeat their first point
+        const toRing = ring => ring.slice(0, -1).map(([x, y]) => ({x: x, y: y}));
+        return multiPolygon.map(polygon => ({
+            points: toRing(polygon[0]),
+            holes: polygon.slice(1).map(toRing)
+        }));
+    }
+
+    function _polygonsAreValid(polygons) {
+        return polygons.length > 0 && polygons.every(polygon =>
+            [polygon.points, ...polygon.holes].every(ring =>
+                ring.length > 2 && !mathUtils.pathIntersectsSelf(ring)
+            )
+        );
+    }
+
+    function _createAnnotation(originals, polygons) {
+        const annotation = {
+            points: polygons[0].points,
+            z: originals[0].z,
+            mclass: originals[0].mclass,
+            comments: originals.flatMap(original => original.comments || []),
+            bookmarked: originals.some(original => original.bookmarked)
+        };
+        if (polygons[0].holes.length > 0) {
+            annotation.holes = polygons[0].holes;
+        }
+        if (polygons.length > 1) {
+            annotation.parts = polygons.slice(1);
+        }
+        return annotation;
+    }
+
+    function _getCutter(line) {
+        // Thin quads along each segment and squares around each corner
+        const w = _cutHalfWidth;
+        const segments = line.points.slice(0, -1).map((p, i) => {
+            const q = line.points[i + 1];
+            const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+            const nx = -(q.y - p.y) / length * w;
+            const ny = (q.x - p.x) / length * w;
+            return [[
+                [p.x + nx, p.y + ny], [q.x + nx, q.y + ny],
+                [q.x - nx, q.y - ny], [p.x - nx, p.y - ny]
+            ]];
+        });
+        const corners = line.points.map(p => [[
+            [p.x - w, p.y - w], [p.x + w, p.y - w],
+            [p.x + w, p.y + w], [p.x - w, p.y + w]
+        ]]);
+        return polygonClipping.union(...segments, ...corners);
+    }
+
+    function _setMessage(message) {
+        $("#selection-message").text(message || "");
+        message && console.warn(message);
+    }
+
+    function _replace(originals, annotations) {
+        const polygons = annotations.flatMap(annotation =>
+            annotationHandler.getPolygons(annotation)
+        );
+        if (!_polygonsAreValid(polygons)) {
+            _setMessage("The operation would result in an invalid region.");
+            return;
+        }
+        annotationSelection.clear();
+        annotationHandler.replace(originals.map(original => original.id), annotations);
+    }
+
+    function _combine(operation, name) {
+        const regions = annotationSelection.getSelectedAnnotations().filter(_isRegion);
+        if (regions.length < 2) {
+            _setMessage(`Select at least two regions to ${name} them.`);
+            return;
+        }
+        const result = operation(...regions.map(_toMultiPolygon));
+        if (result.length === 0) {
+            _setMessage(`The ${name} of the regions is empty.`);
+            return;
+        }
+        _replace(regions, [_createAnnotation(regions, _toPolygons(result))]);
+    }
+
+    /**
+     * Replace the selected regions with their union.
+     */
+    function union() {
+        _combine(polygonClipping.union, "union");
+    }
+
+    /**
+     * Replace the selected regions with the first selected region with
+     * the other selected regions subtracted from it.
+     */
+    function subtract() {
+        _combine(polygonClipping.difference, "difference");
+    }
+
+    /**
+     * Replace the selected regions with their intersection.
+     */
+    function intersect() {
+        _combine(polygonClipping.intersection, "intersection");
+    }
+
+    /**
+     * Split the selected regions along a selected line, such as one
+     * drawn with the polyline tool. Each separate piece becomes a region
+     * of its own, and the line is removed.
+     */
+    function split() {
+        const selected = annotationSelection.getSelectedAnnotations();
+        const regions = selected.filter(_isRegion);
+        const lines = selected.filter(_isLine);
+        if (regions.length === 0 || lines.length !== 1) {
+            _setMessage("Select one line and the regions to split along it.");
+            return;
+        }
+        const cutter = _getCutter(lines[0]);
+        const splitRegions = [];
+        const pieces = [];
+        regions.forEach(region => {
+            const result = polygonClipping.difference(_toMultiPolygon(region), cutter);
+            if (result.length > 1) {
+                splitRegions.push(region);
+                _toPolygons(result).forEach(polygon =>
+                    pieces.push(_createAnnotation([region], [polygon]))
+                );
+            }
+        });
+        if (splitRegions.length === 0) {
+            _setMessage("The line doesn't split any of the selected regions.");
+            return;
+        }
+        _replace([...splitRegions, lines[0]], pieces);
+    }
+
+    /**
+     * Update the controls for the operations to match the current
+     * selection. Should be called whenever the selection changes.
+     * @param {Array<annotationHandler.Annotation>} [selected] The
+     * selected annotations, if they have already been looked up.
+     */
+    function updateControls(selected=annotationSelection.getSelectedAnnotations()) {
+        const nRegions = selected.filter(_isRegion).length;
+        const nLines = selected.filter(_isLine).length;
+        const enabled = annotationTool.isEnabled();
+        $("#region-union, #region-subtract, #region-intersect").prop("disabled", !enabled || nRegions < 2);
+        $("#region-split").prop("disabled", !enabled || nRegions === 0 || nLines !== 1);
+    }
+
+    function init() {
+        $("#region-union").click(union);
+        $("#region-subtract").click(subtract);
+        $("#region-intersect").click(intersect);
+        $("#region-split").click(split);
+    }
+
+    return {
+        union: union,
+        subtract: subtract,
+        intersect: intersect,
+        split: split,
+        updateControls: updateControls,
+        init: init
+    };
+})();
@@ -148,7 +148,7 @@ class SortableList {
             .selectAll(".data-row")
             .data(this._data.slice(0,maxCount), d => d[this._idKey])
             .join("tr")
-            .attr("class", "data-row")
+            .classed("data-row", true)
             .attr("data-annotation-id", d => d[this._idKey])
             .order((a, b) => a.a < b.a);
 
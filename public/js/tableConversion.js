@@ -0,0 +1,245 @@
+/**
+ * Converts between annotations and flat tables in CSV or TSV format,
+ * for analysing the annotations in other software. Exported tables
+ * have one row per annotation with its measurements, while imported
+ * tables are read as markers placed at the given coordinates.
+ * @namespace tableConversion
+ */
+const tableConversion = (function() {
+    "use strict";
+
+    // Names accepted for the column of each field when importing, in lower case
+    const _columnNames = {
+        id: ["id"],
+        x: ["x", "centroid_x"],
+        y: ["y", "centroid_y"],
+        z: ["z"],
+        mclass: ["class", "mclass"],
+        author: ["author"],
+        bookmarked: ["bookmarked"],
+        prediction: ["prediction", "score"]
+    };
+
+    // Fields of the markers read from tables
+    const _markerFields = ["x", "y", "mclass", "z", "author", "bookmarked", "prediction"];
+
+    function _formatValue(value, delimiter) {
+        if (value === null || value === undefined) {
+            return "";
+        }
+        let text = String(value);
+        // Spreadsheets run text starting with these characters as a formula
+        if (typeof value === "string" && /^[=+\-@\t\r]/.test(text) && !isFinite(text)) {
+            text = `'${text}`;
+        }
+        // Quote values that would otherwise break the table, as in RFC 4180
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    function _parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let value = "";
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                }
+                else if (c === '"') {
+                    quoted = false;
+                }
+                else {
+                    value += c;
+                }
+            }
+            else if (c === '"') {
+                quoted = true;
+            }
+            else if (c === delimiter) {
+                row.push(value);
+                value = "";
+            }
+            else if (c === "\n" || c === "\r") {
+                c === "\r" && text[i + 1] === "\n" && i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = "";
+            }
+            else {
+                value += c;
+            }
+        }
+        if (value !== "" || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows.filter(row => row.some(value => value.trim() !== ""));
+    }
+
+    /**
+     * Get the annotations as a table with one row per annotation. The
+     * columns are the id, class, author, z level, centroid, diameter,
+     * area, perimeter, bookmark state, prediction and number of comments
+     * of the annotations. The centroid and diameter are given in image
+     * pixels, and the area and perimeter in the units of `measurements`.
+     * @param {Array<annotationHandler.Annotation>} annotations The
+     * annotations to include, expressed in image coordinates.
+     * @param {string} [delimiter=","] The character separating the
+     * values, e.g. "\t" for TSV.
+     * @returns {string} The table. Text that spreadsheets would run as
+     * a formula, such as a class name starting with "=", is prefixed
+     * with an apostrophe.
+     */
+    function getAnnotationTable(annotations, delimiter=",") {
+        // Units are kept out of the headers' special characters for easier use in other software
+        const lengthUnit = measurements.getLengthUnit() === "µm" ? "um" : "px";
+        const header = [
+            "id", "class", "author", "z", "centroid_x", "centroid_y", "diameter_px",
+            `area_${lengthUnit}2`, `perimeter_${lengthUnit}`, "bookmarked", "prediction", "comments"
+        ];
+        const rows = annotations.map(annotation => {
+            const measurement = measurements.measure(annotation);
+            return [
+                annotation.id,
+                annotation.mclass,
+                annotation.author,
+                annotation.z,
+                annotation.centroid.x,
+                annotation.centroid.y,
+                annotation.diameter,
+                measurement.area,
+                measurement.perimeter,
+                Boolean(annotation.bookmarked),
+                annotation.prediction,
+                annotation.comments ? annotation.comments.length : 0
+            ];
+        });
+        return [header, ...rows].map(row =>
+            row.map(value => _formatValue(value, delimiter)).join(delimiter)
+        ).join("\n") + "\n";
+    }
+
+    /**
+     * Split a table into its header row and its other rows. Values may
+     * be quoted as in RFC 4180, and rows without any values are skipped.
+     * @param {string} text The table in CSV or TSV format. The delimiter
+     * is found from the header row, and may be a comma, a tab or a
+     * semicolon.
+     * @returns {Object} The header row as an array of names, the other
+     * rows as arrays of values and the delimiter that was found.
+     */
+    function parseTable(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [",", "\t", ";"].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        );
+        // Values that were escaped from spreadsheets by getAnnotationTable() are restored
+        const [header, ...rows] = _parseRows(text, delimiter).map(row =>
+            row.map(value => /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value)
+        );
+        if (!header) {
+            throw new Error("The table is empty.");
+        }
+        return {header: header, rows: rows, delimiter: delimiter};
+    }
+
+    /**
+     * Find the columns of a table that contain some fields of
+     * annotations. The names of the columns are compared without
+     * regard to case, and each field has a few accepted names, e.g.
+     * class or mclass for the class and x or centroid_x for the x
+     * coordinate, so that tables exported with getAnnotationTable()
+     * and by other software can be read.
+     * @param {Array<string>} header The header row of the table.
+     * @param {Array<string>} fields The fields to look for, out of id,
+     * x, y, z, mclass, author, bookmarked and prediction.
+     * @returns {Object} The index of the column of each field, or -1
+     * for the fields that the table has no column for.
+     */
+    function findColumns(header, fields) {
+        const columns = {};
+        fields.forEach(field => {
+            const names = _columnNames[field];
+            columns[field] = header.findIndex(name => names.includes(name.trim().toLowerCase()));
+        });
+        return columns;
+    }
+
+    /**
+     * Read markers from a table, with one marker per row. The table
+     * needs a header row with columns for the x and y coordinates of the
+     * markers in image pixels, named either x and y or centroid_x and
+     * centroid_y, so that tables exported with getAnnotationTable() can
+     * be read back. The class, z level, author, bookmark state and
+     * prediction of the markers are also read if the table has columns
+     * for them. Markers without a class are given the first class of
+     * the current class configuration.
+     * @param {string} text The table in CSV or TSV format. The delimiter
+     * is found from the header row.
+     * @returns {Array<Object>} The markers, expressed in image coordinates.
+     */
+    function parseMarkerTable(text) {
+        const {header, rows, delimiter} = parseTable(text);
+        const columns = findColumns(header, _markerFields);
+        if (columns.x === -1 || columns.y === -1) {
+            throw new Error("The table needs columns for the x and y coordinates of the markers.");
+        }
+
+        const defaultClass = classUtils.getClassFromID(0).name;
+        const get = (row, field) => columns[field] === -1 ? "" : (row[columns[field]] || "").trim();
+        const markers = [];
+        rows.forEach(row => {
+            const x = Number(get(row, "x"));
+            const y = Number(get(row, "y"));
+            if (get(row, "x") === "" || get(row, "y") === "" || !isFinite(x) || !isFinite(y)) {
+                console.warn(`Skipping a row of the table without valid coordinates: ${row.join(delimiter)}`);
+                return;
+            }
+            const marker = {
+                points: [{x: x, y: y}],
+                z: Number.parseInt(get(row, "z")) || 0,
+                mclass: get(row, "mclass") || defaultClass,
+                bookmarked: ["true", "1", "yes"].includes(get(row, "bookmarked").toLowerCase())
+            };
+            get(row, "author") && (marker.author = get(row, "author"));
+            get(row, "prediction") !== "" && isFinite(get(row, "prediction"))
+                && (marker.prediction = Number(get(row, "prediction")));
+            markers.push(marker);
+        });
+        return markers;
+    }
+
+    /**
+     * Convert a table of markers to an annotation storage object, so
+     * that the markers can be loaded like an ordinary annotation file.
+     * The markers are assumed to be for the current image and to use
+     * the current class configuration.
+     * @param {string} text The table in CSV or TSV format.
+     * @returns {annotationStorageConversion.AnnotationStorage} The
+     * annotation storage object.
+     */
+    function toStorageData(text) {
+        return {
+            version: "1.1",
+            image: tmapp.getImageName(),
+            classConfig: classUtils.getClassConfig(),
+            annotations: parseMarkerTable(text),
+            comments: []
+        };
+    }
+
+    return {
+        getAnnotationTable,
+        parseTable,
+        findColumns,
+        parseMarkerTable,
+        toStorageData
+    };
+})();
@@ -38,6 +38,7 @@ const tmapp = (function() {
     let _currentImage,
         _images,
         _collab,
+        _observe,
         _viewer,
         _currState = {
             x: 0.5,
@@ -133,6 +134,7 @@ const tmapp = (function() {
         const position = _viewer.viewport.getCenter();
         _currState.x = position.x;
         _currState.y = position.y;
+        annotationVisuals.updateViewport();
         _updateCollabPosition();
         _updateURLParams();
     }
@@ -145,6 +147,7 @@ const tmapp = (function() {
         overlayHandler.setOverlayRotation(rotation);
         tmappUI.setImageRotation(rotation);
         _currState.rotation = rotation;
+        annotationVisuals.updateViewport();
         _updateCollabPosition();
         _updateURLParams();
     }
@@ -163,6 +166,7 @@ const tmapp = (function() {
             rotation!=null && params.set("rotation", rotation||0);
         }
         update || (_collab ? params.set("collab", _collab) : params.delete("collab"));
+        update || (_collab && _observe ? params.set("observe", _observe) : params.delete("observe"));
         urlCache=url;
         return url;
     }
@@ -175,6 +179,7 @@ const tmapp = (function() {
         const params = url.searchParams;
         const imageName = params.get("image");
         const collab = params.get("collab");
+        const observe = params.get("observe");
         const state = {
             zoom: params.get("zoom"),
             x: params.get("x"),
@@ -182,15 +187,15 @@ const tmapp = (function() {
             z: params.get("z"),
             rotation: params.get("rotation")
         };
-        return {imageName, collab, state};
+        return {imageName, collab, observe, state};
     }
 
     function processURL(url) {
-        const {imageName, collab, state}=parseURL(url);
+        const {imageName, collab, observe, state}=parseURL(url);
         if (imageName && imageName!==_currentImage.name) {
             if (collab) {
                 openImage(imageName, () => {
-                    collabClient.connect(collab);
+                    _joinCollab(collab, observe);
                     if (state) {
                         moveTo(state);
                     }
@@ -207,7 +212,7 @@ const tmapp = (function() {
             }            
         }
         else if (collab && collab!==_collab) {
-            collabClient.connect(collab);
+            _joinCollab(collab, observe);
             if (state) {
                 moveTo(state);
             }
@@ -217,6 +222,15 @@ const tmapp = (function() {
         }
     }
 
+    function _joinCollab(collab, observe) {
+        if (observe) {
+            collabClient.observe(collab, observe);
+        }
+        else {
+            collabClient.connect(collab);
+        }
+    }
+
     function _updateURLParams() {
         tmappUI.setURL(makeURL(_currState));
     }
@@ -249,16 +263,30 @@ const tmapp = (function() {
         _currState.z = initialZ;
     }
 
+    function _getToolPosition(event) {
+        const coords = coordinateHelper.webToViewport(event.position);
+        return {
+            x: coords.x,
+            y: coords.y,
+            z: _currState.z
+        };
+    }
+
     /**
      * Add handlers for mouse events in the OSD viewer. This includes
      * making calls to the annotationTool module when clicking or double
      * clicking, sending updates to collabClient when the mouse is moved
      * inside the viewport, as well as taking care of the shift and ctrl
-     * scrolling to change focus and rotation.
+     * scrolling to change focus and rotation. Annotations drawn on the
+     * canvas layer get to handle the events first, as they have no
+     * elements of their own.
      */
     function _addMouseTracking(viewer) {
         // Handle quick and slow clicks
         function clickHandler(event) {
+            if (overlayHandler.handleCanvasMouseEvent("clickHandler", event)) {
+                return;
+            }
             let regionWasBeingEdited = true;
             if (tmappUI.inFocus() && event.quick) {
                 regionWasBeingEdited = regionEditor.stopEditingRegion();
@@ -277,6 +305,9 @@ const tmapp = (function() {
 
         // Note, a dblClick triggers: click+click+dblClick
         function dblClickHandler(event) {
+            if (overlayHandler.handleCanvasMouseEvent("dblClickHandler", event)) {
+                return;
+            }
             if(!event.ctrlKey && tmappUI.inFocus()){
                 const coords = coordinateHelper.webToViewport(event.position);
                 const position = {
@@ -291,36 +322,107 @@ const tmapp = (function() {
 
         // Live updates of mouse position in collaboration
         function moveHandler(event) {
+            overlayHandler.handleCanvasMouseEvent("moveHandler", event);
             if (!_cursorStatus.held) {
                 const pos = coordinateHelper.webToViewport(event.position);
                 setCursorStatus({x: pos.x, y: pos.y});
             }
         }
 
+        // Annotations can be selected by shift-dragging a box around them
+        let selectionBox = null;
+        function startSelectionBox(event) {
+            if (event.originalEvent.shiftKey && !annotationTool.capturesDrag()) {
+                selectionBox = {start: event.position, end: null};
+            }
+        }
+
+        function endSelectionBox() {
+            if (selectionBox && selectionBox.end) {
+                annotationSelection.selectInBox(selectionBox.start, selectionBox.end);
+            }
+            selectionBox = null;
+            overlayHandler.clearSelectionBox();
+        }
+
         // Live updates of whether or not the mouse is held down
         function heldHandler(held) {
             return function(event) {
+                const handlerName = held ? "pressHandler" : "releaseHandler";
+                if (overlayHandler.handleCanvasMouseEvent(handlerName, event)) {
+                    return;
+                }
                 setCursorStatus({held: held});
+                if (!held) {
+                    endSelectionBox();
+                    annotationTool.release(_getToolPosition(event));
+                }
+                else if (!event.originalEvent.ctrlKey && tmappUI.inFocus()) {
+                    startSelectionBox(event);
+                    annotationTool.press(_getToolPosition(event));
+                }
             };
         }
 
+        // Drawing with tools that use the mouse while it is held
+        function dragHandler(event) {
+            if (overlayHandler.handleCanvasMouseEvent("dragHandler", event)) {
+                return;
+            }
+            if (selectionBox) {
+                selectionBox.end = event.position;
+                overlayHandler.updateSelectionBox(selectionBox.start, selectionBox.end);
+            }
+            else if (annotationTool.capturesDrag()) {
+                const position = _getToolPosition(event);
+                annotationTool.drag(position);
+                setCursorStatus({x: position.x, y: position.y});
+            }
+        }
+
+        // Keep the viewport still while drawing or selecting, ctrl can be held to pan instead
+        let drawingDrag = false;
+        function dragHook(event) {
+            drawingDrag = annotationTool.capturesDrag() || selectionBox !== null
+                || overlayHandler.capturesDrag();
+            if (drawingDrag) {
+                event.preventDefaultAction = true;
+            }
+        }
+
+        // Don't let the viewport flick away once the drawing is done
+        function dragEndHook(event) {
+            if (drawingDrag) {
+                event.preventDefaultAction = true;
+                drawingDrag = false;
+            }
+        }
+
         // Live update of whether or not the mouse is in the viewport
         function insideHandler(inside) {
             return function(event) {
+                inside || overlayHandler.handleCanvasMouseEvent("exitHandler", event);
                 setCursorStatus({inside: inside});
             };
         }
 
+        // Right clicks on annotations drawn on the canvas layer
+        function nonPrimaryReleaseHandler(event) {
+            overlayHandler.handleCanvasMouseEvent("nonPrimaryReleaseHandler", event);
+        }
+
         //OSD handlers have to be registered using MouseTracker OSD objects
         _mouseHandler = new OpenSeadragon.MouseTracker({
             element: viewer.canvas,
             clickHandler: clickHandler,
             dblClickHandler: dblClickHandler,
             moveHandler: moveHandler,
+            dragHandler: dragHandler,
             enterHandler: insideHandler(true),
             exitHandler: insideHandler(false),
             pressHandler: heldHandler(true),
-            releaseHandler: heldHandler(false)
+            releaseHandler: heldHandler(false),
+            nonPrimaryReleaseHandler: nonPrimaryReleaseHandler
         }).setTracking(true);
 
         // Add hook to scroll without zooming, didn't seem possible without
@@ -351,6 +453,16 @@ const tmapp = (function() {
                 tracker: "viewer",
                 handler: "scrollHandler",
                 hookHandler: scrollHook
+            },
+            {
+                tracker: "viewer",
+                handler: "dragHandler",
+                hookHandler: dragHook
+            },
+            {
+                tracker: "viewer",
+                handler: "dragEndHandler",
+                hookHandler: dragEndHook
             }
         ]});
     }
@@ -407,6 +519,9 @@ const tmapp = (function() {
         const imageStack = _expandImageName(imageName);
         _openImages(imageStack);
 
+        // The canvas for drawing many annotations has to be added below the SVG overlay
+        canvasOverlay.init(_viewer);
+
         //Create svgOverlay(); so that anything like D3, or any canvas library can act upon. https://d3js.org/
         const overlay =  _viewer.svgOverlay();
         overlayHandler.init(overlay);
@@ -417,6 +532,7 @@ const tmapp = (function() {
             return;
         }
         annotationHandler.clear(false);
+        annotationHistory.clear();
         metadataHandler.clear();
         _viewer && _viewer.destroy();
         $("#ISS_viewer").empty();
@@ -435,13 +551,16 @@ const tmapp = (function() {
      * @param {string} options.imageName The name of the initial image
      * to be opened.
      * @param {string} options.collab The id of the initial collab.
+     * @param {string} options.observe Set if the initial collab should
+     * be observed rather than joined, either to "true" or to a signed
+     * observer token.
      * @param {Object} options.initialState The initial viewport state.
      * @param {number} options.initialState.x X position of viewport.
      * @param {number} options.initialState.y Y position of viewport.
      * @param {number} options.initialState.z Z level in viewport.
      * @param {number} options.initialState.zoom Zoom in viewport.
      */
-    function init({imageName, collab, initialState}) {
+    function init({imageName, collab, observe, initialState}) {
 
         // Initiate a HTTP request and send it to the image info endpoint
         const imageReq = new XMLHttpRequest();
@@ -476,7 +595,7 @@ const tmapp = (function() {
                     }
                     else if (imageName && collab) {
                         openImage(imageName, () => {
-                            collabClient.connect(collab);
+                            _joinCollab(collab, observe);
                             if (initialState) {
                                 moveTo(initialState);
                             }
@@ -661,9 +780,12 @@ const tmapp = (function() {
      * Set the current collaboration id, update the URL parameters and
      * set the appropriate URL parameters.
      @param {string} id The collaboration id being set.
+     @param {string} observe Set if the collaboration is being observed,
+     either to "true" or to a signed observer token.
      */
-    function setCollab(id) {
+    function setCollab(id, observe=null) {
         _collab = id;
+        _observe = observe;
         tmappUI.setCollabID(id, _currentImage.name);
         _updateURLParams();
     }
@@ -673,6 +795,7 @@ const tmapp = (function() {
      */
     function clearCollab() {
         _collab = null;
+        _observe = null;
         tmappUI.clearCollabID();
         _updateURLParams();
     }
@@ -726,6 +849,15 @@ const tmapp = (function() {
         return _currentImage && _currentImage.name;
     }
 
+    /**
+     * Get the id of the current collaboration.
+     * @returns {string|null} The collaboration id, or null if not in
+     * a collaboration.
+     */
+    function getCollab() {
+        return _collab || null;
+    }
+
     /**
      * Update the current status of tmapp, viewport position and cursor
      * position, to the collaborators.
@@ -840,6 +972,7 @@ const tmapp = (function() {
 
         setCollab,
         clearCollab,
+        getCollab,
 
         incrementFocus,
         decrementFocus,
@@ -10,7 +10,10 @@ const tmappUI = (function(){
     "use strict";
 
     let _pageInFocus = true,
-        _errorDisplayTimeout = null;
+        _errorDisplayTimeout = null,
+        _accountName = null,
+        _onLogin = null,
+        _readOnly = false;
 
     const _errors = {
         missingdatadir: {
@@ -55,6 +58,11 @@ const tmappUI = (function(){
         waitingapi: {
             message: "Waiting for server response...",
             type: "alert-info"
+        },
+        accessdenied: {
+            message: "You don't have access to this session. Ask its " +
+            "owner for access or open a different session.",
+            type: "alert-warning"
         }
     };
 
@@ -90,6 +98,24 @@ const tmappUI = (function(){
 
     function _initAnnotationList() {
         const list = new SortableList("#annotation-list", "#rtoolbar", "id", [
+            {
+                name: "",
+                key: "selected",
+                title: "Select annotations for bulk edits",
+                minWidth: "1.5em",
+                selectFun: d => annotationSelection.isSelected(d.id),
+                displayFun: (elem, d) => {
+                    const checkbox = $("<input type='checkbox' class='annotation-select'>");
+                    checkbox.prop("checked", d.selected);
+                    checkbox.click(e => {
+                        // Let the checkbox toggle without triggering the row
+                        e.stopPropagation();
+                        annotationSelection.toggle(d.id);
+                    });
+                    $(elem).html(checkbox);
+                },
+                sortable: false
+            },
             {
                 name: "x",
                 key: "x",
@@ -138,6 +164,31 @@ const tmappUI = (function(){
                 sortable: true,
                 displayStyle: () => annotationHandler.hasPrediction()?"":"none"
             },
+            {
+                name: "Area",
+                key: "area",
+                title: "Area of a region, in µm² if the pixel size of the image is known and in pixels otherwise",
+                minWidth: "4em",
+                selectFun: d => measurements.measure(d).area,
+                displayFun: (elem, d) => {
+                    $(elem).html(d.area === null ? "-" : Number(d.area.toPrecision(3)));
+                },
+                sortable: true
+            },
+            {
+                name: "Perim.",
+                key: "perimeter",
+                title: "Perimeter of a region or length of a line, in µm if the pixel size of the image is known and in pixels otherwise",
+                minWidth: "4em",
+                selectFun: d => {
+                    const measurement = measurements.measure(d);
+                    return d.line ? measurement.length : measurement.perimeter;
+                },
+                displayFun: (elem, d) => {
+                    $(elem).html(d.perimeter === null ? "-" : Number(d.perimeter.toPrecision(3)));
+                },
+                sortable: true
+            },
             {
                 name: "B",
                 key: "bookmarked",
@@ -153,7 +204,7 @@ const tmappUI = (function(){
                 key: "isARegion",
                 title: "Annotation is a region",
                 minWidth: "2em",
-                selectFun: d => d.points.length > 1,
+                selectFun: d => d.points.length > 1 && !d.line,
                 displayFun: (elem, d) => {
                     $(elem).html(d.isARegion ? "&check;" : "-");
                 },
@@ -168,7 +219,10 @@ const tmappUI = (function(){
                 sortable: true
             }   
         ],
-        d => {event.preventDefault();tmapp.moveToAnnotation(d.id);}, //onclick
+        d => { //onclick, shift-click to select
+            event.preventDefault();
+            event.shiftKey ? annotationSelection.toggle(d.id) : tmapp.moveToAnnotation(d.id);
+        },
         null, 
         d => tmapp.annotationURL(d.rawRef,true) //href, updateURL to save some ms
         );
@@ -178,12 +232,21 @@ const tmappUI = (function(){
 
     function _initCollabPicker() {
         collabPicker.init();
+        collabSearch.init();
+        $("#collab-find").click(() => collabSearch.open());
     }
 
     function _initVersionPicker() {
         versionRevert.init();
     }
 
+    function _initRegionOperations() {
+        regionOperations.init();
+        annotationBulkEdit.init();
+        predictionReview.init();
+        regionAnalysis.init();
+    }
+
     function _initGlobalComments() {
         const container = $("#global_comments");
         const inputFun = globalDataHandler.sendCommentToServer;
@@ -227,6 +290,7 @@ const tmappUI = (function(){
         annotationTool.setMclass(initialMclass.name);
         const container = $("#class_buttons");
         htmlHelper.buildClassSelectionButtons(container, 0);
+        container.children().toggleClass("disabled", _readOnly);
     }
 
     function _initToolSelectionButtons() {
@@ -241,10 +305,34 @@ const tmappUI = (function(){
             overlayHandler.setActiveAnnotationOverlay("region");
             annotationTool.setTool("rect");
         });
+        $("#tool_ellipse").click(() => {
+            overlayHandler.setActiveAnnotationOverlay("region");
+            annotationTool.setTool("ellipse");
+        });
+        $("#tool_circle").click(() => {
+            overlayHandler.setActiveAnnotationOverlay("region");
+            annotationTool.setTool("circle");
+        });
         $("#tool_poly").click(() => {
             overlayHandler.setActiveAnnotationOverlay("region");
             annotationTool.setTool("poly");
         });
+        $("#tool_ruler").click(() => {
+            overlayHandler.setActiveAnnotationOverlay("region");
+            annotationTool.setTool("ruler");
+        });
+        $("#tool_polyline").click(() => {
+            overlayHandler.setActiveAnnotationOverlay("region");
+            annotationTool.setTool("polyline");
+        });
+        $("#tool_lasso").click(() => {
+            overlayHandler.setActiveAnnotationOverlay("region");
+            annotationTool.setTool("lasso");
+        });
+        $("#tool_brush").click(() => {
+            overlayHandler.setActiveAnnotationOverlay("region");
+            annotationTool.setTool("brush");
+        });
     }
 
     function _initViewerEvents() {
@@ -281,17 +369,88 @@ const tmappUI = (function(){
 
     function _initStorageButtonEvents() {
         $("#json_to_data").click(() => {
-            $("#data_files_import").click();
+            choice("Import", null, [
+                {
+                    label: "Annotations (JSON, GeoJSON or table of markers)",
+                    click: () => $("#data_files_import").click()
+                },
+                {
+                    label: "Model predictions (JSON or table)",
+                    click: () => $("#prediction_files_import").click()
+                }
+            ]);
         });
         $("#data_files_import").change(event => {
-            if (event.target.files.length) {
+            if (event.target.files.length && localStorage.isTableFile(event.target.files[0].name)) {
+                const loadedTable = localStorage.loadTable("data_files_import");
+                loadedTable && loadedTable.then(table => {
+                    annotationStorageConversion.addAnnotationStorageData(tableConversion.toStorageData(table));
+                }).catch(error => {
+                    alert(`Could not import the annotations: ${error.message}`);
+                });
+            }
+            else if (event.target.files.length) {
                 const loadedJSON = localStorage.loadJSON("data_files_import");
-                loadedJSON.then(annotationStorageConversion.addAnnotationStorageData);
+                loadedJSON && loadedJSON.then(data => {
+                    if (geoJSONConversion.isGeoJSON(data)) {
+                        data = geoJSONConversion.toStorageData(data);
+                    }
+                    annotationStorageConversion.addAnnotationStorageData(data);
+                }).catch(error => {
+                    alert(`Could not import the annotations: ${error.message}`);
+                });
+            }
+        });
+        $("#prediction_files_import").change(event => {
+            if (!event.target.files.length) {
+                return;
             }
+            // Tables have no model name, so the name of the file is used instead
+            const fileName = event.target.files[0].name;
+            const isTable = localStorage.isTableFile(fileName);
+            const loadedFile = isTable ? localStorage.loadTable("prediction_files_import")
+                : localStorage.loadJSON("prediction_files_import");
+            loadedFile && loadedFile.then(data => {
+                const predictionSet = isTable ? predictions.fromTable(data, fileName.replace(/\.[^.]*$/, ""))
+                    : predictions.fromJSON(data);
+                const result = predictions.importPredictions(predictionSet);
+                console.info(`Attached ${result.attached} predictions to annotations, `
+                    + `added ${result.added} predicted annotations and skipped ${result.skipped}.`);
+            }).catch(error => {
+                alert(`Could not import the predictions: ${error.message}`);
+            });
         });
         $("#points_to_json").click(() => {
-            const annotationData = annotationStorageConversion.getAnnotationStorageData();
-            localStorage.saveJSON(annotationData);
+            choice("Export annotations as", null, [
+                {
+                    label: "CytoBrowser JSON",
+                    click: () => {
+                        const annotationData = annotationStorageConversion.getAnnotationStorageData();
+                        localStorage.saveJSON(annotationData);
+                    }
+                },
+                {
+                    label: "GeoJSON (e.g. for QuPath)",
+                    click: () => {
+                        const annotationData = annotationStorageConversion.getAnnotationStorageData();
+                        localStorage.saveJSON(geoJSONConversion.fromStorageData(annotationData), "annotation.geojson");
+                    }
+                },
+                {
+                    label: "CSV table of the shown annotations",
+                    click: () => {
+                        const table = tableConversion.getAnnotationTable(annotationVisuals.getShownAnnotations(), ",");
+                        localStorage.saveTable(table, "annotations.csv");
+                    }
+                },
+                {
+                    label: "TSV table of the shown annotations",
+                    click: () => {
+                        const table = tableConversion.getAnnotationTable(annotationVisuals.getShownAnnotations(), "\t");
+                        localStorage.saveTable(table, "annotations.tsv");
+                    }
+                }
+            ]);
         });
     }
 
@@ -352,16 +511,31 @@ const tmappUI = (function(){
         //1,2,... for class selection
         //z,x for focus up down
         $("#main_content").keydown(function(){
+            // Ctrl+Z and Ctrl+Shift+Z for undoing and redoing annotation edits
+            if (event.ctrlKey && event.which === 90) {
+                if (!_readOnly) {
+                    // Any ongoing vertex edits are sent first so that they can be undone
+                    regionEditor.stopEditingRegion();
+                    event.shiftKey ? annotationHistory.redo() : annotationHistory.undo();
+                }
+                event.preventDefault();
+                return;
+            }
             // Prevent the keyboard shortcuts from being used when the ctrl key is down
             // This is just a simple way of letting people copy and paste, could be refined
             if (event.ctrlKey) {
                 return;
             }
+            // The review mode for predictions takes over the keys it uses
+            if (predictionReview.handleKey(event)) {
+                event.preventDefault();
+                return;
+            }
             let caught=true; //Assume we use the key (setting to false in 'default')
             switch(event.which) {
                 case 27: // esc
                     annotationTool.reset();
-                    regionEditor.stopEditingRegion();
+                    regionEditor.cancelEditingRegion();
                     break;
                 case 8: // backspace
                     annotationTool.revert();
@@ -389,6 +563,24 @@ const tmappUI = (function(){
                 case 66: // b
                     $("#tool_poly").click();
                     break;
+                case 78: // n
+                    $("#tool_lasso").click();
+                    break;
+                case 77: // m
+                    $("#tool_brush").click();
+                    break;
+                case 188: // ,
+                    $("#tool_ellipse").click();
+                    break;
+                case 190: // .
+                    $("#tool_circle").click();
+                    break;
+                case 191: // /
+                    $("#tool_ruler").click();
+                    break;
+                case 76: // l
+                    $("#tool_polyline").click();
+                    break;
                 default:
                     caught=false; //Assume we miss the key
                     // Handle digit keys being pressed for classes
@@ -442,10 +634,53 @@ const tmappUI = (function(){
             $("#collaboration_start [name='collab_url']").select();
             document.execCommand("copy");
         });
+        $("#copy_observer_url").click(function(event) {
+            $("#collaboration_start [name='observer_url']").select();
+            document.execCommand("copy");
+        });
         $("#change_session").click(function(event) {
             const image = tmapp.getImageName();
             collabPicker.open(image,false,false);
         });
+        $("#find_session").click(function(event) {
+            collabSearch.open();
+        });
+    }
+
+    function _initLogin() {
+        $("#login_form").submit(function(event) {
+            event.preventDefault();
+            const username = $("#login_form [name='username']").val();
+            const password = $("#login_form [name='password']").val();
+            userInfo.login(username, password).then(success => {
+                if (success) {
+                    $("#login_form [name='password']").removeClass("is-invalid").val("");
+                    $("#login_menu").modal("hide");
+                    setAccount(username);
+                    _onLogin && _onLogin();
+                    _onLogin = null;
+                }
+                else {
+                    $("#login_form [name='password']").addClass("is-invalid");
+                }
+            });
+        });
+        $("#logout").click(function(event) {
+            userInfo.logout().then(() => window.location.reload());
+        });
+    }
+
+    function _initAccessControls() {
+        $("#access_default_role").change(function(event) {
+            collabClient.setDefaultRole($(this).val());
+        });
+        $("#access_add").click(function(event) {
+            const username = $("#access_username").val().trim();
+            if (username) {
+                collabClient.setRole(username, $("#access_role").val());
+                $("#access_username").val("");
+            }
+        });
     }
 
     /**
@@ -456,6 +691,7 @@ const tmappUI = (function(){
         _initAnnotationList();
         _initCollabPicker();
         _initVersionPicker();
+        _initRegionOperations();
         _initGlobalComments();
         _initClassSelectionButtons();
         _initToolSelectionButtons();
@@ -468,6 +704,8 @@ const tmappUI = (function(){
         _initVisualizationSliders();
         _initKeyboardShortcuts();
         _initCollaborationMenu();
+        _initLogin();
+        _initAccessControls();
     }
 
     /**
@@ -476,6 +714,7 @@ const tmappUI = (function(){
      */
     function updateClassSelectionButtons() {
         _initClassSelectionButtons();
+        annotationBulkEdit.updateControls();
     }
 
     /**
@@ -567,8 +806,11 @@ const tmappUI = (function(){
         $("#collaboration_start [name='collab_url']").val(collabUrl.href);
         $("#collaboration_start [name='active_id']").val(id);
         $("#collaboration_start input, #collaboration_start button").prop("disabled", true);
-        $("#collaboration_start [name='username']").prop("disabled", false);
+        $("#collaboration_start [name='username']").prop("disabled", _accountName !== null);
         $("#collaboration_start [name='collab_name']").prop("disabled", false);
+        $("#collaboration_access input, #collaboration_access button").prop("disabled", false);
+        $("#collaboration_start [name='observer_url'], #copy_observer_url").prop("disabled", false);
+        $("#logout").prop("disabled", false);
         $("#collaboration_start [name='collab_url']").prop("disabled", false);
         $("#copy_collaboration").prop("disabled", false);
         $("#leave_collaboration").prop("disabled", false);
@@ -581,16 +823,60 @@ const tmappUI = (function(){
      * disable the button for leaving the collaboration.
      */
     function clearCollabID() {
+        setObserverToken(null);
         $("#collaboration_start [name='collab_url']").val("");
         $("#collaboration_start [name='active_id']").val("");
         $("#collaboration_start input, #collaboration_start button").prop("disabled", false);
-        $("#collaboration_start [name='username']").prop("disabled", false);
+        $("#collaboration_start [name='username']").prop("disabled", _accountName !== null);
         $("#collaboration_start [name='collab_url']").prop("disabled", true);
         $("#copy_collaboration").prop("disabled", true);
         $("#leave_collaboration").prop("disabled", true);
         $("#change_session").prop("disabled", true);
     }
 
+    /**
+     * Set the token that can be used to create a link for observing
+     * the current collaboration, and show the link if it exists.
+     * @param {string|null} token The observer token, or null if the
+     * local member isn't allowed to share observer links.
+     */
+    function setObserverToken(token) {
+        const collabUrl = $("#collaboration_start [name='collab_url']").val();
+        if (token && collabUrl) {
+            const observerUrl = new URL(collabUrl);
+            observerUrl.searchParams.set("observe", token);
+            $("#collaboration_start [name='observer_url']").val(observerUrl.href);
+            $("#observer_url_row").show();
+        }
+        else {
+            $("#collaboration_start [name='observer_url']").val("");
+            $("#observer_url_row").hide();
+        }
+    }
+
+    /**
+     * Enable or disable everything that can be used to change the
+     * annotations or the collaboration, for members who are only
+     * allowed to observe.
+     * @param {boolean} readOnly Whether or not the collaboration should
+     * be read-only for the local member.
+     */
+    function setReadOnly(readOnly) {
+        _readOnly = readOnly;
+        if (readOnly) {
+            regionEditor.stopEditingRegion();
+            _closeContextMenu();
+        }
+        annotationTool.setEnabled(!readOnly);
+        $("#tool_marker, #tool_rect, #tool_ellipse, #tool_circle, #tool_poly, #tool_lasso, #tool_brush, #tool_ruler, #tool_polyline").toggleClass("disabled", readOnly);
+        $("#class_buttons").children().toggleClass("disabled", readOnly);
+        $("#json_to_data, #revert_changes").prop("disabled", readOnly);
+        $("#global_comments").find("input, textarea, button").prop("disabled", readOnly);
+        $("#collaboration_start [name='collab_name']").prop("disabled", readOnly);
+        regionOperations.updateControls();
+        annotationBulkEdit.updateControls();
+    }
+
     /**
      * Update the list of collaborators and add the appropriate event
      * handlers.
@@ -610,6 +896,71 @@ const tmappUI = (function(){
         updateCollaborators({}, []);
     }
 
+    /**
+     * Show or hide the access controls of the collaboration depending
+     * on the role of the local member.
+     * @param {string|null} role The role of the local member, or null
+     * if they aren't in a collaboration.
+     */
+    function setLocalRole(role) {
+        if (role === "owner") {
+            $("#collaboration_access").show();
+        }
+        else {
+            $("#collaboration_access").hide();
+            $("#access_list").empty();
+        }
+    }
+
+    /**
+     * Update the access controls with information about who has access
+     * to the collaboration.
+     * @param {Object} access The access information from the server.
+     * @param {string} access.owner The name of the owner.
+     * @param {string} access.defaultRole The role given to users without
+     * a specific role.
+     * @param {Object} access.roles The roles of specific users.
+     */
+    function updateAccess(access) {
+        const list = $("#access_list");
+        list.empty();
+        if (access) {
+            $("#access_default_role").val(access.defaultRole);
+            htmlHelper.buildAccessList(list, access);
+        }
+    }
+
+    /**
+     * Open the login menu. The menu can't be closed until the user
+     * has logged in.
+     * @param {Function} onLogin Function to call once the user has
+     * logged in.
+     */
+    function openLogin(onLogin) {
+        _onLogin = onLogin;
+        $("#login_menu").modal({backdrop: "static", keyboard: false});
+    }
+
+    /**
+     * Set the account that the user is logged in to. While logged in,
+     * the account name is used as the user name and can't be changed.
+     * @param {string|null} username The name of the account, or null
+     * if the user isn't logged in.
+     */
+    function setAccount(username) {
+        _accountName = username || null;
+        const usernameField = $("#collaboration_start [name='username']");
+        if (_accountName !== null) {
+            usernameField.val(_accountName);
+            setUserName(_accountName);
+            $("#logout").show();
+        }
+        else {
+            $("#logout").hide();
+        }
+        usernameField.prop("disabled", _accountName !== null);
+    }
+
     /**
      * Enable the collaboration creation functionality.
      */
@@ -818,6 +1169,12 @@ const tmappUI = (function(){
         clearCollabID,
         updateCollaborators,
         clearCollaborators,
+        setLocalRole,
+        updateAccess,
+        setObserverToken,
+        setReadOnly,
+        openLogin,
+        setAccount,
         enableCollabCreation,
         
         displayImageError,
@@ -28,6 +28,25 @@ const userInfo = (function() {
         document.cookie = `${key}=${value};samesite=strict;expires=${expiryDate.toGMTString()}`;
     }
 
+    function _request(method, endpoint, body) {
+        return new Promise((resolve, reject) => {
+            const req = new XMLHttpRequest();
+            req.open(method, window.location.api + endpoint, true);
+            req.setRequestHeader("Content-Type", "application/json");
+            // Turn off caching of response
+            req.setRequestHeader("Cache-Control", "no-cache, no-store, must-revalidate, max-age=0"); // HTTP 1.1
+            req.setRequestHeader("Pragma", "no-cache"); // HTTP 1.0
+            req.setRequestHeader("Expires", "0"); // Proxies
+            req.onreadystatechange = function() {
+                if (req.readyState === 4) {
+                    resolve(req);
+                }
+            };
+            req.onerror = reject;
+            req.send(body ? JSON.stringify(body) : null);
+        });
+    }
+
     function setName(name) {
         _setCookie("user", name);
     }
@@ -37,8 +56,65 @@ const userInfo = (function() {
         return name;
     }
 
+    /**
+     * Information about the account of the user.
+     * @typedef {Object} AccountInfo
+     * @property {boolean} authentication Whether or not the server
+     * requires users to log in.
+     * @property {string|null} username The name of the logged in user,
+     * or null if the user has not logged in.
+     */
+
+    /**
+     * Ask the server which user is logged in.
+     * @returns {Promise<AccountInfo>} Promise of the account information.
+     */
+    function retrieveAccount() {
+        return _request("GET", "/user").then(req => {
+            if (req.status !== 200) {
+                throw new Error("Could not retrieve account information.");
+            }
+            const account = JSON.parse(req.responseText);
+            if (account.username) {
+                setName(account.username);
+            }
+            return account;
+        });
+    }
+
+    /**
+     * Log in to the server.
+     * @param {string} username The name of the user.
+     * @param {string} password The password of the user.
+     * @returns {Promise<boolean>} Promise that resolves with whether or
+     * not the user was logged in.
+     */
+    function login(username, password) {
+        return _request("POST", "/login", {
+            username: username,
+            password: password
+        }).then(req => {
+            if (req.status === 200) {
+                setName(username);
+                return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Log out from the server.
+     * @returns {Promise} Promise that resolves once the user is logged out.
+     */
+    function logout() {
+        return _request("POST", "/logout");
+    }
+
     return {
         setName: setName,
-        getName: getName
+        getName: getName,
+        retrieveAccount: retrieveAccount,
+        login: login,
+        logout: logout
     };
 })();
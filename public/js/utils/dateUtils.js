@@ -39,3 +39,8 @@ const dateUtils = (function() {
         formatReadableDate: formatReadableDate
     };
 })();
+
+// Allow the utilities to be required by the server
+if (typeof module !== "undefined") {
+    module.exports = dateUtils;
+}
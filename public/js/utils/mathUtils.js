@@ -62,8 +62,10 @@
          return !noIntersections;
      }
 
-     function getCentroid(points) {
-        if (points.length === 1)
+     function getCentroid(points, shape) {
+        if (shape)
+            return {x: shape.center.x, y: shape.center.y};
+        else if (points.length === 1)
             return points[0];
         else {
             // Wikipedia says this won't work with self-intersections
@@ -80,12 +82,124 @@
                 return b;
             });
             area /= 2;
+            if (area === 0) {
+                // Degenerate polygon, e.g. a straight line
+                return getLineCentroid(points);
+            }
             cx /= (6 * area);
             cy /= (6 * area);
             return {x: cx, y: cy};
         }
     }
 
+    /**
+     * Get the centroid of an open path, weighting each segment by its
+     * length.
+     * @param {Array<Object>} points The x and y coordinates of the
+     * points along the path.
+     * @returns {Object} The x and y coordinates of the centroid.
+     */
+    function getLineCentroid(points) {
+        let length = 0;
+        let cx = 0;
+        let cy = 0;
+        points.reduce((a, b) => {
+            const segLength = Math.hypot(b.x - a.x, b.y - a.y);
+            length += segLength;
+            cx += (a.x + b.x) / 2 * segLength;
+            cy += (a.y + b.y) / 2 * segLength;
+            return b;
+        });
+        if (length === 0) {
+            return {x: points[0].x, y: points[0].y};
+        }
+        return {x: cx / length, y: cy / length};
+    }
+
+    /**
+     * Get the area of a polygon.
+     * @param {Array<Object>} points The x and y coordinates of the
+     * corners of the polygon.
+     * @param {Object} [scale={x: 1, y: 1}] The size of a unit step along
+     * each axis, used to express the area in other units.
+     * @returns {number} The area of the polygon.
+     */
+    function getArea(points, scale={x: 1, y: 1}) {
+        let area = 0;
+        [...points, points[0]].reduce((a, b) => {
+            area += (a.x * b.y) - (b.x * a.y);
+            return b;
+        });
+        return Math.abs(area / 2) * scale.x * scale.y;
+    }
+
+    /**
+     * Get the total area of a set of polygons with holes, such as the
+     * parts of a region. The areas of the holes are subtracted.
+     * @param {Array<Object>} polygons The polygons, each with the corners
+     * of its outer boundary as points and the corners of its holes as
+     * an array of holes.
+     * @param {Object} [scale={x: 1, y: 1}] The size of a unit step along
+     * each axis, used to express the area in other units.
+     * @returns {number} The total area of the polygons.
+     */
+    function getPolygonsArea(polygons, scale={x: 1, y: 1}) {
+        return polygons.reduce((total, polygon) => {
+            const holeArea = (polygon.holes || []).reduce((sum, hole) =>
+                sum + getArea(hole, scale), 0
+            );
+            return total + getArea(polygon.points, scale) - holeArea;
+        }, 0);
+    }
+
+    /**
+     * Get the centroid of a set of polygons with holes, such as the
+     * parts of a region. Each polygon is weighted by its area, with
+     * the holes taken away.
+     * @param {Array<Object>} polygons The polygons, in the same form as
+     * for getPolygonsArea().
+     * @returns {Object} The x and y coordinates of the centroid.
+     */
+    function getPolygonsCentroid(polygons) {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        polygons.forEach(polygon => {
+            [polygon.points, ...(polygon.holes || [])].forEach((ring, i) => {
+                // Holes count as negative area
+                const ringArea = getArea(ring) * (i === 0 ? 1 : -1);
+                const ringCentroid = getCentroid(ring);
+                area += ringArea;
+                cx += ringCentroid.x * ringArea;
+                cy += ringCentroid.y * ringArea;
+            });
+        });
+        if (area === 0) {
+            return getCentroid(polygons[0].points);
+        }
+        return {x: cx / area, y: cy / area};
+    }
+
+    /**
+     * Get the length of a path.
+     * @param {Array<Object>} points The x and y coordinates of the
+     * points along the path.
+     * @param {boolean} [closed=true] Whether or not the path returns to
+     * its first point, as the outline of a polygon does.
+     * @param {Object} [scale={x: 1, y: 1}] The size of a unit step along
+     * each axis, used to express the length in other units.
+     * @returns {number} The length of the path.
+     */
+    function getPathLength(points, closed=true, scale={x: 1, y: 1}) {
+        const path = closed ? [...points, points[0]] : points;
+        let length = 0;
+        path.reduce((a, b) => {
+            length += Math.hypot((b.x - a.x) * scale.x, (b.y - a.y) * scale.y);
+            return b;
+        });
+        return length;
+    }
+
     function _sqrDist(a,b) {
         const x = a.x - b.x;
         const y = a.y - b.y;  
@@ -93,8 +207,10 @@
     }
 
     //Approximate!
-    function getDiameter(points) {
-        if (points.length === 1)
+    function getDiameter(points, shape) {
+        if (shape)
+            return 2 * Math.max(shape.radiusX, shape.radiusY);
+        else if (points.length === 1)
             return 0;
         else {
             let changed;
@@ -113,9 +229,258 @@
         }
     }
 
+    /**
+     * Get the corners of a polygon approximating an ellipse.
+     * @param {Object} shape The ellipse.
+     * @param {Object} shape.center The x and y coordinates of its center.
+     * @param {number} shape.radiusX The radius along its first axis.
+     * @param {number} shape.radiusY The radius along its second axis.
+     * @param {number} shape.angle The angle of its first axis in radians.
+     * @param {number} [nPoints=64] The number of corners of the polygon.
+     * @returns {Array<Object>} The x and y coordinates of the corners.
+     */
+    function getEllipsePoints(shape, nPoints=64) {
+        const cos = Math.cos(shape.angle);
+        const sin = Math.sin(shape.angle);
+        return Array.from({length: nPoints}, (v, i) => {
+            const t = 2 * Math.PI * i / nPoints;
+            const x = shape.radiusX * Math.cos(t);
+            const y = shape.radiusY * Math.sin(t);
+            return {
+                x: shape.center.x + x * cos - y * sin,
+                y: shape.center.y + x * sin + y * cos
+            };
+        });
+    }
+
+    // Squared distance from a point to the line segment between a and b
+    function _sqrSegDist(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const sqrLength = dx*dx + dy*dy;
+        let t = sqrLength > 0 ? ((point.x - a.x) * dx + (point.y - a.y) * dy) / sqrLength : 0;
+        t = Math.max(0, Math.min(1, t));
+        return _sqrDist(point, {x: a.x + t * dx, y: a.y + t * dy});
+    }
+
+    /**
+     * Get the shortest distance from a point to a path.
+     * @param {Object} point The x and y coordinates of the point.
+     * @param {Array<Object>} points The x and y coordinates of the
+     * points along the path.
+     * @param {boolean} [closed=false] Whether or not the path returns
+     * to its first point.
+     * @returns {number} The distance to the closest point on the path.
+     */
+    function getDistanceToPath(point, points, closed=false) {
+        const path = closed ? [...points, points[0]] : points;
+        if (path.length === 1) {
+            return Math.sqrt(_sqrDist(point, path[0]));
+        }
+        let sqrDist = Infinity;
+        for (let i = 1; i < path.length; i++) {
+            sqrDist = Math.min(sqrDist, _sqrSegDist(point, path[i - 1], path[i]));
+        }
+        return Math.sqrt(sqrDist);
+    }
+
+    /**
+     * Check whether or not a point is inside any of a number of
+     * polygons, using the even-odd rule so that points inside holes
+     * are outside the polygons.
+     * @param {Object} point The x and y coordinates of the point.
+     * @param {Array<Array<Object>>} rings The boundaries of the
+     * polygons and their holes, each an array of corners.
+     * @returns {boolean} Whether or not the point is inside.
+     */
+    function pointIsInsideRings(point, rings) {
+        let inside = false;
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i];
+                const b = ring[j];
+                if ((a.y > point.y) !== (b.y > point.y)
+                    && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+            }
+        });
+        return inside;
+    }
+
+    /**
+     * Simplify a path with the Douglas-Peucker algorithm, removing
+     * points that are closer than a given tolerance to the simplified
+     * path. The first and last points are always kept.
+     * @param {Array<Object>} points The x and y coordinates of the
+     * points along the path.
+     * @param {number} tolerance The largest allowed distance between
+     * a removed point and the simplified path.
+     * @returns {Array<Object>} The points that are kept.
+     */
+    function simplifyPath(points, tolerance) {
+        if (points.length < 3) {
+            return points.slice();
+        }
+        const keep = points.map((point, i) => i === 0 || i === points.length - 1);
+        const sqrTolerance = tolerance * tolerance;
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            let maxSqrDist = 0;
+            let index = -1;
+            for (let i = first + 1; i < last; i++) {
+                const sqrDist = _sqrSegDist(points[i], points[first], points[last]);
+                if (sqrDist > maxSqrDist) {
+                    maxSqrDist = sqrDist;
+                    index = i;
+                }
+            }
+            if (maxSqrDist > sqrTolerance) {
+                keep[index] = true;
+                stack.push([first, index], [index, last]);
+            }
+        }
+        return points.filter((point, i) => keep[i]);
+    }
+
+    // Largest number of grid cells used when outlining a stroke
+    const _maxOutlineCells = 1000000;
+
+    /**
+     * Get the outline of the area covered by a stroke of a round brush.
+     * The area is rasterized on a grid with cells a quarter of the brush
+     * radius wide, and the outer boundary of the cells is traced. Cells
+     * that only touch at a corner are joined so that the outline never
+     * touches itself, and any holes in the area are filled.
+     * @param {Array<Object>} points The x and y coordinates of the
+     * points that the center of the brush has passed through.
+     * @param {number} radius The radius of the brush.
+     * @returns {Array<Object>} The corners of a polygon following the
+     * outline of the stroke, or an empty array if nothing was painted.
+     */
+    function getStrokeOutline(points, radius) {
+        if (points.length === 0 || !(radius > 0)) {
+            return [];
+        }
+        const minX = Math.min(...points.map(point => point.x)) - radius;
+        const minY = Math.min(...points.map(point => point.y)) - radius;
+        const maxX = Math.max(...points.map(point => point.x)) + radius;
+        const maxY = Math.max(...points.map(point => point.y)) + radius;
+        let cellSize = radius / 4;
+        const area = (maxX - minX) * (maxY - minY);
+        if (area / (cellSize * cellSize) > _maxOutlineCells) {
+            cellSize = Math.sqrt(area / _maxOutlineCells);
+        }
+        // Pad the grid with empty cells so the outline never reaches its edge
+        const originX = minX - cellSize;
+        const originY = minY - cellSize;
+        const width = Math.ceil((maxX - minX) / cellSize) + 2;
+        const height = Math.ceil((maxY - minY) / cellSize) + 2;
+        const filled = new Uint8Array(width * height);
+        const isFilled = (i, j) => i >= 0 && j >= 0 && i < width && j < height
+            && filled[j * width + i] === 1;
+
+        // Paint each segment of the stroke
+        const sqrRadius = radius * radius;
+        const segments = points.length === 1 ? [[points[0], points[0]]]
+            : points.slice(1).map((point, i) => [points[i], point]);
+        segments.forEach(([a, b]) => {
+            const i0 = Math.max(0, Math.floor((Math.min(a.x, b.x) - radius - originX) / cellSize));
+            const i1 = Math.min(width - 1, Math.ceil((Math.max(a.x, b.x) + radius - originX) / cellSize));
+            const j0 = Math.max(0, Math.floor((Math.min(a.y, b.y) - radius - originY) / cellSize));
+            const j1 = Math.min(height - 1, Math.ceil((Math.max(a.y, b.y) + radius - originY) / cellSize));
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    const center = {
+                        x: originX + (i + 0.5) * cellSize,
+                        y: originY + (j + 0.5) * cellSize
+                    };
+                    if (_sqrSegDist(center, a, b) <= sqrRadius) {
+                        filled[j * width + i] = 1;
+                    }
+                }
+            }
+        });
+
+        // Join cells that only touch at a corner, as the outline would
+        // otherwise pass through that corner twice and touch itself
+        let joined = true;
+        while (joined) {
+            joined = false;
+            for (let j = 0; j < height - 1; j++) {
+                for (let i = 0; i < width - 1; i++) {
+                    const topLeft = isFilled(i, j);
+                    const topRight = isFilled(i + 1, j);
+                    const bottomLeft = isFilled(i, j + 1);
+                    const bottomRight = isFilled(i + 1, j + 1);
+                    if (topLeft && bottomRight && !topRight && !bottomLeft) {
+                        filled[j * width + i + 1] = 1;
+                        joined = true;
+                    }
+                    else if (topRight && bottomLeft && !topLeft && !bottomRight) {
+                        filled[j * width + i] = 1;
+                        joined = true;
+                    }
+                }
+            }
+        }
+
+        const start = filled.indexOf(1);
+        if (start === -1) {
+            return [];
+        }
+
+        // Follow the cell edges clockwise with the painted cells to the
+        // right, starting at the top left corner of the first painted cell
+        const dx = [1, 0, -1, 0];
+        const dy = [0, 1, 0, -1];
+        const rightCell = [[0, 0], [-1, 0], [-1, -1], [0, -1]];
+        const leftCell = [[0, -1], [0, 0], [-1, 0], [-1, -1]];
+        const isBoundary = (x, y, d) =>
+            isFilled(x + rightCell[d][0], y + rightCell[d][1])
+            && !isFilled(x + leftCell[d][0], y + leftCell[d][1]);
+        const startX = start % width;
+        const startY = Math.floor(start / width);
+        const corners = [];
+        let x = startX;
+        let y = startY;
+        let d = 0;
+        for (let steps = 0; steps < 4 * width * height; steps++) {
+            x += dx[d];
+            y += dy[d];
+            if (x === startX && y === startY) {
+                break;
+            }
+            // As no cells touch only at a corner, there is a single way to go on
+            const next = [(d + 1) % 4, d, (d + 3) % 4].find(dir => isBoundary(x, y, dir));
+            if (next !== d) {
+                corners.push({x: originX + x * cellSize, y: originY + y * cellSize});
+                d = next;
+            }
+        }
+        corners.unshift({x: originX + startX * cellSize, y: originY + startY * cellSize});
+        return corners;
+    }
+
     return {
         pathIntersectsSelf,
         getCentroid,
-        getDiameter
+        getDiameter,
+        getLineCentroid,
+        getArea,
+        getPolygonsArea,
+        getPolygonsCentroid,
+        getPathLength,
+        getEllipsePoints,
+        getDistanceToPath,
+        pointIsInsideRings,
+        simplifyPath,
+        getStrokeOutline
     };
 })();
+
+// Allow the functions to be required by the tests
+if (typeof module !== "undefined") {
+    module.exports = mathUtils;
+}
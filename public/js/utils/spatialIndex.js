@@ -0,0 +1,230 @@
+/**
+ * R-tree of items with rectangular bounding boxes, used for quickly
+ * finding the items inside a part of the image, such as the annotations
+ * in the current viewport. Items are kept in leaf nodes of at most
+ * maxEntries items each, and each node keeps track of the box that
+ * contains all of its children, so that a search only has to descend
+ * into the nodes whose boxes intersect the searched box.
+ */
+class SpatialIndex {
+    /**
+     * An axis-aligned bounding box.
+     * @typedef {Object} BoundingBox
+     * @property {number} minX The smallest x coordinate.
+     * @property {number} minY The smallest y coordinate.
+     * @property {number} maxX The largest x coordinate.
+     * @property {number} maxY The largest y coordinate.
+     */
+
+    /**
+     * @param {number} [maxEntries=16] The most children a node can have
+     * before it is split.
+     */
+    constructor(maxEntries = 16) {
+        this._maxEntries = Math.max(4, maxEntries);
+        this.clear();
+    }
+
+    static _emptyBox() {
+        return {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+    }
+
+    static _extend(box, other) {
+        box.minX = Math.min(box.minX, other.minX);
+        box.minY = Math.min(box.minY, other.minY);
+        box.maxX = Math.max(box.maxX, other.maxX);
+        box.maxY = Math.max(box.maxY, other.maxY);
+        return box;
+    }
+
+    static _area(box) {
+        return (box.maxX - box.minX) * (box.maxY - box.minY);
+    }
+
+    static _enlargedArea(box, other) {
+        return (Math.max(box.maxX, other.maxX) - Math.min(box.minX, other.minX))
+            * (Math.max(box.maxY, other.maxY) - Math.min(box.minY, other.minY));
+    }
+
+    static _intersects(box, other) {
+        return other.minX <= box.maxX && other.minY <= box.maxY
+            && other.maxX >= box.minX && other.maxY >= box.minY;
+    }
+
+    static _createNode(leaf, children = []) {
+        const node = {leaf: leaf, children: children, parent: null, box: null};
+        SpatialIndex._updateBox(node);
+        return node;
+    }
+
+    static _updateBox(node) {
+        node.box = node.children.reduce((box, child) =>
+            SpatialIndex._extend(box, child.box), SpatialIndex._emptyBox()
+        );
+    }
+
+    _chooseLeaf(box) {
+        let node = this._root;
+        while (!node.leaf) {
+            // Descend into the child that needs the least enlargement
+            let best = null;
+            let bestEnlargement = Infinity;
+            let bestArea = Infinity;
+            for (const child of node.children) {
+                const area = SpatialIndex._area(child.box);
+                const enlargement = SpatialIndex._enlargedArea(child.box, box) - area;
+                if (enlargement < bestEnlargement
+                    || (enlargement === bestEnlargement && area < bestArea)) {
+                    best = child;
+                    bestEnlargement = enlargement;
+                    bestArea = area;
+                }
+            }
+            node = best;
+        }
+        return node;
+    }
+
+    _split(node) {
+        // Split along the longer side of the node, with half the children in each
+        const box = node.box;
+        const key = box.maxX - box.minX >= box.maxY - box.minY ? "minX" : "minY";
+        const children = node.children.slice().sort((a, b) => a.box[key] - b.box[key]);
+        const half = Math.ceil(children.length / 2);
+        node.children = children.slice(0, half);
+        const sibling = SpatialIndex._createNode(node.leaf, children.slice(half));
+        [node, sibling].forEach(parent => {
+            parent.children.forEach(child => this._setParent(child, parent));
+            SpatialIndex._updateBox(parent);
+        });
+
+        if (node === this._root) {
+            this._root = SpatialIndex._createNode(false, [node, sibling]);
+            node.parent = sibling.parent = this._root;
+        }
+        else {
+            node.parent.children.push(sibling);
+            sibling.parent = node.parent;
+        }
+    }
+
+    _setParent(child, parent) {
+        child.parent = parent;
+        if (parent.leaf) {
+            this._leaves.set(child.item, parent);
+        }
+    }
+
+    _updateAncestors(node, box) {
+        // Grow the boxes on the way up, splitting any node that has too many children
+        while (node) {
+            const parent = node.parent;
+            if (node.children.length > this._maxEntries) {
+                this._split(node);
+            }
+            else {
+                SpatialIndex._extend(node.box, box);
+            }
+            node = parent;
+        }
+    }
+
+    /**
+     * Add an item to the index. An item that has already been added is
+     * moved to its new bounding box.
+     * @param {*} item The item, used to identify it when removing it.
+     * @param {BoundingBox} box The bounding box of the item.
+     */
+    insert(item, box) {
+        if (this._leaves.has(item)) {
+            this.remove(item);
+        }
+        const entry = {item: item, box: Object.assign({}, box)};
+        const leaf = this._chooseLeaf(entry.box);
+        leaf.children.push(entry);
+        this._setParent(entry, leaf);
+        this._updateAncestors(leaf, entry.box);
+    }
+
+    /**
+     * Remove an item from the index.
+     * @param {*} item The item to remove.
+     * @returns {boolean} Whether or not the item was in the index.
+     */
+    remove(item) {
+        const leaf = this._leaves.get(item);
+        if (!leaf) {
+            return false;
+        }
+        this._leaves.delete(item);
+        leaf.children = leaf.children.filter(entry => entry.item !== item);
+        // Remove nodes that have become empty, and shrink the boxes above
+        let node = leaf;
+        while (node.parent && node.children.length === 0) {
+            const parent = node.parent;
+            parent.children = parent.children.filter(child => child !== node);
+            node = parent;
+        }
+        for (; node; node = node.parent) {
+            SpatialIndex._updateBox(node);
+        }
+        if (!this._root.leaf && this._root.children.length === 0) {
+            this.clear();
+        }
+        else if (!this._root.leaf && this._root.children.length === 1) {
+            this._root = this._root.children[0];
+            this._root.parent = null;
+        }
+        return true;
+    }
+
+    /**
+     * Find all items whose bounding boxes intersect a given box.
+     * @param {BoundingBox} box The box to search in.
+     * @returns {Array} The items inside or touching the box.
+     */
+    search(box) {
+        const found = [];
+        const stack = [this._root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!SpatialIndex._intersects(node.box, box)) {
+                continue;
+            }
+            if (node.leaf) {
+                node.children.forEach(entry => {
+                    SpatialIndex._intersects(entry.box, box) && found.push(entry.item);
+                });
+            }
+            else {
+                stack.push(...node.children);
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Check whether or not an item has been added to the index.
+     * @param {*} item The item.
+     * @returns {boolean} Whether or not the item is in the index.
+     */
+    has(item) {
+        return this._leaves.has(item);
+    }
+
+    /**
+     * Get the number of items in the index.
+     * @returns {number} The number of items.
+     */
+    get size() {
+        return this._leaves.size;
+    }
+
+    /**
+     * Remove all items from the index.
+     */
+    clear() {
+        this._root = SpatialIndex._createNode(true);
+        this._leaves = new Map(); // The leaf node that each item is stored in
+    }
+}
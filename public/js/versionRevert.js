@@ -2,20 +2,60 @@ const versionRevert = (function() {
     "use strict";
 
 
-    let _selection = null;
+    let _versions = [];
+    let _selection = [];
+    let _previewId = null;
+
+    function _getCurrentId() {
+        return _versions.length > 0 ? _versions[0].id : null;
+    }
+
+    function _updateControls() {
+        const single = _selection.length === 1 ? _selection[0] : null;
+        const version = _versions.find(version => version.id === single);
+        $("#version-revert").prop("disabled", single === null || single === _getCurrentId());
+        $("#version-preview").prop("disabled", single === null || single === _getCurrentId());
+        $("#version-tag").prop("disabled", single === null);
+        $("#version-tag-name").prop("disabled", single === null)
+            .val(version && version.tag ? version.tag.name : "");
+        $("#version-tag-note").prop("disabled", single === null)
+            .val(version && version.tag ? version.tag.note : "");
+        $("#version-compare").prop("disabled", _selection.length === 0
+            || (single !== null && single === _getCurrentId()));
+    }
 
     function _deselectVersion() {
         $("#version-list a").removeClass("active");
-        $("#version-revert").prop("disabled", true);
-        _selection = null;
+        _selection = [];
+        _updateControls();
+    }
+
+    function _toggleVersion(element, id) {
+        const index = _selection.indexOf(id);
+        if (index !== -1) {
+            _selection.splice(index, 1);
+            element.removeClass("active");
+        }
+        else {
+            if (_selection.length === 2) {
+                // Only two versions can be compared, replace the earliest selection
+                const replaced = _selection.shift();
+                $(`#version-list a[data-version-id="${replaced}"]`).removeClass("active");
+            }
+            _selection.push(id);
+            element.addClass("active");
+        }
+        _updateControls();
     }
 
     function _createVersionElement(version, current=false) {
         const element = $(`
             <a href="javascript:void(0)" class="list-group-item list-group-item-action">
+                <span class="version-text"></span>
             </a>
         `);
-        if (_selection === version.id) {
+        element.attr("data-version-id", version.id);
+        if (_selection.includes(version.id)) {
             element.addClass("active");
         }
         let text = version.id + ": ";
@@ -23,38 +63,129 @@ const versionRevert = (function() {
             text+=dateUtils.formatReadableDate(version.time);
         }
         text+=` - ${version.nAnnotations} annotations`;
-        element.html(text);
+        element.find(".version-text").text(text);
 
         if (current) {
             element.append(" <i style='float:right;'>Current</i>");
-            element.addClass("disabled");
         }
+        if (version.tag) {
+            const tag = $("<span class='badge badge-info ml-2'></span>");
+            tag.text(version.tag.name);
+            element.find(".version-text").after(tag);
+            if (version.tag.note) {
+                const note = $("<small class='d-block'></small>");
+                note.text(version.tag.note);
+                element.append(note);
+            }
+            element.attr("title", `Tagged by ${version.tag.author} on ${dateUtils.formatReadableDate(version.tag.time)}`);
+        }
+
+        element.click(() => _toggleVersion(element, version.id));
+        return element;
+    }
 
-        element.click(() => {
-            const wasSelected = _selection === version.id;
-            _deselectVersion();
-            if (!wasSelected) {
-                $("#version-revert").prop("disabled", false);
-                element.addClass("active");
-                _selection = version.id;
+    function _createDiffSection(title, items, describe) {
+        const section = $(`
+            <div class="mb-2">
+                <h6></h6>
+                <ul class="list-unstyled mb-0 pl-2"></ul>
+            </div>
+        `);
+        section.find("h6").text(`${title} (${items.length})`);
+        const list = section.find("ul");
+        items.forEach(item => {
+            const entry = $("<li></li>");
+            entry.text(describe(item));
+            if (annotationHandler.getAnnotationById(item.id)) {
+                const link = $("<a href='javascript:void(0)' class='ml-2'>Go to</a>");
+                link.click(() => {
+                    $("#version-picker").modal("hide");
+                    tmapp.moveToAnnotation(item.id);
+                });
+                entry.append(link);
             }
+            list.append(entry);
         });
-        return element;
+        return section;
     }
 
     /**
      * Set a list of available versions for the current collaboration.
      * @param {Array<Object>} versions The available versions. Each
-     * version object includes the fields id, time, and nAnnotations.
+     * version object includes the fields id, time, and nAnnotations,
+     * and tag if the version has been tagged with a name and note.
      */
     function setVersions(versions) {
-        _deselectVersion();
+        _versions = versions.slice().reverse();
+        _selection = _selection.filter(id =>
+            _versions.some(version => version.id === id)
+        );
         const list = $("#version-list");
         list.empty();
-        versions.reverse().forEach((version,index) => {
+        _versions.forEach((version,index) => {
             const element = _createVersionElement(version,index===0);
             list.append(element);
         });
+        _updateControls();
+    }
+
+    /**
+     * Show the differences in annotations between two versions.
+     * @param {number} fromId The id of the older version.
+     * @param {number} toId The id of the newer version.
+     * @param {Object} diff The differences between the versions, with
+     * the annotations that have been added, removed, reclassified and
+     * otherwise changed.
+     */
+    function showDiff(fromId, toId, diff) {
+        const container = $("#version-diff");
+        container.empty();
+        const header = $("<p class='font-weight-bold'></p>");
+        header.text(`Changes from version ${fromId} to version ${toId}`);
+        container.append(header);
+        const describe = item => `#${item.id} (${item.mclass})`;
+        container.append(_createDiffSection("Added", diff.added, describe));
+        container.append(_createDiffSection("Removed", diff.removed, describe));
+        container.append(_createDiffSection("Reclassified", diff.reclassified,
+            item => `#${item.id}: ${item.from} → ${item.to}`));
+        container.append(_createDiffSection("Otherwise changed", diff.changed,
+            item => `#${item.id} (${item.mclass}): ${item.fields.join(", ")}`));
+        container.removeClass("d-none");
+    }
+
+    function _updatePreviewVisibility() {
+        overlayHandler.setPreviewVisibility(
+            $("#version-preview-show").prop("checked"),
+            $("#version-preview-current").prop("checked")
+        );
+    }
+
+    /**
+     * Show the annotations of a previous version in a read-only layer
+     * on top of the current annotations, so that it can be looked at
+     * before reverting to it.
+     * @param {number} versionId The id of the version.
+     * @param {Array<Object>} annotations The annotations of the
+     * version, expressed in image coordinates.
+     */
+    function showPreview(versionId, annotations) {
+        _previewId = versionId;
+        overlayHandler.setPreviewAnnotations(annotations);
+        $("#version-preview-show").prop("checked", true);
+        $("#version-preview-current").prop("checked", true);
+        _updatePreviewVisibility();
+        $("#version-preview-text").text(`Previewing version ${versionId} (${annotations.length} annotations)`);
+        $("#version-preview-bar").removeClass("d-none");
+    }
+
+    /**
+     * Stop showing the preview of a previous version.
+     */
+    function closePreview() {
+        _previewId = null;
+        overlayHandler.clearPreviewAnnotations();
+        overlayHandler.setPreviewVisibility(true, true);
+        $("#version-preview-bar").addClass("d-none");
     }
 
     /**
@@ -69,6 +200,8 @@ const versionRevert = (function() {
      */
     function clear() {
         setVersions([]);
+        $("#version-diff").empty().addClass("d-none");
+        closePreview();
     }
 
     function init() {
@@ -76,12 +209,39 @@ const versionRevert = (function() {
         $("#version-refresh").click(refresh);
         $("#version-revert").click(() => {
             $("#version-picker").modal("hide");
-            collabClient.revertVersion(_selection);
+            collabClient.revertVersion(_selection[0]);
+        });
+        $("#version-preview").click(() => {
+            $("#version-picker").modal("hide");
+            collabClient.previewVersion(_selection[0]);
+        });
+        $("#version-preview-show, #version-preview-current").change(_updatePreviewVisibility);
+        $("#version-preview-revert").click(() => {
+            const versionId = _previewId;
+            closePreview();
+            collabClient.revertVersion(versionId);
+        });
+        $("#version-preview-close").click(closePreview);
+        $("#version-tag").click(() => {
+            const name = $("#version-tag-name").val();
+            const note = $("#version-tag-note").val();
+            collabClient.tagVersion(_selection[0], name, note);
+        });
+        $("#version-compare").click(() => {
+            // A single selected version is compared to the current one
+            const ids = _selection.length === 2 ? _selection : [_selection[0], _getCurrentId()];
+            collabClient.getVersionDiff(Math.min(...ids), Math.max(...ids));
+        });
+        $("#version-tag-name, #version-tag-note").on("keypress keyup keydown", e => {
+            e.stopPropagation();
         });
     }
 
     return {
         setVersions: setVersions,
+        showDiff: showDiff,
+        showPreview: showPreview,
+        closePreview: closePreview,
         refresh: refresh,
         clear: clear,
         init: init
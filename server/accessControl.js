@@ -0,0 +1,256 @@
+/**
+ * @module accessControl
+ * @desc Keeps track of the roles that users have in each collaboration
+ * and what each role is allowed to do. A collaboration is owned by the
+ * first user to join it, and the owner can give other users the role
+ * of editor or viewer. Users without an explicit role get the default
+ * role of the collaboration, which is initially "none". If access
+ * control is disabled, everyone is treated as an editor. The module also
+ * signs observer links, which let anyone watch a collaboration without
+ * being able to change it.
+ */
+
+const fs = require("fs");
+const fsPromises = fs.promises;
+const crypto = require("crypto");
+
+const roles = ["owner", "editor", "viewer"];
+const defaultRoles = ["editor", "viewer", "none"];
+const observerLinkLifetime = 7 * 24 * 3600000; // Time in ms that observer links can be used
+const permissions = {
+    owner: ["view", "edit", "revert", "manage"],
+    editor: ["view", "edit", "revert"],
+    viewer: ["view"]
+};
+
+let enabled, accessPath, access, secret;
+let ongoingWrite = Promise.resolve();
+
+// Collaboration ids and usernames are used as keys, so the maps are made
+// without a prototype whose members names like "constructor" would find
+function createAccessData(data) {
+    const collabs = Object.create(null);
+    Object.entries(data.collabs).forEach(([id, entry]) => {
+        collabs[id] = Object.assign({}, entry, {
+            roles: Object.assign(Object.create(null), entry.roles)
+        });
+    });
+    return Object.assign({}, data, {collabs: collabs});
+}
+
+function loadAccess() {
+    try {
+        return createAccessData(JSON.parse(fs.readFileSync(accessPath, "utf8")));
+    }
+    catch (err) {
+        if (err.code === "ENOENT") {
+            return createAccessData({version: "1.0", collabs: {}});
+        }
+        else {
+            throw err;
+        }
+    }
+}
+
+function loadSecret(secretPath) {
+    try {
+        return fs.readFileSync(secretPath, "utf8").trim();
+    }
+    catch (err) {
+        if (err.code === "ENOENT") {
+            const newSecret = crypto.randomBytes(32).toString("hex");
+            fs.writeFileSync(secretPath, newSecret, {mode: 0o600});
+            return newSecret;
+        }
+        else {
+            throw err;
+        }
+    }
+}
+
+function storeAccess() {
+    const data = JSON.stringify(access, null, 1);
+    ongoingWrite = ongoingWrite
+        .then(() => fsPromises.writeFile(accessPath, data))
+        .catch(err => console.warn(`Failed to store access roles: ${err.message}`));
+    return ongoingWrite;
+}
+
+/**
+ * Check whether or not a collaboration has an owner.
+ * @param {string} id The id of the collaboration.
+ * @returns {boolean} Whether or not the collaboration has been claimed.
+ */
+function isClaimed(id) {
+    return !enabled || Boolean(access.collabs[id]);
+}
+
+/**
+ * Get the role of a user in a collaboration.
+ * @param {string} id The id of the collaboration.
+ * @param {string} username The name of the user, or null if the user
+ * has not logged in.
+ * @returns {string|null} The role of the user, or null if the user
+ * does not have access to the collaboration.
+ */
+function getRole(id, username) {
+    if (!enabled) {
+        return "editor";
+    }
+    const entry = access.collabs[id];
+    if (!username || !entry) {
+        return null;
+    }
+    if (entry.owner === username) {
+        return "owner";
+    }
+    const role = entry.roles[username] || entry.defaultRole;
+    return roles.includes(role) ? role : null;
+}
+
+/**
+ * Get the role of a user in a collaboration, making them the owner of
+ * the collaboration if it doesn't have one yet.
+ * @param {string} id The id of the collaboration.
+ * @param {string} username The name of the user, or null if the user
+ * has not logged in.
+ * @returns {string|null} The role of the user, or null if the user
+ * does not have access to the collaboration.
+ */
+function claimRole(id, username) {
+    if (enabled && username && !isClaimed(id)) {
+        access.collabs[id] = {
+            owner: username,
+            defaultRole: "none",
+            roles: Object.create(null)
+        };
+        storeAccess();
+    }
+    return getRole(id, username);
+}
+
+/**
+ * Check whether or not a role gives a specific permission.
+ * @param {string} role The role to check.
+ * @param {string} permission The permission, either "view", "edit",
+ * "revert" or "manage".
+ * @returns {boolean} Whether or not the role has the permission.
+ */
+function hasPermission(role, permission) {
+    return Boolean(permissions[role]) && permissions[role].includes(permission);
+}
+
+/**
+ * Get a description of who has access to a collaboration.
+ * @param {string} id The id of the collaboration.
+ * @returns {Object} The owner, the default role and the roles of
+ * specific users in the collaboration.
+ */
+function getAccessInfo(id) {
+    const entry = access.collabs[id];
+    return entry ? {
+        owner: entry.owner,
+        defaultRole: entry.defaultRole,
+        roles: Object.assign(Object.create(null), entry.roles)
+    } : null;
+}
+
+/**
+ * Set the role of a specific user in a collaboration.
+ * @param {string} id The id of the collaboration.
+ * @param {string} username The name of the user.
+ * @param {string|null} role The new role of the user, either "editor"
+ * or "viewer", or null if the user should get the default role.
+ * @returns {boolean} Whether or not the role could be set.
+ */
+function setRole(id, username, role) {
+    const entry = access.collabs[id];
+    if (!entry || !username || username === entry.owner
+        || (role !== null && !["editor", "viewer"].includes(role))) {
+        return false;
+    }
+    if (role === null) {
+        delete entry.roles[username];
+    }
+    else {
+        entry.roles[username] = role;
+    }
+    storeAccess();
+    return true;
+}
+
+/**
+ * Set the role given to users in a collaboration that haven't been
+ * given a specific role.
+ * @param {string} id The id of the collaboration.
+ * @param {string} role The default role, either "editor", "viewer"
+ * or "none".
+ * @returns {boolean} Whether or not the role could be set.
+ */
+function setDefaultRole(id, role) {
+    const entry = access.collabs[id];
+    if (!entry || !defaultRoles.includes(role)) {
+        return false;
+    }
+    entry.defaultRole = role;
+    storeAccess();
+    return true;
+}
+
+function signObserverLink(id, expiresOn) {
+    return crypto.createHmac("sha256", secret)
+        .update(`observe:${id}:${expiresOn}`)
+        .digest("hex")
+        .slice(0, 32);
+}
+
+/**
+ * Get a token used to sign observer links for a collaboration. The
+ * token contains the time it expires, which is also signed, so that
+ * shared links can't be used to join the collaboration forever.
+ * @param {string} id The id of the collaboration.
+ * @returns {string} The token.
+ */
+function getObserverToken(id) {
+    const expiresOn = Date.now() + observerLinkLifetime;
+    return `${expiresOn.toString(36)}.${signObserverLink(id, expiresOn)}`;
+}
+
+/**
+ * Check whether or not a token is a valid signature of an observer
+ * link for a collaboration that hasn't expired.
+ * @param {string} id The id of the collaboration.
+ * @param {string} token The token to check.
+ * @returns {boolean} Whether or not the token is valid.
+ */
+function isObserverToken(id, token) {
+    const [expiry, signature] = String(token).split(".");
+    const expiresOn = parseInt(expiry, 36);
+    if (!(expiresOn > Date.now()) || !signature) {
+        return false;
+    }
+    const expected = Buffer.from(signObserverLink(id, expiresOn));
+    const received = Buffer.from(signature);
+    return expected.length === received.length
+        && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = function(dir, enableAccessControl) {
+    enabled = Boolean(enableAccessControl);
+    accessPath = `${dir}/__ACCESS__.json`;
+    fs.mkdirSync(dir, {recursive: true});
+    access = enabled ? loadAccess() : createAccessData({version: "1.0", collabs: {}});
+    secret = loadSecret(`${dir}/__SECRET__`);
+    return {
+        isEnabled: () => enabled,
+        isClaimed: isClaimed,
+        getRole: getRole,
+        claimRole: claimRole,
+        hasPermission: hasPermission,
+        getAccessInfo: getAccessInfo,
+        setRole: setRole,
+        setDefaultRole: setDefaultRole,
+        getObserverToken: getObserverToken,
+        isObserverToken: isObserverToken
+    };
+};
@@ -0,0 +1,471 @@
+/**
+ * @module analysis
+ * @desc Runs analysis plugins, such as local detection or segmentation
+ * models, on regions of the images. The plugins are registered in a
+ * JSON file, either as a command that is started for each job or as a
+ * Node module with an analyze() function. A plugin receives the name of
+ * the image, the z level and the region to analyse in image coordinates,
+ * and returns the annotations it found. These are added to the
+ * collaboration the job was started from in the same way as annotations
+ * added by its members, so everyone in the collaboration sees them.
+ */
+
+// Declare required modules
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const childProcess = require("child_process");
+
+const jobRetention = 3600000; // Time in ms that finished jobs can still be looked up
+const maxOutputLength = 100 * 1024 * 1024; // Longest accepted output of a command plugin
+
+// Registered plugins, with the paths in their settings resolved
+let plugins = [];
+
+// Modules and functions initialized in export
+let dataDir, availableImages, collaboration;
+
+// Object for storing all jobs that are running or recently finished
+const jobs = {};
+
+/**
+ * Read the plugins from a plugin file. The file should contain an
+ * object with a list of plugins, each either running a command or
+ * loading a Node module. Relative paths are resolved from the
+ * directory of the file.
+ * @param {string} pluginFile The path to the plugin file.
+ * @returns {Array<Object>} The registered plugins.
+ */
+function readPlugins(pluginFile) {
+    const data = JSON.parse(fs.readFileSync(pluginFile, "utf8"));
+    const baseDir = path.dirname(path.resolve(pluginFile));
+    const entries = Array.isArray(data) ? data : data.plugins;
+    if (!Array.isArray(entries)) {
+        throw new Error(`The plugin file ${pluginFile} needs a list of plugins.`);
+    }
+    return entries.map(entry => {
+        if (!entry || typeof entry.name !== "string" || !entry.name) {
+            throw new Error("Every analysis plugin needs a name.");
+        }
+        const plugin = {
+            name: entry.name,
+            description: entry.description || "",
+            timeout: Number(entry.timeout) > 0 ? Number(entry.timeout) * 1000 : null
+        };
+        if (entry.command) {
+            // Commands found through the PATH are kept as they are
+            plugin.command = /[\\/]/.test(entry.command)
+                ? path.resolve(baseDir, entry.command) : entry.command;
+            plugin.args = Array.isArray(entry.args) ? entry.args.map(String) : [];
+            plugin.cwd = path.resolve(baseDir, entry.cwd || ".");
+        }
+        else if (entry.module) {
+            plugin.module = require(path.resolve(baseDir, entry.module));
+            if (typeof plugin.module.analyze !== "function") {
+                throw new Error(`The module of the analysis plugin ${entry.name} has no analyze function.`);
+            }
+        }
+        else {
+            throw new Error(`The analysis plugin ${entry.name} needs either a command or a module.`);
+        }
+        return plugin;
+    });
+}
+
+function findPlugin(name) {
+    const plugin = plugins.find(plugin => plugin.name === name);
+    if (!plugin) {
+        throw new collaboration.ApiError(404, `No analysis plugin named ${name} exists.`);
+    }
+    return plugin;
+}
+
+function findJob(id, jobId) {
+    const job = jobs[jobId];
+    if (!job || job.info.collab !== id) {
+        throw new collaboration.ApiError(404, `No analysis job with id ${jobId} exists.`);
+    }
+    return job;
+}
+
+function getImagePath(image, z) {
+    const images = availableImages();
+    const imageInfo = images && images.images.find(entry => entry.name === image);
+    if (!imageInfo) {
+        throw new collaboration.ApiError(404, `No image named ${image} exists.`);
+    }
+    // z levels are counted from the middle of the stack, as in the client
+    const zLevel = imageInfo.zLevels[z + Math.floor(imageInfo.zLevels.length / 2)];
+    if (!Number.isInteger(z) || zLevel === undefined) {
+        throw new collaboration.ApiError(400, `The image ${image} has no z level ${z}.`);
+    }
+    return path.resolve(dataDir, `${image}_z${zLevel}.dzi`);
+}
+
+function validatePolygons(polygons) {
+    const isPointArray = points => Array.isArray(points) && points.length > 0
+        && points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y));
+    const isPolygon = polygon => polygon && isPointArray(polygon.points)
+        && (polygon.holes === undefined || Array.isArray(polygon.holes) && polygon.holes.every(isPointArray));
+    if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(isPolygon)) {
+        throw new collaboration.ApiError(400, "The region has to be a list of polygons with points and holes.");
+    }
+}
+
+function getBoundingBox(polygons) {
+    const points = polygons.flatMap(polygon => polygon.points);
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys)
+    };
+}
+
+function readAnnotations(output) {
+    const data = typeof output === "string" ? JSON.parse(output || "[]") : output;
+    const annotations = Array.isArray(data) ? data : data && data.annotations;
+    if (!Array.isArray(annotations)) {
+        throw new Error("The plugin has to return a list of annotations.");
+    }
+    return annotations;
+}
+
+function setProgress(job, progress, message) {
+    if (Number.isFinite(progress)) {
+        job.info.progress = Math.min(1, Math.max(0, progress));
+    }
+    if (message) {
+        job.info.message = String(message);
+    }
+}
+
+/**
+ * Run a command plugin. The request is written as JSON to the standard
+ * input of the command, which should write the annotations as JSON to
+ * its standard output. Lines written to the standard error in the form
+ * "progress <fraction> [message]" update the progress of the job, and
+ * other lines are logged.
+ * @param {Object} plugin The plugin to run.
+ * @param {Object} request The request to send to the plugin.
+ * @param {Object} job The job running the plugin.
+ * @returns {Promise<Array<Object>>} Promise of the annotations.
+ */
+function runCommand(plugin, request, job) {
+    return new Promise((resolve, reject) => {
+        const child = childProcess.spawn(plugin.command, plugin.args, {cwd: plugin.cwd});
+        let output = "";
+        let errorOutput = "";
+        let stopReason = null;
+        const stop = reason => {
+            stopReason = stopReason || reason;
+            child.kill();
+        };
+        job.cancel = () => stop("cancelled");
+        const timeout = plugin.timeout && setTimeout(() => stop("timed out"), plugin.timeout);
+
+        child.stdout.setEncoding("utf8");
+        child.stdout.on("data", chunk => {
+            output += chunk;
+            if (output.length > maxOutputLength) {
+                stop("returned too much output");
+            }
+        });
+        child.stderr.setEncoding("utf8");
+        child.stderr.on("data", chunk => {
+            const lines = (errorOutput + chunk).split(/\r?\n/);
+            errorOutput = lines.pop();
+            lines.forEach(line => {
+                const progress = /^progress\s+([0-9.eE+-]+)\s*(.*)$/.exec(line.trim());
+                if (progress) {
+                    setProgress(job, Number(progress[1]), progress[2]);
+                }
+                else if (line.trim()) {
+                    console.info(`Analysis ${job.info.id} (${plugin.name}): ${line}`);
+                }
+            });
+        });
+        child.stdin.on("error", () => {}); // The command doesn't have to read the request
+        child.on("error", err => {
+            clearTimeout(timeout);
+            reject(err);
+        });
+        child.on("close", (code, signal) => {
+            clearTimeout(timeout);
+            if (stopReason) {
+                reject(new Error(`The plugin ${stopReason}.`));
+            }
+            else if (code !== 0) {
+                const reason = signal ? `was stopped by ${signal}` : `exited with code ${code}`;
+                reject(new Error(`The plugin ${reason}.`));
+            }
+            else {
+                try {
+                    resolve(readAnnotations(output));
+                }
+                catch (err) {
+                    reject(new Error(`The output of the plugin could not be read: ${err.message}`));
+                }
+            }
+        });
+        child.stdin.end(JSON.stringify(request));
+    });
+}
+
+/**
+ * Run a module plugin. The analyze() function of the module is called
+ * with the request and an object containing a reportProgress(fraction,
+ * message) function and an AbortSignal that is aborted if the job is
+ * cancelled. It should return the annotations, or a promise of them.
+ * @param {Object} plugin The plugin to run.
+ * @param {Object} request The request to send to the plugin.
+ * @param {Object} job The job running the plugin.
+ * @returns {Promise<Array<Object>>} Promise of the annotations.
+ */
+function runModule(plugin, request, job) {
+    const controller = new AbortController();
+    job.cancel = () => controller.abort();
+    let timeout;
+    // The module may not stop when aborted, so the job fails at the timeout either way
+    const timedOut = new Promise((resolve, reject) => {
+        if (plugin.timeout) {
+            timeout = setTimeout(() => {
+                controller.abort();
+                reject(new Error("The plugin timed out."));
+            }, plugin.timeout);
+        }
+    });
+    const analysis = Promise.resolve().then(() => plugin.module.analyze(request, {
+        reportProgress: (progress, message) => setProgress(job, progress, message),
+        signal: controller.signal
+    })).then(readAnnotations);
+    return Promise.race([analysis, timedOut]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Prepare an annotation returned by a plugin for being added to the
+ * collaboration. It's placed on the analysed z level unless it has its
+ * own and marked as predicted, and scores that aren't numbers are left
+ * out.
+ * @param {Object} annotation The annotation returned by the plugin.
+ * @param {number} z The analysed z level.
+ * @param {Array<string>} classNames The classes of the collaboration,
+ * or an empty list if it uses the default classes.
+ * @returns {Object|null} The prepared annotation, or null if it's
+ * malformed or has a class the collaboration doesn't have.
+ */
+function prepareResult(annotation, z, classNames) {
+    try {
+        collaboration.validateNewAnnotation(annotation);
+    }
+    catch (err) {
+        if (err instanceof collaboration.ApiError) {
+            return null;
+        }
+        throw err;
+    }
+    if (classNames.length > 0 && !classNames.includes(annotation.mclass)) {
+        return null;
+    }
+    const result = Object.assign({z: z, predicted: true}, annotation);
+    const prediction = toScore(result.prediction);
+    if (Number.isFinite(prediction)) {
+        result.prediction = prediction;
+    }
+    else {
+        delete result.prediction;
+    }
+    if (result.classProbabilities && typeof result.classProbabilities === "object") {
+        result.classProbabilities = Object.fromEntries(
+            Object.entries(result.classProbabilities)
+                .map(([name, probability]) => [name, toScore(probability)])
+                .filter(([, probability]) => Number.isFinite(probability))
+        );
+    }
+    else {
+        delete result.classProbabilities;
+    }
+    return result;
+}
+
+// Read a score that may have been written as a string, giving NaN if it isn't a number
+function toScore(value) {
+    if (typeof value === "number" || typeof value === "string" && value.trim() !== "") {
+        return Number(value);
+    }
+    return NaN;
+}
+
+function finishJob(job, status, message) {
+    job.info.status = status;
+    job.info.finishedOn = new Date().toISOString();
+    if (message) {
+        job.info.message = message;
+    }
+    job.cancel = null;
+    setTimeout(() => delete jobs[job.info.id], jobRetention);
+}
+
+/**
+ * Information about an analysis job.
+ * @typedef {Object} JobInfo
+ * @property {string} id The id of the job.
+ * @property {string} plugin The name of the plugin running the job.
+ * @property {string} collab The id of the collaboration the results
+ * are added to.
+ * @property {string} image The name of the analysed image.
+ * @property {number} z The analysed z level.
+ * @property {string} author The name of whoever started the job.
+ * @property {string} status Either "running", "done", "failed" or
+ * "cancelled".
+ * @property {number} progress The progress of the job, between 0 and 1.
+ * @property {string|null} message The last message from the plugin,
+ * or the reason the job failed.
+ * @property {number} nAdded The number of annotations that were added.
+ * @property {string} startedOn When the job was started.
+ * @property {string|null} finishedOn When the job finished.
+ */
+
+/**
+ * Get the plugins that can be used for analysing the images.
+ * @returns {Array<Object>} The names and descriptions of the plugins.
+ */
+function getPlugins() {
+    return plugins.map(plugin => ({
+        name: plugin.name,
+        description: plugin.description
+    }));
+}
+
+/**
+ * Start analysing a region of an image with a plugin. The plugin is
+ * sent the name of the image, its z level, the path to its .dzi file
+ * and the region as polygons in image coordinates, together with their
+ * bounding box. The annotations it returns are added to the
+ * collaboration, placed on the analysed z level unless they have their
+ * own, and marked as predicted so that they can be reviewed. Results
+ * that are malformed or have a class that the collaboration doesn't
+ * have are skipped, and the number skipped is given in the message of
+ * the job.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {string} name The name of whoever started the job.
+ * @param {string} pluginName The name of the plugin to run.
+ * @param {number} z The z level to analyse.
+ * @param {Array<Object>} polygons The polygons of the region, each
+ * with points and optionally holes.
+ * @returns {JobInfo} Information about the started job.
+ */
+function startJob(id, image, name, pluginName, z, polygons) {
+    const plugin = findPlugin(pluginName);
+    const imagePath = getImagePath(image, z);
+    validatePolygons(polygons);
+    const request = {
+        image: image,
+        z: z,
+        imagePath: imagePath,
+        region: {
+            polygons: polygons.map(polygon => ({
+                points: polygon.points.map(point => ({x: point.x, y: point.y})),
+                holes: (polygon.holes || []).map(hole => hole.map(point => ({x: point.x, y: point.y})))
+            })),
+            box: getBoundingBox(polygons)
+        }
+    };
+
+    const job = {
+        info: {
+            id: crypto.randomBytes(8).toString("hex"),
+            plugin: plugin.name,
+            collab: id,
+            image: image,
+            z: z,
+            author: name,
+            status: "running",
+            progress: 0,
+            message: null,
+            nAdded: 0,
+            startedOn: new Date().toISOString(),
+            finishedOn: null
+        },
+        cancel: null
+    };
+    jobs[job.info.id] = job;
+    console.info(`${name} started analysis ${job.info.id} of ${image} with ${plugin.name}.`);
+
+    const run = plugin.command ? runCommand : runModule;
+    run(plugin, request, job).then(annotations => {
+        if (job.info.status !== "running") {
+            return;
+        }
+        return collaboration.getClassConfig(id, image).then(classConfig => {
+            const classNames = classConfig.map(entry => entry.name);
+            const results = annotations.map(annotation => prepareResult(annotation, z, classNames))
+                .filter(result => result !== null);
+            const nSkipped = annotations.length - results.length;
+            return collaboration.addAnnotations(id, image, plugin.name, results).then(added => {
+                job.info.nAdded = added.length;
+                job.info.progress = 1;
+                // Replace the last progress message, which is no longer relevant
+                job.info.message = nSkipped > 0
+                    ? `Skipped ${nSkipped} results that were malformed or had an unknown class.`
+                    : null;
+                finishJob(job, "done");
+                console.info(`Analysis ${job.info.id} added ${added.length} annotations and skipped ${nSkipped}.`);
+            });
+        });
+    }).catch(err => {
+        if (job.info.status !== "running") {
+            return;
+        }
+        console.warn(`Analysis ${job.info.id} with ${plugin.name} failed: ${err.message}`);
+        finishJob(job, "failed", err.message);
+    });
+    return job.info;
+}
+
+/**
+ * Get the current state of an analysis job.
+ * @param {string} id The id of the collaboration the job belongs to.
+ * @param {string} jobId The id of the job.
+ * @returns {JobInfo} Information about the job.
+ */
+function getJob(id, jobId) {
+    return findJob(id, jobId).info;
+}
+
+/**
+ * Cancel an analysis job that is running. Nothing is added to the
+ * collaboration by a cancelled job.
+ * @param {string} id The id of the collaboration the job belongs to.
+ * @param {string} jobId The id of the job.
+ * @returns {JobInfo} Information about the job.
+ */
+function cancelJob(id, jobId) {
+    const job = findJob(id, jobId);
+    if (job.info.status === "running") {
+        const cancel = job.cancel;
+        finishJob(job, "cancelled", "The analysis was cancelled.");
+        cancel && cancel();
+        console.info(`Analysis ${job.info.id} was cancelled.`);
+    }
+    return job.info;
+}
+
+module.exports = function(pluginFile, imageDir, getAvailableImages, collab) {
+    dataDir = imageDir;
+    availableImages = getAvailableImages;
+    collaboration = collab;
+    plugins = pluginFile ? readPlugins(pluginFile) : [];
+    if (plugins.length > 0) {
+        console.info(`Registered analysis plugins: ${plugins.map(plugin => plugin.name).join(", ")}`);
+    }
+    return {
+        getPlugins,
+        startJob,
+        getJob,
+        cancelJob
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * @module authentication
+ * @desc Keeps track of the sessions of users who have logged in to the
+ * server. Sessions are identified by a random token stored in a cookie,
+ * and passwords are checked against a user backend such as the one in
+ * the users module. If no backend is given, authentication is disabled
+ * and no user can log in.
+ */
+
+const crypto = require("crypto");
+
+const sessionCookie = "cytobrowser_session";
+const sessionDuration = 12 * 60 * 60 * 1000; // Sessions are kept for 12 hours of inactivity
+
+// Backend initialized in export
+let backend;
+
+// Ongoing sessions, mapped from their tokens
+const sessions = new Map();
+
+function parseCookies(header) {
+    const cookies = {};
+    if (header) {
+        header.split(";").forEach(pair => {
+            const separator = pair.indexOf("=");
+            if (separator > 0) {
+                const key = pair.slice(0, separator).trim();
+                const value = pair.slice(separator + 1).trim();
+                try {
+                    cookies[key] = decodeURIComponent(value);
+                }
+                catch (err) {
+                    // Malformed cookies, possibly set by other sites on the same host, are skipped
+                }
+            }
+        });
+    }
+    return cookies;
+}
+
+function getSessionToken(req) {
+    return parseCookies(req.headers.cookie)[sessionCookie];
+}
+
+/**
+ * Check whether or not users have to log in to use the server.
+ * @returns {boolean} Whether or not authentication is enabled.
+ */
+function isEnabled() {
+    return Boolean(backend);
+}
+
+/**
+ * Log a user in and start a new session for them.
+ * @param {string} username The name of the user.
+ * @param {string} password The password of the user.
+ * @returns {Promise<string|null>} Promise that resolves with the token
+ * of the new session, or null if the username or password were wrong.
+ */
+function login(username, password) {
+    if (!isEnabled() || typeof username !== "string" || typeof password !== "string") {
+        return Promise.resolve(null);
+    }
+    return backend.verifyPassword(username, password).then(valid => {
+        if (!valid) {
+            return null;
+        }
+        const token = crypto.randomBytes(32).toString("hex");
+        sessions.set(token, {
+            username: username,
+            expires: Date.now() + sessionDuration
+        });
+        return token;
+    });
+}
+
+/**
+ * End the session that a request was made in.
+ * @param {Request} req The request.
+ */
+function logout(req) {
+    sessions.delete(getSessionToken(req));
+}
+
+/**
+ * Get the name of the user who made a request. The session used for
+ * the request is extended if it is still valid.
+ * @param {Request} req The request, either a regular HTTP request or
+ * the request that opened a WebSocket.
+ * @returns {string|null} The name of the logged in user, or null if
+ * the request was not made in a valid session.
+ */
+function getUsername(req) {
+    const token = getSessionToken(req);
+    const session = token && sessions.get(token);
+    if (!session) {
+        return null;
+    }
+    if (session.expires < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    session.expires = Date.now() + sessionDuration;
+    return session.username;
+}
+
+/**
+ * Store a session token in the cookies of the client.
+ * @param {Response} res The response to set the cookie in.
+ * @param {string} token The session token.
+ */
+function setSessionCookie(res, token) {
+    res.cookie(sessionCookie, token, {
+        httpOnly: true,
+        sameSite: "strict",
+        maxAge: sessionDuration
+    });
+}
+
+/**
+ * Remove the session token from the cookies of the client.
+ * @param {Response} res The response to clear the cookie in.
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(sessionCookie);
+}
+
+module.exports = function(userBackend) {
+    backend = userBackend;
+    return {
+        isEnabled: isEnabled,
+        login: login,
+        logout: logout,
+        getUsername: getUsername,
+        setSessionCookie: setSessionCookie,
+        clearSessionCookie: clearSessionCookie
+    };
+};
@@ -1,145 +1,71 @@
 /**
  * @module autosave
  * @desc Module used to help with the autosave functionality of the
- * collaborations. Automatically sets and gets filenames for saves
- * based on the collaboration id and image, and stores it in the proper
- * location. Could potentially also be used for general storage of
- * objects with some other associated id and image.
+ * collaborations. The saved data and its history are kept in one of the
+ * storage backends, which all provide the same functions for loading,
+ * saving and reverting the data of a collaboration. The "file" backend
+ * keeps each collaboration in a JSON file, while the "sqlite" backend
+ * keeps all collaborations in a single SQLite database.
  */
 
-const fs = require("fs");
-const fsPromises = fs.promises;
-const sanitize = require("sanitize-filename");
-const historyTracker = require("./historyTracker");
-
-const idPattern = /(?<=_)[^_]*(?=\.json$)/;
-let autosaveDir;
-
-function getSubDirName(image) {
-    const sanitizedImage = sanitize(String(image));
-    return sanitizedImage;
-}
-
-function getFilename(id, image) {
-    const sanitizedId = sanitize(String(id));
-    const sanitizedImage = sanitize(String(image));
-    return `${sanitizedImage}_${sanitizedId}`;
-}
-
-/**
- * Load data from the autosave file structure.
- * @param {string} id The id of the collaboration.
- * @param {string} image The name of the image being saved.
- * @returns {Promise<Object>} Promise that resolves with the parsed data.
- */
-function loadAnnotations(id, image) {
-    const subDir = getSubDirName(image);
-    const filename = getFilename(id, image);
-    const path = `${autosaveDir}/${subDir}/${filename}.json`;
-    return historyTracker.readLatestVersion(path);
-}
-
 /**
- * Save data in the autosave file structure.
- * @param {string} id The id of the collaboration.
- * @param {string} image The name of the image being saved.
- * @param {Object} data The data to be stored.
- * @returns {Promise} Promise that resolves once the data is stored.
+ * Information about a saved collaboration that can be shown to a user.
+ * @typedef {Object} SavedCollabInfo
+ * @property {string} id The id of the collaboration.
+ * @property {string} name The name of the collaboration.
+ * @property {string} author The name of whoever created it.
+ * @property {string} createdOn The time it was created.
+ * @property {string} updatedOn The time it was last saved.
+ * @property {number} nClasses The number of classes in its class
+ * configuration, or 0 if it uses the default one.
+ * @property {number} nAnnotations The number of annotations in it.
+ * @property {number} nComments The number of comments in it.
  */
-function saveAnnotations(id, image, data) {
-    const subDir = getSubDirName(image);
-    const filename = getFilename(id, image);
-    const dir = `${autosaveDir}/${subDir}`;
-    const path = `${autosaveDir}/${subDir}/${filename}.json`;
-    return fsPromises.mkdir(dir, {recursive: true}).then(() => {
-        return historyTracker.writeWithHistory(path, data);
-    });
-}
-
-/**
- * Get a list of ids for the collaborations that have been saved in the
- * autosave directory for a given image.
- * @param {string} image The name of the image.
- * @returns {Promise<Array<Object>>} A promise that resolves with the
- * list of ids and their names.
- */
-function getSavedCollabInfo(image) {
-    const subDir = getSubDirName(image);
-    const dir = `${autosaveDir}/${subDir}`;
-    return fsPromises.readdir(dir).then(files => {
-        files = files.filter(file =>
-            idPattern.test(file) && !historyTracker.isHistoryFilename(file)
-        );
-        // Check the files and get their names
-        const entries = files.map(file => {
-            const path = `${dir}/${file}`;
-            return fsPromises.readFile(path)
-                .then(JSON.parse)
-                .then(data => {
-                    const id = file.match(idPattern)[0];
-                    return {
-                        id: id,
-                        name: data.name ? data.name : id,
-                        author: data.author,
-                        createdOn: data.createdOn,
-                        updatedOn: data.updatedOn,
-                        nClasses: data.classConfig ? data.classConfig.length : 0, //0 = default (client side)
-                        nAnnotations: data.nAnnotations,
-                        nComments: data.nComments
-                    };
-                });
-            });
-        return Promise.all(entries);
-    }).catch(err => {
-        if (err.code === "ENOENT") {
-            return [];
-        }
-        else {
-            throw err;
-        }
-    });
-}
 
 /**
- * Get the available versions that can be reverted to for a given collaboration.
- * @param {string} id The id of the collaboration.
- * @param {string} image The name of the image.
- * @returns {Promise<Array<historyTracker.HistoryEntryInfo>>} Info for
- * each previous version for the given collaboration.
+ * The functions that a storage backend should provide.
+ * @typedef {Object} StorageBackend
+ * @property {Function} loadAnnotations Takes the id of a collaboration
+ * and the name of its image and returns a promise of the saved data,
+ * or of undefined if nothing has been saved.
+ * @property {Function} saveAnnotations Takes the id, the image name and
+ * the data to save, and returns a promise that resolves once the data
+ * and a new history entry have been stored.
+ * @property {Function} getSavedCollabInfo Takes the name of an image and
+ * returns a promise of an array of {@link SavedCollabInfo} for the
+ * collaborations saved for it.
+ * @property {Function} getAllSavedCollabInfo Returns a promise of an
+ * array of {@link SavedCollabInfo} for all saved collaborations, with
+ * the name of the image of each collaboration in an image property.
+ * @property {Function} getAvailableVersions Takes the id and the image
+ * name and returns a promise of the history entries of the collaboration.
+ * @property {Function} loadVersion Takes the id, the image name and the
+ * id of a history entry, and returns a promise of the data as it was
+ * in that entry, without reverting to it.
+ * @property {Function} revertAnnotations Takes the id, the image name
+ * and the id of a history entry, and returns a promise that resolves
+ * once the collaboration has been reverted to that entry.
+ * @property {Function} tagVersion Takes the id, the image name, the id
+ * of a history entry and a tag with a name and note, and returns a
+ * promise that resolves once the entry has been tagged. A null tag
+ * removes the current tag of the entry.
+ * @property {Function} getVersionDiff Takes the id, the image name and
+ * the ids of two history entries, and returns a promise of the
+ * annotations added, removed, reclassified and otherwise changed
+ * between them.
  */
-function getAvailableVersions(id, image) {
-    const subDir = getSubDirName(image);
-    const filename = getFilename(id, image);
-    const path = `${autosaveDir}/${subDir}/${filename}.json`;
-    return historyTracker.getAvailableVersions(path);
-}
 
-/**
- * Revert the collaboration to a previous autosave.
- * @param {string} id The id of the collaboration.
- * @param {string} image The name of the image.
- * @param {number} versionId The id of the version to revert to.
- * @returns {Promise<>} A promise that resolves once the file has
- * been reverted to the specified version.
- */
-function revertAnnotations(id, image, versionId) {
-    const subDir = getSubDirName(image);
-    const filename = getFilename(id, image);
-    const path = `${autosaveDir}/${subDir}/${filename}.json`;
-    return historyTracker.revertVersion(path, versionId);
-}
+const backends = {
+    file: "./fileStorage",
+    sqlite: "./sqliteStorage"
+};
 
-module.exports = function(dir) {
+module.exports = function(dir, backend="file") {
     if (!dir) {
         throw new Error("No autosave directory specified!");
     }
-    autosaveDir = dir;
-    fs.mkdirSync(autosaveDir, {recursive: true});
-    return {
-        loadAnnotations: loadAnnotations,
-        saveAnnotations: saveAnnotations,
-        getSavedCollabInfo: getSavedCollabInfo,
-        getAvailableVersions: getAvailableVersions,
-        revertAnnotations: revertAnnotations
-    };
+    if (!backends[backend]) {
+        throw new Error(`Unknown storage backend "${backend}", use one of: ${Object.keys(backends).join(", ")}`);
+    }
+    return require(backends[backend])(dir);
 }
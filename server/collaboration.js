@@ -5,12 +5,25 @@
  */
 
 const sanitize = require("sanitize-filename");
+const filters = require("../public/js/filters");
 
 
 const autosaveTimeout = 10000; //Autosave timeout in ms
+const maxLoggedOperations = 1000; // Number of annotation operations kept in memory
+const maxTagNameLength = 100; // Longest allowed name of a tagged version
+const maxTagNoteLength = 1000; // Longest allowed note of a tagged version
+
+// Types of messages that are ignored when sent by observers
+const observerIgnoredTypes = [
+    "annotationAction",
+    "classConfigAction",
+    "globalDataAction",
+    "versionAction",
+    "nameChange"
+];
 
 // Modules initialized in export
-let autosave, metadata;
+let autosave, metadata, access;
 
 // Object for storing all ongoing collaborations
 const collabs = {};
@@ -31,10 +44,534 @@ function getCurrentTimeAsString() {
     return new Date().toISOString();
 }
 
+function pointsAreDuplicate(pointsA, pointsB) {
+    if (pointsA.length !== pointsB.length)
+        return false;
+
+    return pointsA.every((pointA, index) => {
+        const pointB = pointsB[index];
+        return pointA.x === pointB.x && pointA.y === pointB.y;
+    });
+}
+
+// All points of the holes and further parts of a region, as on the client
+function getExtraPoints(annotation) {
+    const holePoints = (annotation.holes || []).flat();
+    const partPoints = (annotation.parts || []).flatMap(part =>
+        [part.points, ...(part.holes || [])].flat()
+    );
+    return [...holePoints, ...partPoints];
+}
+
+function isDuplicateAnnotation(annotations, annotation) {
+    return annotations.some(existingAnnotation =>
+        existingAnnotation.z === annotation.z
+        && existingAnnotation.mclass === annotation.mclass
+        && pointsAreDuplicate(annotation.points, existingAnnotation.points)
+        && pointsAreDuplicate(getExtraPoints(annotation), getExtraPoints(existingAnnotation))
+    );
+}
+
+/**
+ * Hash index of annotations by their focus level, class and points,
+ * including the points of their holes and further parts, for checking
+ * many annotations for duplicates without comparing each of them to
+ * all existing annotations. Two annotations are considered
+ * duplicates under the same conditions as in isDuplicateAnnotation().
+ */
+class DuplicateIndex {
+    constructor(annotations) {
+        this.keys = new Set();
+        annotations.forEach(annotation => this.add(annotation));
+    }
+
+    static getKey(annotation) {
+        const toString = points => points.map(point => `${point.x},${point.y}`).join(";");
+        return `${annotation.z}|${annotation.mclass}|${toString(annotation.points)}|${toString(getExtraPoints(annotation))}`;
+    }
+
+    /**
+     * Add an annotation to the index.
+     * @param {Object} annotation The annotation.
+     */
+    add(annotation) {
+        this.keys.add(DuplicateIndex.getKey(annotation));
+    }
+
+    /**
+     * Check whether or not a duplicate of an annotation has been added
+     * to the index.
+     * @param {Object} annotation The annotation.
+     * @returns {boolean} Whether or not there is a duplicate.
+     */
+    hasDuplicate(annotation) {
+        return this.keys.has(DuplicateIndex.getKey(annotation));
+    }
+}
+
+/**
+ * Sequenced log of the annotation operations that have been performed
+ * in a collaboration. The log makes it possible to find out what has
+ * happened to an annotation since a given revision, so that updates
+ * based on an old revision of an annotation can be merged when they
+ * don't conflict with what has happened since.
+ */
+class OperationLog {
+    constructor() {
+        this.seq = 0;
+        this.entries = [];
+    }
+
+    /**
+     * Add an operation to the log.
+     * @param {string} actionType The type of the annotation action.
+     * @param {number} id The id of the affected annotation, if any.
+     * @param {number} revision The revision of the annotation after the
+     * operation, if it still exists.
+     * @param {Object} previous The values that the fields changed by the
+     * operation had before it.
+     * @returns {number} The sequence number of the operation.
+     */
+    append(actionType, id, revision, previous) {
+        const seq = ++this.seq;
+        this.entries.push({seq, actionType, id, revision, previous});
+        if (this.entries.length > maxLoggedOperations) {
+            this.entries.shift();
+        }
+        return seq;
+    }
+
+    /**
+     * Forget the operations performed on annotations, so that the ids
+     * can be reused by new annotations.
+     * @param {Array<number>} [ids] The ids of the annotations, or
+     * undefined if all operations should be forgotten.
+     */
+    forget(ids) {
+        if (ids === undefined) {
+            this.entries = [];
+        }
+        else {
+            const forgotten = new Set(ids);
+            this.entries = this.entries.filter(entry => !forgotten.has(entry.id));
+        }
+    }
+
+    /**
+     * Get the values that the fields of an annotation had at a given
+     * revision, for the fields that have been changed since.
+     * @param {number} id The id of the annotation.
+     * @param {number} fromRevision The revision to get the values of.
+     * @param {number} toRevision The current revision of the annotation.
+     * @returns {Object|null} The values of the changed fields, or null
+     * if the log no longer contains all operations since the revision.
+     */
+    getPreviousValues(id, fromRevision, toRevision) {
+        const entries = this.entries.filter(entry =>
+            entry.id === id && entry.revision > fromRevision
+        );
+        if (entries.length !== toRevision - fromRevision) {
+            return null;
+        }
+        // Later operations are applied first so the earliest values remain
+        return entries.reduceRight((values, entry) =>
+            Object.assign(values, entry.previous), {}
+        );
+    }
+}
+
+function valuesAreEqual(valueA, valueB) {
+    return JSON.stringify(valueA) === JSON.stringify(valueB);
+}
+
+function getChangedFields(annotation, values) {
+    return Object.keys(values).filter(key =>
+        key !== "id" && key !== "revision"
+        && !valuesAreEqual(annotation[key], values[key])
+    );
+}
+
+// Annotation actions that can be batched in a bulk action
+const bulkActionTypes = ["add", "update", "remove", "replace"];
+
+// Whether or not an action in a bulk action is well formed enough to be tried
+function isValidBulkItem(action) {
+    if (!action || !bulkActionTypes.includes(action.actionType)) {
+        return false;
+    }
+    switch (action.actionType) {
+        case "add":
+            return isValidAnnotation(action.annotation);
+        case "update":
+            return isValidUpdate(action);
+        case "remove":
+            return Number.isInteger(action.id);
+        case "replace":
+            return Array.isArray(action.ids) && Array.isArray(action.annotations)
+                && action.ids.every(Number.isInteger) && action.annotations.every(isValidAnnotation);
+    }
+}
+
+// Annotation actions that apply to many annotations, each with its own result
+const batchActionTypes = ["batchAdd", "batchUpdate", "batchRemove"];
+
+/**
+ * Get the ids of the annotations affected by an annotation action.
+ * @param {Object} msg The annotation action.
+ * @returns {Array<number>} The ids of the affected annotations.
+ */
+function getActionIds(msg) {
+    switch (msg.actionType) {
+        case "add":
+            return msg.annotation ? [msg.annotation.id] : [];
+        case "replace":
+            return [...(msg.ids || []), ...(msg.annotations || []).map(added => added.id)];
+        case "bulk":
+            return (msg.actions || []).flatMap(getActionIds);
+        default:
+            return [msg.id];
+    }
+}
+
+/**
+ * Apply an update to an annotation, as described for
+ * applyAnnotationAction().
+ * @param {Object} annotation The annotation to update.
+ * @param {Object} msg The update, with the id of the annotation, the
+ * new values in its annotation field and optionally the revision it
+ * was based on. It is modified to contain the resulting annotation.
+ * @param {OperationLog} [opLog] Log of the operations performed on the
+ * annotations.
+ * @returns {string} The result of the update, either "applied",
+ * "merged" or "rejected".
+ */
+function applyUpdate(annotation, msg, opLog) {
+    const currentRevision = annotation.revision || 0;
+    const baseRevision = Number.isInteger(msg.revision) ? msg.revision : currentRevision;
+    let fields = getChangedFields(annotation, msg.annotation);
+    let result = "applied";
+    if (baseRevision !== currentRevision) {
+        const baseValues = opLog && baseRevision < currentRevision
+            ? opLog.getPreviousValues(msg.id, baseRevision, currentRevision)
+            : null;
+        if (!baseValues) {
+            return "rejected";
+        }
+        // Fields changed since the base revision are only kept if the update didn't touch them
+        fields = fields.filter(field =>
+            !(field in baseValues) || !valuesAreEqual(baseValues[field], msg.annotation[field])
+        );
+        if (fields.some(field => field in baseValues)) {
+            return "rejected";
+        }
+        result = "merged";
+    }
+    const previous = {};
+    fields.forEach(field => {
+        previous[field] = annotation[field];
+        annotation[field] = msg.annotation[field];
+    });
+    if (msg.annotation.id !== undefined) {
+        annotation.id = msg.annotation.id;
+    }
+    annotation.revision = currentRevision + 1;
+    msg.revision = annotation.revision;
+    msg.annotation = Object.assign({}, annotation);
+    opLog && (msg.seq = opLog.append("update", annotation.id, annotation.revision, previous));
+    return result;
+}
+
+/**
+ * Apply a batch of annotation actions of the same type, as sent when
+ * many annotations are added, updated or removed at once. Unlike a
+ * bulk action, each item in the batch is applied or not on its own,
+ * and the result for each item is stored in the results field of the
+ * batch. The items that were applied are kept in the batch along with
+ * the range of sequence numbers they were given, so that it can be
+ * forwarded to collaborators as it is. Malformed annotations in a
+ * batch of additions are ignored, and malformed updates are rejected.
+ * @param {Array<Object>} annotations The annotations to modify.
+ * @param {Object} msg The batch to apply.
+ * @param {OperationLog} [opLog] Log of the operations performed on the
+ * annotations.
+ * @returns {string} Either "applied", or "ignored" if the batch is
+ * malformed.
+ */
+function applyBatchAction(annotations, msg, opLog) {
+    const firstSeq = opLog ? opLog.seq + 1 : undefined;
+    switch (msg.actionType) {
+        case "batchAdd":
+            {
+                if (!Array.isArray(msg.annotations)) {
+                    return "ignored";
+                }
+                const index = new DuplicateIndex(annotations);
+                const added = msg.annotations.filter(annotation => {
+                    if (!isValidAnnotation(annotation) || index.hasDuplicate(annotation)) {
+                        return false;
+                    }
+                    index.add(annotation);
+                    return true;
+                });
+                opLog && opLog.forget(added.map(annotation => annotation.id));
+                const addedResults = new Map(added.map(annotation => {
+                    annotation.revision = 0;
+                    annotations.push(annotation);
+                    const seq = opLog && opLog.append("add", annotation.id, 0, {});
+                    return [annotation, {id: annotation.id, result: "applied", seq: seq}];
+                }));
+                msg.results = msg.annotations.map(annotation =>
+                    addedResults.get(annotation) || {id: annotation && annotation.id, result: "ignored"}
+                );
+                msg.annotations = added;
+                break;
+            }
+        case "batchUpdate":
+            {
+                if (!Array.isArray(msg.updates)) {
+                    return "ignored";
+                }
+                const byId = new Map(annotations.map(annotation => [annotation.id, annotation]));
+                msg.results = msg.updates.map(update => {
+                    if (!update || !isValidUpdate(update)) {
+                        // Rejected rather than ignored, so that the sender gets the stored annotation back
+                        const id = update && update.id;
+                        return {id: id, result: "rejected", annotation: byId.get(id) || null};
+                    }
+                    const annotation = byId.get(update.id);
+                    const result = annotation ? applyUpdate(annotation, update, opLog) : "rejected";
+                    if (result === "rejected") {
+                        return {id: update.id, result: result, annotation: annotation || null};
+                    }
+                    return {
+                        id: update.id,
+                        result: result,
+                        revision: update.revision,
+                        seq: update.seq,
+                        annotation: result === "merged" ? update.annotation : undefined
+                    };
+                });
+                msg.updates = msg.updates.filter((update, i) => msg.results[i].result !== "rejected")
+                    .map(update => ({id: update.id, annotation: update.annotation}));
+                break;
+            }
+        case "batchRemove":
+            {
+                if (!Array.isArray(msg.ids)) {
+                    return "ignored";
+                }
+                const existing = new Set(annotations.map(annotation => annotation.id));
+                const removed = new Set(msg.ids.filter(id => existing.has(id)));
+                const remaining = annotations.filter(annotation => !removed.has(annotation.id));
+                annotations.length = 0;
+                remaining.forEach(annotation => annotations.push(annotation));
+                opLog && opLog.forget([...removed]);
+                msg.results = msg.ids.map(id => {
+                    if (!removed.has(id)) {
+                        return {id: id, result: "ignored"};
+                    }
+                    removed.delete(id); // Only the first of any repeated ids is removed
+                    return {id: id, result: "applied", seq: opLog && opLog.append("remove", id, null, {})};
+                });
+                msg.ids = msg.results.filter(item => item.result === "applied").map(item => item.id);
+                break;
+            }
+    }
+    if (opLog && opLog.seq >= firstSeq) {
+        msg.firstSeq = firstSeq;
+        msg.seq = opLog.seq;
+    }
+    return "applied";
+}
+
+/**
+ * Apply an annotation action to a list of annotations. The list is
+ * modified in place. Added annotations start at revision 0, and each
+ * update increases the revision by one. If an update specifies the
+ * revision it was based on and the annotation has been changed since,
+ * the update is merged if it only changes fields that haven't been
+ * changed since, and rejected otherwise. Fields that the update leaves
+ * at their values from the old revision are not considered changed.
+ * A replacement removes some annotations and adds others at once, and
+ * is only applied if all of the removed annotations exist and none of
+ * the added ones are malformed or clash with the remaining ones. A
+ * bulk action contains several of the other actions, and is only
+ * applied if all of them can be applied, in which case each of them
+ * gets its own sequence number. Batches are applied by
+ * applyBatchAction().
+ * The action is modified so that it contains the resulting annotation.
+ * @param {Array<Object>} annotations The annotations to modify.
+ * @param {Object} msg The annotation action to apply.
+ * @param {OperationLog} [opLog] Log of the operations performed on the
+ * annotations. If it is not given, stale updates are always rejected.
+ * @returns {string} The result of the action, either "applied",
+ * "merged", "rejected" or "ignored". Malformed additions, replacements
+ * and bulk actions are ignored, and malformed updates are rejected.
+ */
+function applyAnnotationAction(annotations, msg, opLog) {
+    switch (msg.actionType) {
+        case "add":
+            if (!isValidAnnotation(msg.annotation) || isDuplicateAnnotation(annotations, msg.annotation)) {
+                return "ignored";
+            }
+            msg.annotation.revision = msg.revision = 0;
+            annotations.push(msg.annotation);
+            opLog && opLog.forget([msg.annotation.id]);
+            opLog && (msg.seq = opLog.append("add", msg.annotation.id, 0, {}));
+            return "applied";
+        case "update":
+            {
+                const annotation = isValidUpdate(msg)
+                    && annotations.find(annotation => annotation.id === msg.id);
+                if (!annotation) {
+                    return "rejected";
+                }
+                return applyUpdate(annotation, msg, opLog);
+            }
+        case "remove":
+            {
+                const index = annotations.findIndex(annotation => annotation.id === msg.id);
+                if (index < 0) {
+                    return "ignored";
+                }
+                annotations.splice(index, 1);
+                opLog && opLog.forget([msg.id]);
+                opLog && (msg.seq = opLog.append("remove", msg.id, null, {}));
+                return "applied";
+            }
+        case "replace":
+            {
+                if (!Array.isArray(msg.ids) || !Array.isArray(msg.annotations)
+                    || !msg.ids.every(Number.isInteger) || !msg.annotations.every(isValidAnnotation)) {
+                    return "ignored";
+                }
+                const remaining = annotations.filter(annotation => !msg.ids.includes(annotation.id));
+                const remainingIds = new Set(remaining.map(annotation => annotation.id));
+                const index = new DuplicateIndex(remaining);
+                const clashes = msg.annotations.some(added =>
+                    remainingIds.has(added.id) || index.hasDuplicate(added)
+                );
+                if (remaining.length !== annotations.length - msg.ids.length || clashes) {
+                    return "ignored";
+                }
+                msg.annotations.forEach(added => added.revision = 0);
+                annotations.splice(0, annotations.length, ...remaining, ...msg.annotations);
+                const ids = [...msg.ids, ...msg.annotations.map(added => added.id)];
+                opLog && opLog.forget(ids);
+                opLog && (msg.seq = opLog.append("replace", null, null, {}));
+                return "applied";
+            }
+        case "clear":
+            annotations.splice(0);
+            opLog && opLog.forget();
+            opLog && (msg.seq = opLog.append("clear", null, null, {}));
+            return "applied";
+        case "bulk":
+            {
+                if (!Array.isArray(msg.actions) || msg.actions.length === 0
+                    || !msg.actions.every(isValidBulkItem)) {
+                    return "ignored";
+                }
+                // Try the actions on copies first so that either all or none of them are applied
+                const ids = new Set(getActionIds(msg));
+                const copies = annotations.map(annotation =>
+                    ids.has(annotation.id) ? JSON.parse(JSON.stringify(annotation)) : annotation
+                );
+                const trialLog = opLog && {
+                    getPreviousValues: (...args) => opLog.getPreviousValues(...args),
+                    append: () => undefined,
+                    forget: () => {}
+                };
+                let trialResults;
+                try {
+                    trialResults = JSON.parse(JSON.stringify(msg.actions)).map(action =>
+                        applyAnnotationAction(copies, action, trialLog)
+                    );
+                }
+                catch (err) {
+                    return "rejected";
+                }
+                if (trialResults.some(result => result === "rejected" || result === "ignored")) {
+                    return "rejected";
+                }
+                const results = msg.actions.map(action =>
+                    applyAnnotationAction(annotations, action, opLog)
+                );
+                return results.includes("merged") ? "merged" : "applied";
+            }
+        case "batchAdd":
+        case "batchUpdate":
+        case "batchRemove":
+            return applyBatchAction(annotations, msg, opLog);
+        default:
+            return "ignored";
+    }
+}
+
+/**
+ * Create the message telling the sender of an annotation action that
+ * it has been applied as it was.
+ * @param {Object} msg The applied annotation action.
+ * @returns {Object} The acknowledgement message.
+ */
+function createAck(msg) {
+    if (batchActionTypes.includes(msg.actionType)) {
+        return {
+            type: "annotationAction",
+            actionType: "batchAck",
+            batchType: msg.actionType,
+            results: msg.results,
+            firstSeq: msg.firstSeq,
+            seq: msg.seq
+        };
+    }
+    if (msg.actionType === "bulk") {
+        return {
+            type: "annotationAction",
+            actionType: "bulk",
+            actions: msg.actions.map(createAck)
+        };
+    }
+    return {
+        type: "annotationAction",
+        actionType: "ack",
+        id: msg.actionType === "add" ? msg.annotation.id : msg.id,
+        revision: msg.revision,
+        seq: msg.seq
+    };
+}
+
+/**
+ * Create the message telling the sender of an annotation action that
+ * it has been rejected, containing the current state of the affected
+ * annotations so that the sender can reconcile its own.
+ * @param {Array<Object>} annotations The annotations of the collaboration.
+ * @param {Object} msg The rejected annotation action.
+ * @returns {Object} The rejection message.
+ */
+function createRejection(annotations, msg) {
+    const rejections = getActionIds(msg).map(id => ({
+        type: "annotationAction",
+        actionType: "reject",
+        id: id,
+        annotation: annotations.find(annotation => annotation.id === id) || null
+    }));
+    if (msg.actionType === "bulk") {
+        return {
+            type: "annotationAction",
+            actionType: "bulk",
+            actions: rejections
+        };
+    }
+    return rejections[0];
+}
+
 class Collaboration {
     constructor(id, image, author) {
         this.members = new Map();
+        this.linkObservers = new Set(); // Members who joined through signed observer links
         this.annotations = [];
+        this.opLog = new OperationLog();
         this.comments = [];
         this.nextCommentId = 0;
         this.id = id;
@@ -46,7 +583,10 @@ class Collaboration {
         this.nextColor = generateColor();
         this.image = image;
         this.ongoingLoad = new Promise(r => r()); // Dummy promise just in case
-        this.hasUnsavedChanges = false;
+        this.changeGeneration = 0; // Increased whenever the state is changed
+        this.savedGeneration = 0; // The generation of the last saved state
+        this.ongoingSave = null;
+        this.queuedSave = null;
         this.loadState(false);
         this.log(`Initializing collaboration.`, console.info);
         this.classConfig = [];
@@ -64,7 +604,7 @@ class Collaboration {
         });
     }
 
-    addMember(ws, name, id) {
+    addMember(ws, name, id, role, username, observer) {
         if (this.deathClock) {
             clearTimeout(this.deathClock);
             this.deathClock = null;
@@ -72,6 +612,9 @@ class Collaboration {
         this.members.set(ws, {
             id: id ? id : getId(),
             name: name,
+            username: username,
+            role: role,
+            observer: observer,
             color: this.nextColor(),
             position: {},
             ready: false,
@@ -93,6 +636,7 @@ class Collaboration {
         });
         this.log(`${member.name} has disconnected.`, console.info);
         this.members.delete(ws);
+        this.linkObservers.delete(ws);
         if (this.members.size === 0) {
             this.deathClock = setTimeout(() => this.close(), 300000);
         }
@@ -140,28 +684,87 @@ class Collaboration {
         this.broadcastMessage(msg, recipients, true);
     }
 
+    /**
+     * Check whether or not a member's role allows them to do something.
+     * If it doesn't, the member is forced to update their state, so that
+     * any local changes they have made are undone.
+     * @param {WebSocket} sender The websocket of the member.
+     * @param {Object} member The member.
+     * @param {string} permission The permission that is required.
+     * @returns {boolean} Whether or not the member has the permission.
+     */
+    checkPermission(sender, member, permission) {
+        if (access.hasPermission(member.role, permission)) {
+            return true;
+        }
+        this.log(`${member.name} tried to do something that requires the ${permission} permission, ignoring.`, console.warn);
+        member.ready = false;
+        this.broadcastMessage({type: "forceUpdate"}, [sender]);
+        return false;
+    }
+
+    /**
+     * Update the roles of the members after the access to the
+     * collaboration has changed. Members who no longer have access
+     * are disconnected.
+     */
+    updateMemberRoles() {
+        this.members.forEach((member, ws) => {
+            const role = access.getRole(this.id, member.username)
+                || (this.linkObservers.has(ws) ? "viewer" : null);
+            if (!role) {
+                ws.close(4003, "Access to the collaboration was revoked.");
+            }
+            else if (role !== member.role) {
+                member.role = role;
+                this.broadcastMessage({
+                    type: "memberEvent",
+                    eventType: "update",
+                    hardUpdate: true,
+                    member: member
+                }, null, true);
+            }
+        });
+    }
+
     handleMessage(sender, msg) {
         // Keep track of the member that sent the message
         const member = this.members.get(sender);
+        if (!member) {
+            // Websockets that were denied access can't do anything
+            return;
+        }
+        if (member.observer && observerIgnoredTypes.includes(msg.type)) {
+            this.log(`Ignoring ${msg.type} message from observer ${member.name}.`, console.info);
+            return;
+        }
         switch (msg.type) {
             case "annotationAction":
                 this.ongoingLoad.then(() => {
                     this.handleAnnotationAction(sender, member, msg);
+                }).catch(err => {
+                    this.log(`Failed to handle a ${msg.type} message: ${err.message}`, console.error);
                 });
                 break;
             case "classConfigAction":
                 this.ongoingLoad.then(() => {
                     this.handleClassConfigAction(sender, member, msg);
+                }).catch(err => {
+                    this.log(`Failed to handle a ${msg.type} message: ${err.message}`, console.error);
                 });
                 break;
             case "globalDataAction":
                 this.ongoingLoad.then(() => {
                     this.handleGlobalDataAction(sender, member, msg);
+                }).catch(err => {
+                    this.log(`Failed to handle a ${msg.type} message: ${err.message}`, console.error);
                 });
                 break;
             case "versionAction":
                 this.ongoingLoad.then(() => {
                     this.handleVersionAction(sender, member, msg);
+                }).catch(err => {
+                    this.log(`Failed to handle a ${msg.type} message: ${err.message}`, console.error);
                 });
                 break;
             case "memberEvent":
@@ -173,11 +776,16 @@ class Collaboration {
             case "requestSummary":
                 this.ongoingLoad.then(() => {
                     this.handleRequestSummary(sender, member, msg);
+                }).catch(err => {
+                    this.log(`Failed to handle a ${msg.type} message: ${err.message}`, console.error);
                 });
                 break;
             case "nameChange":
                 this.handleNameChange(sender, member, msg);
                 break;
+            case "accessAction":
+                this.handleAccessAction(sender, member, msg);
+                break;
             default:
                 this.forwardMessage(sender, msg);
                 this.log("Received a message with an unknown type, forwarding anyway.", console.info);
@@ -189,50 +797,98 @@ class Collaboration {
             // Members who aren't ready shouldn't do anything with annotations
             return;
         }
-        switch (msg.actionType) {
-            case "add":
-                if (!this.isDuplicateAnnotation(msg.annotation)) {
-                    this.annotations.push(msg.annotation);
-                    this.forwardMessage(sender, msg);
+        if (!this.checkPermission(sender, member, "edit")) {
+            return;
+        }
+        this.applyAnnotationAction(sender, member.name, msg);
+    }
+
+    /**
+     * Apply an annotation action to the collaboration and forward it to
+     * the members that should know about it. The sender is told if the
+     * action was applied as it was, and is sent the current state of the
+     * annotation if it was merged or rejected, so that it can reconcile
+     * its own annotations.
+     * @param {WebSocket} sender The websocket the action was received
+     * through, or null if it did not come from a member.
+     * @param {string} name Name of whoever performed the action, used
+     * for logging.
+     * @param {Object} msg The annotation action.
+     * @returns {string} The result of the action, either "applied",
+     * "merged", "rejected" or "ignored".
+     */
+    applyAnnotationAction(sender, name, msg) {
+        const result = applyAnnotationAction(this.annotations, msg, this.opLog);
+        switch (result) {
+            case "applied":
+                if (batchActionTypes.includes(msg.actionType)) {
+                    // Only the applied items are forwarded, the sender gets the result of each item
+                    const {results, ...applied} = msg;
+                    const nSkipped = results.filter(item => !["applied", "merged"].includes(item.result)).length;
+                    nSkipped > 0 && this.log(`Skipped ${nSkipped} of ${results.length} items in a batch from ${name}.`, console.info);
+                    applied.seq !== undefined && this.forwardMessage(sender, applied);
                 }
                 else {
-                    this.log(`${member.name} tried to add a duplicate annotation, ignoring.`, console.info);
-                }
-                break;
-            case "update":
-                {
-                    const index = this.annotations.findIndex(annotation => annotation.id === msg.id);
-                    if (index >= 0) {
-                        Object.assign(this.annotations[index], msg.annotation);
-                    }
-                    else {
-                        this.log(`${member.name} tried to update nonexisting annotation with ID ${msg.id}`, console.warn);
-                    }             
                     this.forwardMessage(sender, msg);
                 }
+                sender && this.broadcastMessage(createAck(msg), [sender]);
                 break;
-            case "remove":
-                {
-                    const index = this.annotations.findIndex(annotation => annotation.id === msg.id);
-                    if (index >=0) {
-                        this.annotations.splice(index, 1);
-                    }
-                    else {
-                        this.log(`${member.name} tried to remove nonexisting annotation with ID ${msg.id}`, console.warn);
-                    }
+            case "merged":
+                if (msg.actionType === "bulk") {
+                    // The sender gets the resulting updates, but only acks for its other actions
+                    this.log(`Merged a bulk edit from ${name} with updates based on old revisions.`, console.info);
                     this.forwardMessage(sender, msg);
+                    sender && this.broadcastMessage({
+                        type: "annotationAction",
+                        actionType: "bulk",
+                        actions: msg.actions.map(action =>
+                            action.actionType === "update" ? action : createAck(action)
+                        )
+                    }, [sender]);
+                }
+                else {
+                    this.log(`Merged an update of annotation ${msg.id} from ${name} based on an old revision.`, console.info);
+                    this.broadcastMessage(msg, null, true);
                 }
                 break;
-            case "clear":
-                this.annotations = [];
-                this.forwardMessage(sender, msg);
+            case "rejected":
+                if (msg.actionType === "bulk") {
+                    this.log(`Rejected a bulk edit from ${name} that conflicts with later changes.`, console.info);
+                }
+                else {
+                    this.log(`Rejected an update of annotation ${msg.id} from ${name} that conflicts with later changes.`, console.info);
+                }
+                sender && this.broadcastMessage(createRejection(this.annotations, msg), [sender]);
                 break;
-            default:
-                this.log(`${member.name} tried to handle unknown annotation action: ${msg.actionType}`, console.warn);
-                this.forwardMessage(sender, msg);
+            case "ignored":
+                switch (msg.actionType) {
+                    case "add":
+                        this.log(`${name} tried to add a duplicate or malformed annotation, ignoring.`, console.info);
+                        break;
+                    case "remove":
+                        this.log(`${name} tried to remove nonexisting annotation with ID ${msg.id}`, console.warn);
+                        break;
+                    case "replace":
+                        this.log(`${name} tried to replace annotations that have changed since, resending the state.`, console.warn);
+                        // The sender has already made the replacement locally
+                        sender && sender.send(JSON.stringify(this.stateSummary(sender)));
+                        break;
+                    case "bulk":
+                    case "batchAdd":
+                    case "batchUpdate":
+                    case "batchRemove":
+                        this.log(`${name} sent a malformed ${msg.actionType} action, resending the state.`, console.warn);
+                        sender && sender.send(JSON.stringify(this.stateSummary(sender)));
+                        break;
+                    default:
+                        this.log(`${name} tried to handle unknown annotation action: ${msg.actionType}`, console.warn);
+                        this.forwardMessage(sender, msg);
+                }
+                return result;
         }
         this.flagUnsavedChanges();
         this.trySavingState();
+        return result;
     }
 
     handleClassConfigAction(sender, member, msg) {
@@ -240,6 +896,9 @@ class Collaboration {
             // Members who aren't ready shouldn't do anything with annotations
             return;
         }
+        if (!this.checkPermission(sender, member, "edit")) {
+            return;
+        }
         switch (msg.actionType) {
             case "update":
                 {
@@ -256,6 +915,9 @@ class Collaboration {
         if (!member.ready) {
             return;
         }
+        if (!this.checkPermission(sender, member, "edit")) {
+            return;
+        }
 
         switch (msg.actionType) {
             case "addComment":
@@ -294,6 +956,9 @@ class Collaboration {
 
         switch (msg.actionType) {
             case "getVersions":
+                if (!this.checkPermission(sender, member, "view")) {
+                    return;
+                }
                 autosave.getAvailableVersions(this.id, this.image)
                     .then(versions => sender.send(JSON.stringify({
                         type: "versionAction",
@@ -303,16 +968,79 @@ class Collaboration {
                 );
                 break;
             case "revert":
+                if (!this.checkPermission(sender, member, "revert")) {
+                    return;
+                }
                 this.saveState() // First store current state
                     .then(() => autosave.revertAnnotations(this.id, this.image, msg.versionId)) // Reverts the file
                     .then(() => this.loadState(true)); // Then load the reverted state
                 break;
+            case "preview":
+                if (!this.checkPermission(sender, member, "view")) {
+                    return;
+                }
+                autosave.loadVersion(this.id, this.image, msg.versionId)
+                    .then(data => sender.send(JSON.stringify({
+                        type: "versionAction",
+                        actionType: "versionPreview",
+                        versionId: msg.versionId,
+                        annotations: data.annotations || []
+                    })))
+                    .catch(err => this.log(`Failed to load version ${msg.versionId}: ${err.message}`, console.warn));
+                break;
+            case "tag":
+                if (!this.checkPermission(sender, member, "revert")) {
+                    return;
+                }
+                const name = String(msg.name || "").trim().slice(0, maxTagNameLength);
+                const tag = name ? {
+                    name: name,
+                    note: String(msg.note || "").trim().slice(0, maxTagNoteLength),
+                    author: member.name,
+                    time: new Date().toISOString()
+                } : null; // Tagging without a name removes the tag
+                autosave.tagVersion(this.id, this.image, msg.versionId, tag)
+                    .then(() => autosave.getAvailableVersions(this.id, this.image))
+                    .then(versions => sender.send(JSON.stringify({
+                        type: "versionAction",
+                        actionType: "versionInfo",
+                        history: versions
+                    })))
+                    .catch(err => this.log(`Failed to tag version ${msg.versionId}: ${err.message}`, console.warn));
+                break;
+            case "getDiff":
+                if (!this.checkPermission(sender, member, "view")) {
+                    return;
+                }
+                autosave.getVersionDiff(this.id, this.image, msg.fromId, msg.toId)
+                    .then(diff => sender.send(JSON.stringify({
+                        type: "versionAction",
+                        actionType: "versionDiff",
+                        fromId: msg.fromId,
+                        toId: msg.toId,
+                        diff: diff
+                    })))
+                    .catch(err => this.log(`Failed to diff versions ${msg.fromId} and ${msg.toId}: ${err.message}`, console.warn));
+                break;
             default:
                 this.log(`Tried to handle unknown version action: ${msg.actionType}`, console.warn);
         }
     }
 
     handleMemberEvent(sender, member, msg) {
+        if (!this.checkPermission(sender, member, "view")) {
+            return;
+        }
+        if (msg.eventType === "update") {
+            // Members can't change their own id, role or account
+            msg.member.id = member.id;
+            msg.member.role = member.role;
+            msg.member.observer = member.observer;
+            msg.member.username = member.username;
+            if (member.username) {
+                msg.member.name = member.name;
+            }
+        }
         this.forwardMessage(sender, msg);
         switch (msg.eventType) {
             case "update":
@@ -327,11 +1055,17 @@ class Collaboration {
     }
 
     handleImageSwap(sender, member, msg) {
+        if (!this.checkPermission(sender, member, "view")) {
+            return;
+        }
         this.saveState();
         this.forwardMessage(sender, msg);
     }
 
     handleRequestSummary(sender, member, msg) {
+        if (!this.checkPermission(sender, member, "view")) {
+            return;
+        }
         if (msg.image === this.image)
             member.ready = true;
         sender.send(JSON.stringify(this.stateSummary(sender)));
@@ -344,6 +1078,9 @@ class Collaboration {
     }
 
     handleNameChange(sender, member, msg) {
+        if (!this.checkPermission(sender, member, "edit")) {
+            return;
+        }
         if (this.name !== msg.name) {
             this.name = msg.name;
             this.flagUnsavedChanges();
@@ -352,12 +1089,47 @@ class Collaboration {
         }
     }
 
+    handleAccessAction(sender, member, msg) {
+        if (!this.checkPermission(sender, member, "manage")) {
+            return;
+        }
+
+        switch (msg.actionType) {
+            case "getAccess":
+                break;
+            case "setRole":
+                if (!access.setRole(this.id, msg.username, msg.role)) {
+                    this.log(`${member.name} tried to set an invalid role for ${msg.username}.`, console.warn);
+                }
+                this.updateMemberRoles();
+                break;
+            case "setDefaultRole":
+                if (!access.setDefaultRole(this.id, msg.role)) {
+                    this.log(`${member.name} tried to set an invalid default role.`, console.warn);
+                }
+                this.updateMemberRoles();
+                break;
+            default:
+                this.log(`Tried to handle unknown access action: ${msg.actionType}`, console.warn);
+                return;
+        }
+        this.broadcastMessage({
+            type: "accessAction",
+            actionType: "accessInfo",
+            access: access.getAccessInfo(this.id)
+        }, [sender]);
+    }
+
     stateSummary(sender) {
+        const member = this.members.get(sender);
+        const canShare = !member.observer && access.hasPermission(member.role, "edit");
         return {
             type: "summary",
             id: this.id,
             name: this.name,
-            requesterId: this.members.get(sender).id,
+            requesterId: member.id,
+            seq: this.opLog.seq,
+            observerToken: canShare ? access.getObserverToken(this.id) : null,
             image: this.image,
             members: Array.from(this.members.values()),
             annotations: this.annotations,
@@ -395,6 +1167,7 @@ class Collaboration {
                     this.name = data.name;
                 }
                 this.annotations = data.annotations;
+                this.opLog.forget();
             }
             if (data.version === "1.1") {
                 this.author = data.author;
@@ -423,37 +1196,68 @@ class Collaboration {
         });
     }
 
+    /**
+     * Save the current state of the collaboration if it has changed.
+     * The state is copied before it is written, so changes made while
+     * the write is ongoing are kept as unsaved changes. If a save is
+     * already ongoing, another save is queued to run after it.
+     * @returns {Promise<boolean>} Promise that resolves with whether or
+     * not the state was saved.
+     */
     saveState() {
-        if (this.hasUnsavedChanges) {
-            const updateTime = getCurrentTimeAsString();
-            const data = { //Format specification (less canonicalized, order is important)
-                version: "1.1",
-                id: this.id,
-                name: this.name,
-                image: this.image,
-                author: this.author,
-                createdOn: this.createdOn,
-                updatedOn: updateTime,
-                nAnnotations: this.annotations.length,
-                nComments: this.comments.length,
-                classConfig: this.classConfig,
-                annotations: this.annotations,
-                comments: this.comments
-            };
-            return autosave.saveAnnotations(this.id, this.image, data).then(() => {
-                this.notifyAutosave();
-                this.updatedOn = updateTime;
-                this.hasUnsavedChanges = false; //FIX: changes during save will be lost
-                return true;
-            });
+        if (this.ongoingSave) {
+            if (!this.queuedSave) {
+                this.queuedSave = this.ongoingSave.then(() => {
+                    this.queuedSave = null;
+                    return this.saveState();
+                });
+            }
+            return this.queuedSave;
         }
-        else {
+        if (!this.hasUnsavedChanges()) {
             return Promise.resolve(false);
         }
+
+        const generation = this.changeGeneration;
+        const updateTime = getCurrentTimeAsString();
+        const data = JSON.parse(JSON.stringify({ //Format specification (less canonicalized, order is important)
+            version: "1.1",
+            id: this.id,
+            name: this.name,
+            image: this.image,
+            author: this.author,
+            createdOn: this.createdOn,
+            updatedOn: updateTime,
+            nAnnotations: this.annotations.length,
+            nComments: this.comments.length,
+            classConfig: this.classConfig,
+            annotations: this.annotations,
+            comments: this.comments
+        }));
+        this.ongoingSave = autosave.saveAnnotations(this.id, this.image, data).then(() => {
+            this.savedGeneration = Math.max(this.savedGeneration, generation);
+            this.updatedOn = updateTime;
+            this.notifyAutosave();
+            if (this.hasUnsavedChanges() && !this.queuedSave) {
+                // Changes were made during the write, make sure they are saved too
+                this.trySavingState();
+            }
+            return true;
+        }).catch(err => {
+            this.log(`Failed to save state: ${err.message}`, console.warn);
+            return false;
+        }).finally(() => {
+            this.ongoingSave = null;
+        });
+        return this.ongoingSave;
+    }
+
+    hasUnsavedChanges() {
+        return this.changeGeneration !== this.savedGeneration;
     }
 
     flagUnsavedChanges() {
-        this.hasUnsavedChanges = true;
+        this.changeGeneration++;
     }
 
     trySavingState() {
@@ -466,24 +1270,6 @@ class Collaboration {
         }, autosaveTimeout); //Autosave timeout in ms
     }
 
-    pointsAreDuplicate(pointsA, pointsB) {
-        if (pointsA.length !== pointsB.length)
-            return false;
-
-        return pointsA.every((pointA, index) => {
-            const pointB = pointsB[index];
-            return pointA.x === pointB.x && pointA.y === pointB.y;
-        });
-    }
-
-    isDuplicateAnnotation(annotation) {
-        return this.annotations.some(existingAnnotation =>
-            existingAnnotation.z === annotation.z
-            && existingAnnotation.mclass === annotation.mclass
-            && this.pointsAreDuplicate(annotation.points, existingAnnotation.points)
-        );
-    }
-
     log(msg, f = console.log) {
         f(`Collab [${this.id}] -- ${msg}`);
     }
@@ -527,11 +1313,31 @@ function getId() {
  * @param {string} id ID of the collab being joined.
  * @param {string} image Name of the image observed in the collab. Only
  * has an effect if the collaboration has not been created yet.
+ * @param {string} username The name of the logged in user, or null if
+ * the user has not logged in. If set, it is used instead of the name.
+ * @param {string} observe Falsy if the user should join normally. If
+ * set, the user joins as an observer who can't change anything. If it
+ * is a valid observer token for the collab, the user can join as an
+ * observer even without having access to the collab.
+ * @returns {boolean} Whether or not the user was allowed to join.
  */
-function joinCollab(ws, name, userId, id, image) {
+function joinCollab(ws, name, userId, id, image, username, observe) {
+    const signed = Boolean(observe) && access.isObserverToken(id, observe);
+    const role = signed
+        ? access.getRole(id, username) || "viewer"
+        : access.claimRole(id, username);
+    if (!role) {
+        ws.close(4003, "Access to the collaboration was denied.");
+        return false;
+    }
+    const memberName = username || name;
     const cleanImage = sanitize(image);
-    const collab = getCollab(id, cleanImage, name);
-    collab.addMember(ws, name, userId);
+    const collab = getCollab(id, cleanImage, memberName);
+    collab.addMember(ws, memberName, userId, role, username, Boolean(observe));
+    if (signed) {
+        collab.linkObservers.add(ws);
+    }
+    return true;
 }
 
 /**
@@ -570,35 +1376,506 @@ function handleMessage(ws, id, msg) {
 
 /**
  * Get a list of all collaborations that have previously been saved
- * for a given image.
+ * for a given image and that a given user has access to.
  * @param {string} image The name of the image.
+ * @param {string} username The name of the logged in user, or null if
+ * the user has not logged in.
  * @returns {Promise<Array<Object>>} A promise of the list of available
  * image ids and their names.
  */
-function getAvailable(image) {
+function getAvailable(image, username) {
     const cleanImage = sanitize(image);
-    return autosave.getSavedCollabInfo(cleanImage).then(available => {
-        available.forEach(info => {
-            if (collabs[info.id]) {
-                const collab = collabs[info.id];
-                info.nUsers = collab.members.size;
+    return autosave.getSavedCollabInfo(cleanImage)
+        .then(available => getAccessibleInfo(available, username));
+}
+
+// Remove the collabs the user can't access and add the current number of users
+function getAccessibleInfo(available, username) {
+    available = available.filter(info =>
+        !access.isClaimed(info.id) || access.getRole(info.id, username)
+    );
+    available.forEach(info => {
+        if (collabs[info.id]) {
+            const collab = collabs[info.id];
+            info.nUsers = collab.members.size;
+        }
+        else {
+            info.nUsers = 0;
+        }
+    });
+    return available;
+}
+
+/**
+ * Search all saved collaborations, regardless of their image, for the
+ * ones that a given user has access to and that pass a filter query.
+ * The query uses the same format as the session filter in the client,
+ * with the additional key image for the name of the image.
+ * @param {string} query The filter query.
+ * @param {string} username The name of the logged in user, or null if
+ * the user has not logged in.
+ * @returns {Promise<Array<Object>>} A promise of the matching
+ * collaborations, most recently updated first.
+ */
+function searchCollabs(query, username) {
+    return Promise.resolve().then(() => {
+        let filter;
+        try {
+            filter = filters.getFilterFromQuery(query || "");
+        }
+        catch (err) {
+            throw new ApiError(400, err.message);
+        }
+        return autosave.getAllSavedCollabInfo().then(available => {
+            return getAccessibleInfo(available, username)
+                .filter(info => filter.evaluate(filters.preprocessCollabBeforeFiltering(info)))
+                .sort((a, b) => String(b.updatedOn).localeCompare(String(a.updatedOn)));
+        });
+    });
+}
+
+/**
+ * Error thrown when an API request can't be carried out, containing
+ * the HTTP status code that should be sent in response.
+ */
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Queue of ongoing modifications of stored collabs that aren't loaded
+const storageQueues = {};
+
+function generateAnnotationId(usedIds) {
+    const order = Math.ceil(Math.log10((1 + usedIds.size) * 100));
+    let id;
+    do {
+        id = Math.floor(Math.random() * (10 ** order));
+    } while (usedIds.has(id));
+    return id;
+}
+
+function validatePoints(points) {
+    if (!Array.isArray(points) || points.length === 0) {
+        throw new ApiError(400, "An annotation needs a non-empty array of points.");
+    }
+    points.forEach(point => {
+        if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+            throw new ApiError(400, "Annotation points need numerical x and y coordinates.");
+        }
+    });
+}
+
+function validateHoles(holes) {
+    if (!Array.isArray(holes)) {
+        throw new ApiError(400, "The holes of a region have to be an array of point arrays.");
+    }
+    holes.forEach(validatePoints);
+}
+
+// Holes and further parts of regions are optional, but have to be well formed
+function validateRegionParts(annotation) {
+    if (annotation.holes !== undefined) {
+        validateHoles(annotation.holes);
+    }
+    if (annotation.parts !== undefined) {
+        if (!Array.isArray(annotation.parts)) {
+            throw new ApiError(400, "The parts of a region have to be an array.");
+        }
+        annotation.parts.forEach(part => {
+            if (!part || typeof part !== "object") {
+                throw new ApiError(400, "Each part of a region has to be an object with points.");
             }
-            else {
-                info.nUsers = 0;
+            validatePoints(part.points);
+            if (part.holes !== undefined) {
+                validateHoles(part.holes);
             }
         });
-        return available;
+    }
+}
+
+/**
+ * Check that an annotation to be added is well formed, with points, a
+ * class name and valid parts and holes if it's a region.
+ * @param {Object} annotation The annotation.
+ * @throws {ApiError} If the annotation is malformed.
+ */
+function validateNewAnnotation(annotation) {
+    if (!annotation || typeof annotation !== "object") {
+        throw new ApiError(400, "Annotations have to be sent as objects.");
+    }
+    validatePoints(annotation.points);
+    validateRegionParts(annotation);
+    if (typeof annotation.mclass !== "string") {
+        throw new ApiError(400, "An annotation needs a class name in the mclass field.");
+    }
+}
+
+/**
+ * Check whether or not an annotation sent by a client can be added,
+ * with the same checks as for annotations added through the API. As
+ * clients assign the ids of their annotations, it also needs an id.
+ * @param {Object} annotation The annotation.
+ * @returns {boolean} Whether or not the annotation is well formed.
+ */
+function isValidAnnotation(annotation) {
+    return passesValidation(validateNewAnnotation, annotation) && Number.isInteger(annotation.id);
+}
+
+/**
+ * Check whether or not an update sent by a client is well formed, with
+ * the same checks as for updates made through the API.
+ * @param {Object} msg The update action.
+ * @returns {boolean} Whether or not the update is well formed.
+ */
+function isValidUpdate(msg) {
+    return Number.isInteger(msg.id)
+        && passesValidation(values => prepareAnnotationUpdate(values, msg.id), msg.annotation);
+}
+
+// Run a validation function, returning whether or not it passed
+function passesValidation(validate, value) {
+    try {
+        validate(value);
+        return true;
+    }
+    catch (err) {
+        if (err instanceof ApiError) {
+            return false;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Turn an annotation received through the API into the same form as
+ * annotations sent by clients. Values that are computed by the clients
+ * are removed, and missing values are filled in with defaults.
+ * @param {Object} annotation The annotation received in the request.
+ * @param {Set<number>} usedIds The ids that are already in use, used to
+ * find an unused id if the annotation has none.
+ * @param {string} name The name of whoever made the request.
+ * @returns {Object} The prepared annotation.
+ */
+function prepareNewAnnotation(annotation, usedIds, name) {
+    validateNewAnnotation(annotation);
+    const id = Number.isInteger(annotation.id) && !usedIds.has(annotation.id)
+        ? annotation.id : generateAnnotationId(usedIds);
+    const prepared = Object.assign({}, annotation, {
+        id: id,
+        points: annotation.points.map(point => ({x: point.x, y: point.y})),
+        z: Number.isFinite(annotation.z) ? annotation.z : 0,
+        author: annotation.author || name,
+        comments: Array.isArray(annotation.comments) ? annotation.comments : []
+    });
+    delete prepared.centroid;
+    delete prepared.diameter;
+    return prepared;
+}
+
+function prepareAnnotationUpdate(annotation, id) {
+    if (!annotation || typeof annotation !== "object") {
+        throw new ApiError(400, "Annotation updates have to be sent as objects.");
+    }
+    if (annotation.points !== undefined) {
+        validatePoints(annotation.points);
+    }
+    validateRegionParts(annotation);
+    const prepared = Object.assign({}, annotation, {id: id});
+    delete prepared.centroid;
+    delete prepared.diameter;
+    delete prepared.revision;
+    return prepared;
+}
+
+/**
+ * Get the collab that should be used for an API request, making sure
+ * that it has finished loading.
+ * @param {string} id The id of the collab.
+ * @returns {Promise<Collaboration>|null} A promise of the collab, or
+ * null if the collab isn't currently loaded.
+ */
+function getLoadedCollab(id) {
+    const collab = collabs[id];
+    if (!collab) {
+        return null;
+    }
+    return collab.ongoingLoad.then(() => collab);
+}
+
+function loadStoredData(id, image) {
+    if (!image) {
+        throw new ApiError(400, "The image has to be specified for collaborations that aren't open.");
+    }
+    return autosave.loadAnnotations(id, sanitize(image)).then(data => {
+        if (!data) {
+            throw new ApiError(404, `No collaboration with id ${id} has been stored for ${image}.`);
+        }
+        return data;
+    });
+}
+
+/**
+ * Modify the stored data of a collaboration that isn't currently
+ * loaded. Modifications of the same collaboration are done one at a
+ * time so that they don't overwrite each other.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image in the collab.
+ * @param {Function} modify Function that takes the list of stored
+ * annotations, modifies it in place and returns the result of the
+ * modification.
+ * @returns {Promise} Promise that resolves with the result of the
+ * modification once it has been stored.
+ */
+function modifyStoredAnnotations(id, image, modify) {
+    const previous = storageQueues[id] || Promise.resolve();
+    const modification = previous.then(() => loadStoredData(id, image))
+        .then(data => {
+            const result = modify(data.annotations);
+            data.updatedOn = getCurrentTimeAsString();
+            data.nAnnotations = data.annotations.length;
+            return autosave.saveAnnotations(id, sanitize(image), data)
+                .then(() => result);
+        });
+    const queued = storageQueues[id] = modification.catch(() => {}).then(() => {
+        if (storageQueues[id] === queued) {
+            delete storageQueues[id];
+        }
+    });
+    return modification;
+}
+
+/**
+ * Modify the annotations of a collaboration, either through the loaded
+ * collaboration or directly in storage if it isn't loaded.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @param {string} name The name of whoever is making the modification.
+ * @param {Function} createActions Function that takes the current list
+ * of annotations and returns a list of annotation actions to perform.
+ * @returns {Promise<Array<Object>>} Promise of the list of annotation
+ * actions that changed the annotations.
+ */
+function modifyAnnotations(id, image, name, createActions) {
+    const loadedCollab = getLoadedCollab(id);
+    if (loadedCollab) {
+        return loadedCollab.then(collab => {
+            const actions = createActions(collab.annotations);
+            return actions.filter(action =>
+                ["applied", "merged"].includes(collab.applyAnnotationAction(null, name, action))
+            );
+        });
+    }
+    else {
+        return modifyStoredAnnotations(id, image, annotations => {
+            const actions = createActions(annotations);
+            return actions.filter(action =>
+                ["applied", "merged"].includes(applyAnnotationAction(annotations, action))
+            );
+        });
+    }
+}
+
+function findAnnotation(annotations, annotationId) {
+    const annotation = annotations.find(annotation =>
+        annotation.id === annotationId
+    );
+    if (!annotation) {
+        throw new ApiError(404, `No annotation with id ${annotationId} exists.`);
+    }
+    return annotation;
+}
+
+/**
+ * Get the annotations currently placed in a collaboration.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @returns {Promise<Array<Object>>} Promise of the annotations.
+ */
+function getAnnotations(id, image) {
+    const loadedCollab = getLoadedCollab(id);
+    if (loadedCollab) {
+        return loadedCollab.then(collab => collab.annotations);
+    }
+    else {
+        return Promise.resolve()
+            .then(() => loadStoredData(id, image))
+            .then(data => data.annotations);
+    }
+}
+
+/**
+ * Get the class configuration of a collaboration. An empty list means
+ * that the default classes of the client are used.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @returns {Promise<Array<Object>>} Promise of the class configuration.
+ */
+function getClassConfig(id, image) {
+    const loadedCollab = getLoadedCollab(id);
+    if (loadedCollab) {
+        return loadedCollab.then(collab => collab.classConfig);
+    }
+    else {
+        return Promise.resolve()
+            .then(() => loadStoredData(id, image))
+            .then(data => data.classConfig || []);
+    }
+}
+
+/**
+ * Get a single annotation in a collaboration.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @param {number} annotationId The id of the annotation.
+ * @returns {Promise<Object>} Promise of the annotation.
+ */
+function getAnnotation(id, image, annotationId) {
+    return getAnnotations(id, image).then(annotations =>
+        findAnnotation(annotations, annotationId)
+    );
+}
+
+/**
+ * Add annotations to a collaboration. Annotations without an id or
+ * with an id that is already in use are assigned a new one, and
+ * duplicates of existing annotations are ignored. The annotations are
+ * added as a single batch, which is sent to the members of the
+ * collaboration as one message.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @param {string} name The name of whoever is adding the annotations.
+ * @param {Array<Object>} annotations The annotations to add.
+ * @returns {Promise<Array<Object>>} Promise of the annotations that
+ * were added.
+ */
+function addAnnotations(id, image, name, annotations) {
+    return Promise.resolve().then(() => {
+        return modifyAnnotations(id, image, name, existing => {
+            if (annotations.length === 0) {
+                return [];
+            }
+            const usedIds = new Set(existing.map(annotation => annotation.id));
+            const prepared = annotations.map(annotation => {
+                const preparedAnnotation = prepareNewAnnotation(annotation, usedIds, name);
+                usedIds.add(preparedAnnotation.id);
+                return preparedAnnotation;
+            });
+            return [{
+                type: "annotationAction",
+                actionType: "batchAdd",
+                annotations: prepared
+            }];
+        });
+    }).then(actions => actions.flatMap(action => action.annotations));
+}
+
+/**
+ * Update an annotation in a collaboration.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @param {string} name The name of whoever is updating the annotation.
+ * @param {number} annotationId The id of the annotation to update.
+ * @param {Object} annotation The values of the annotation to update.
+ * If it contains a revision, the update is only carried out if it
+ * doesn't conflict with changes made after that revision.
+ * @returns {Promise<Object>} Promise of the annotation after the update.
+ */
+function updateAnnotation(id, image, name, annotationId, annotation) {
+    let updated;
+    return Promise.resolve().then(() => {
+        return modifyAnnotations(id, image, name, existing => {
+            updated = findAnnotation(existing, annotationId);
+            return [{
+                type: "annotationAction",
+                actionType: "update",
+                id: annotationId,
+                revision: annotation && annotation.revision,
+                annotation: prepareAnnotationUpdate(annotation, annotationId)
+            }];
+        });
+    }).then(actions => {
+        if (actions.length === 0) {
+            throw new ApiError(409, `Annotation ${annotationId} has been changed since revision ${annotation.revision}.`);
+        }
+        return updated;
     });
 }
 
-module.exports = function(autosaveDir, metadataJsonDir) {
-    autosave = require("./autosave")(autosaveDir);
+/**
+ * Remove an annotation from a collaboration.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @param {string} name The name of whoever is removing the annotation.
+ * @param {number} annotationId The id of the annotation to remove.
+ * @returns {Promise} Promise that resolves once the annotation is removed.
+ */
+function removeAnnotation(id, image, name, annotationId) {
+    return Promise.resolve().then(() => {
+        return modifyAnnotations(id, image, name, existing => {
+            findAnnotation(existing, annotationId);
+            return [{
+                type: "annotationAction",
+                actionType: "remove",
+                id: annotationId
+            }];
+        });
+    });
+}
+
+/**
+ * Remove all annotations from a collaboration.
+ * @param {string} id The id of the collab.
+ * @param {string} image The name of the image, only used when the
+ * collab isn't loaded.
+ * @param {string} name The name of whoever is clearing the annotations.
+ * @returns {Promise} Promise that resolves once the annotations are removed.
+ */
+function clearAnnotations(id, image, name) {
+    return Promise.resolve().then(() => {
+        return modifyAnnotations(id, image, name, () => [{
+            type: "annotationAction",
+            actionType: "clear"
+        }]);
+    });
+}
+
+module.exports = function(autosaveDir, metadataJsonDir, accessControl, storageBackend) {
+    autosave = require("./autosave")(autosaveDir, storageBackend);
     metadata = require("./metadata")(metadataJsonDir);
+    access = accessControl;
     return {
         getId,
         joinCollab,
         leaveCollab,
         handleMessage,
-        getAvailable
+        getAvailable,
+        searchCollabs,
+        getAnnotations,
+        getAnnotation,
+        addAnnotations,
+        updateAnnotation,
+        removeAnnotation,
+        clearAnnotations,
+        getClassConfig,
+        validateNewAnnotation,
+        ApiError
     };
 }
+
+// Handling annotation actions doesn't depend on the modules initialized
+// in the export, so it can also be used without initializing them
+Object.assign(module.exports, {
+    applyAnnotationAction,
+    OperationLog,
+    DuplicateIndex
+});
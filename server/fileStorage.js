@@ -0,0 +1,212 @@
+/**
+ * @module fileStorage
+ * @desc Storage backend for the autosave module that keeps each saved
+ * collaboration as a JSON file in the file system. Automatically sets
+ * and gets filenames for saves based on the collaboration id and image,
+ * and stores them in the proper location, with the history of each file
+ * kept next to it. Could potentially also be used for general storage
+ * of objects with some other associated id and image.
+ */
+
+const fs = require("fs");
+const fsPromises = fs.promises;
+const sanitize = require("sanitize-filename");
+const historyTracker = require("./historyTracker");
+
+const idPattern = /(?<=_)[^_]*(?=\.json$)/;
+let autosaveDir;
+
+function getSubDirName(image) {
+    const sanitizedImage = sanitize(String(image));
+    return sanitizedImage;
+}
+
+function getFilename(id, image) {
+    const sanitizedId = sanitize(String(id));
+    const sanitizedImage = sanitize(String(image));
+    return `${sanitizedImage}_${sanitizedId}`;
+}
+
+/**
+ * Load data from the autosave file structure.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image being saved.
+ * @returns {Promise<Object>} Promise that resolves with the parsed data.
+ */
+function loadAnnotations(id, image) {
+    const subDir = getSubDirName(image);
+    const filename = getFilename(id, image);
+    const path = `${autosaveDir}/${subDir}/${filename}.json`;
+    return historyTracker.readLatestVersion(path);
+}
+
+/**
+ * Save data in the autosave file structure.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image being saved.
+ * @param {Object} data The data to be stored.
+ * @returns {Promise} Promise that resolves once the data is stored.
+ */
+function saveAnnotations(id, image, data) {
+    const subDir = getSubDirName(image);
+    const filename = getFilename(id, image);
+    const dir = `${autosaveDir}/${subDir}`;
+    const path = `${autosaveDir}/${subDir}/${filename}.json`;
+    return fsPromises.mkdir(dir, {recursive: true}).then(() => {
+        return historyTracker.writeWithHistory(path, data);
+    });
+}
+
+/**
+ * Get a list of ids for the collaborations that have been saved in the
+ * autosave directory for a given image.
+ * @param {string} image The name of the image.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the
+ * list of ids and their names.
+ */
+function getSavedCollabInfo(image) {
+    const subDir = getSubDirName(image);
+    const dir = `${autosaveDir}/${subDir}`;
+    return fsPromises.readdir(dir).then(files => {
+        files = files.filter(file =>
+            idPattern.test(file) && !historyTracker.isHistoryFilename(file)
+        );
+        // Check the files and get their names
+        const entries = files.map(file => {
+            const path = `${dir}/${file}`;
+            return fsPromises.readFile(path)
+                .then(JSON.parse)
+                .then(data => {
+                    const id = file.match(idPattern)[0];
+                    return {
+                        id: id,
+                        name: data.name ? data.name : id,
+                        author: data.author,
+                        createdOn: data.createdOn,
+                        updatedOn: data.updatedOn,
+                        nClasses: data.classConfig ? data.classConfig.length : 0, //0 = default (client side)
+                        nAnnotations: data.nAnnotations,
+                        nComments: data.nComments
+                    };
+                });
+            });
+        return Promise.all(entries);
+    }).catch(err => {
+        if (err.code === "ENOENT") {
+            return [];
+        }
+        else {
+            throw err;
+        }
+    });
+}
+
+/**
+ * Get information about all collaborations that have been saved in the
+ * autosave directory, regardless of which image they were saved for.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the
+ * list of collaborations, including the image of each of them.
+ */
+function getAllSavedCollabInfo() {
+    return fsPromises.readdir(autosaveDir, {withFileTypes: true}).then(entries => {
+        const images = entries.filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+        return Promise.all(images.map(image =>
+            getSavedCollabInfo(image).then(collabs =>
+                collabs.map(collab => Object.assign(collab, {image: image}))
+            )
+        ));
+    }).then(collabsPerImage => collabsPerImage.flat());
+}
+
+/**
+ * Get the available versions that can be reverted to for a given collaboration.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @returns {Promise<Array<historyTracker.HistoryEntryInfo>>} Info for
+ * each previous version for the given collaboration.
+ */
+function getAvailableVersions(id, image) {
+    const subDir = getSubDirName(image);
+    const filename = getFilename(id, image);
+    const path = `${autosaveDir}/${subDir}/${filename}.json`;
+    return historyTracker.getAvailableVersions(path);
+}
+
+/**
+ * Load the data of a previous autosave without reverting to it.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} versionId The id of the version to load.
+ * @returns {Promise<Object>} A promise that resolves with the data
+ * as it was in the specified version.
+ */
+function loadVersion(id, image, versionId) {
+    const subDir = getSubDirName(image);
+    const filename = getFilename(id, image);
+    const path = `${autosaveDir}/${subDir}/${filename}.json`;
+    return historyTracker.readOlderVersion(path, versionId);
+}
+
+/**
+ * Revert the collaboration to a previous autosave.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} versionId The id of the version to revert to.
+ * @returns {Promise<>} A promise that resolves once the file has
+ * been reverted to the specified version.
+ */
+function revertAnnotations(id, image, versionId) {
+    const subDir = getSubDirName(image);
+    const filename = getFilename(id, image);
+    const path = `${autosaveDir}/${subDir}/${filename}.json`;
+    return historyTracker.revertVersion(path, versionId);
+}
+
+/**
+ * Set or remove the tag of a previous autosave.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} versionId The id of the version to tag.
+ * @param {historyTracker.VersionTag} tag The new tag, or null to
+ * remove it.
+ * @returns {Promise<>} A promise that resolves once the tag is stored.
+ */
+function tagVersion(id, image, versionId, tag) {
+    const subDir = getSubDirName(image);
+    const filename = getFilename(id, image);
+    const path = `${autosaveDir}/${subDir}/${filename}.json`;
+    return historyTracker.tagVersion(path, versionId, tag);
+}
+
+/**
+ * Get the differences in annotations between two autosaves.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} fromId The id of the older version.
+ * @param {number} toId The id of the newer version.
+ * @returns {Promise<historyTracker.VersionDiff>} A promise that
+ * resolves with the differences between the versions.
+ */
+function getVersionDiff(id, image, fromId, toId) {
+    const subDir = getSubDirName(image);
+    const filename = getFilename(id, image);
+    const path = `${autosaveDir}/${subDir}/${filename}.json`;
+    return historyTracker.getVersionDiff(path, fromId, toId);
+}
+
+module.exports = function(dir) {
+    autosaveDir = dir;
+    fs.mkdirSync(autosaveDir, {recursive: true});
+    return {
+        loadAnnotations: loadAnnotations,
+        saveAnnotations: saveAnnotations,
+        getSavedCollabInfo: getSavedCollabInfo,
+        getAllSavedCollabInfo: getAllSavedCollabInfo,
+        getAvailableVersions: getAvailableVersions,
+        loadVersion: loadVersion,
+        revertAnnotations: revertAnnotations,
+        tagVersion: tagVersion,
+        getVersionDiff: getVersionDiff
+    };
+}
@@ -3,7 +3,16 @@ const fsPromises = fs.promises;
 const path = require("path");
 const jsondiffpatch = require('jsondiffpatch'); // Much faster than 'diff'
 
-const maxHistoryEntries = 50; // Set as negative to remove limit
+const maxHistoryEntries = 50; // Untagged entries only, set as negative to remove limit
+
+// Differ that matches annotations by their ids rather than their positions
+const annotationDiffer = jsondiffpatch.create({
+    objectHash: (obj, index) => obj.id !== undefined ? String(obj.id) : `$$index:${index}`
+});
+
+// Ongoing writes for each path, so that writes to the same file are done one at a time
+const ongoingWrites = {};
+let nextTempId = 0;
 
 
 /**
@@ -13,6 +22,17 @@ const maxHistoryEntries = 50; // Set as negative to remove limit
  * @property {string} time The time at which the change was made.
  * @property {string} patch A patch from the jsondiffpatch module that 
  * can be used to revert the history step.
+ * @property {VersionTag} [tag] The tag of the entry, if it has been
+ * tagged. Tagged entries are never pruned from the history.
+ */
+
+/**
+ * A name and note given to a version by a user.
+ * @typedef {Object} VersionTag
+ * @property {string} name The name of the version.
+ * @property {string} note A longer description of the version.
+ * @property {string} author The name of whoever tagged the version.
+ * @property {string} time The time at which the version was tagged.
  */
 
 /**
@@ -22,6 +42,20 @@ const maxHistoryEntries = 50; // Set as negative to remove limit
  * @property {number} id Number used to specify the history entry.
  * @property {string} time The time at which the change was made.
  * @property {number} nAnnotations Number of annotations (reached after a revert).
+ * @property {VersionTag} [tag] The tag of the entry, if any.
+ */
+
+/**
+ * Summary of the differences in annotations between two versions.
+ * @typedef {Object} VersionDiff
+ * @property {Array<Object>} added The id and class of each annotation
+ * only found in the newer version.
+ * @property {Array<Object>} removed The id and class of each annotation
+ * only found in the older version.
+ * @property {Array<Object>} reclassified The id of each annotation whose
+ * class has changed, along with the classes it changed from and to.
+ * @property {Array<Object>} changed The id and class of each annotation
+ * that has been changed in some other way, along with the changed fields.
  */
 
 /**
@@ -45,12 +79,20 @@ function getExistingHistory(historyPath) {
         .then(JSON.parse);
 }
 
-function beginNewHistory() {
-    return Promise.resolve({
+/**
+ * Create an empty history.
+ * @returns {History} The new history.
+ */
+function createHistory() {
+    return {
         version: "1.1",
         nextId: 0,
         history: []
-    });
+    };
+}
+
+function beginNewHistory() {
+    return Promise.resolve(createHistory());
 }
 
 function getHistory(historyPath) {
@@ -59,12 +101,19 @@ function getHistory(historyPath) {
         .catch(() => beginNewHistory());
 }
 
+/**
+ * Get the information about each entry in a history that can be shown
+ * to a user.
+ * @param {History} history The history.
+ * @returns {Array<HistoryEntryInfo>} Info for each entry.
+ */
 function getHistoryInfo(history) {
     return history.history.map(entry => {
         return {
             id: entry.id,
             time: entry.time,
-            nAnnotations: entry.nAnnotations
+            nAnnotations: entry.nAnnotations,
+            tag: entry.tag
         };
     });
 }
@@ -84,7 +133,11 @@ function assert(condition, message="Assertion failed") {
  * @return {Object} updated history or null if no change
  */
 function extendHistory(history, newData, oldData) {
-    if (oldData) { //If we have oldData, that means we have existing history
+    if (oldData && history.history.length === 0) {
+        // The process was likely stopped between writing the file and its history
+        console.warn("Found a file without history, starting a new history for it.");
+    }
+    else if (oldData) { //If we have oldData, that means we have existing history
         assert(history.history.length>0,"Corrupt history file");
 
         const delta = jsondiffpatch.diff(newData, oldData); // Several orders of magnitude faster than 'diff.createPatch'
@@ -110,13 +163,159 @@ function extendHistory(history, newData, oldData) {
     };
     history.history.push(newHistoryEntry);  
    
-    if (maxHistoryEntries >= 0 && history.history.length > maxHistoryEntries) {
-        history.history = history.history.slice(history.history.length - maxHistoryEntries);
+    pruneHistory(history, newData);
+
+    return history;
+}
+
+/**
+ * Remove the oldest untagged entries from a history until it has at
+ * most maxHistoryEntries of them. If there are tagged entries before a
+ * removed entry, the patch of the entry before it is replaced by one
+ * that reverts both steps, so that the tagged versions can still be
+ * reached.
+ * @param {History} history The history, modified in place.
+ * @param {Object} data The data of the latest entry in the history.
+ */
+function pruneHistory(history, data) {
+    if (maxHistoryEntries < 0) {
+        return;
     }
+    const entries = history.history;
+    let nUntagged = entries.filter(entry => !entry.tag).length;
+    while (nUntagged > maxHistoryEntries) {
+        const index = entries.findIndex(entry => !entry.tag);
+        if (index === entries.length - 1) {
+            break; // The latest entry is always kept
+        }
+        if (index > 0) {
+            const newerData = getOlderVersionOfData(
+                JSON.parse(JSON.stringify(data)), history, entries[index + 1].id
+            );
+            const olderData = JSON.parse(JSON.stringify(newerData));
+            applyPatch(olderData, entries[index].patch);
+            applyPatch(olderData, entries[index - 1].patch);
+            const delta = jsondiffpatch.diff(newerData, olderData);
+            entries[index - 1].patch = delta === undefined ? "{}" : JSON.stringify(delta);
+        }
+        entries.splice(index, 1);
+        nUntagged--;
+    }
+}
 
+/**
+ * Set or remove the tag of an entry in a history.
+ * @param {History} history The history, modified in place.
+ * @param {number} versionId The id of the entry to tag.
+ * @param {VersionTag} tag The new tag, or null to remove it.
+ * @returns {History} The updated history.
+ */
+function tagHistoryEntry(history, versionId, tag) {
+    const entry = history.history.find(entry => entry.id === versionId);
+    if (!entry) {
+        throw new Error("Tried to tag a nonexistent history entry");
+    }
+    if (tag) {
+        entry.tag = tag;
+    }
+    else {
+        delete entry.tag;
+    }
     return history;
 }
 
+function describeAnnotation(annotation) {
+    return {
+        id: annotation.id,
+        mclass: annotation.mclass
+    };
+}
+
+/**
+ * Find the differences in annotations between two versions of the
+ * data of a collaboration. The annotations are diffed by their ids with
+ * jsondiffpatch, and the resulting delta is summarized.
+ * @param {Object} oldData The older version of the data.
+ * @param {Object} newData The newer version of the data.
+ * @returns {VersionDiff} The differences between the versions.
+ */
+function diffVersions(oldData, newData) {
+    const oldAnnotations = (oldData && oldData.annotations) || [];
+    const newAnnotations = (newData && newData.annotations) || [];
+    const delta = annotationDiffer.diff(oldAnnotations, newAnnotations) || {};
+    const diff = {added: [], removed: [], reclassified: [], changed: []};
+    Object.entries(delta).forEach(([key, change]) => {
+        if (key === "_t") {
+            return;
+        }
+        if (key.startsWith("_")) {
+            // Removed or moved from the old array, moves are ignored
+            if (change[2] === 0) {
+                diff.removed.push(describeAnnotation(change[0]));
+            }
+        }
+        else if (Array.isArray(change)) {
+            // Inserted into the new array
+            diff.added.push(describeAnnotation(change[0]));
+        }
+        else {
+            const annotation = newAnnotations[Number(key)];
+            const fields = Object.keys(change).filter(field => field !== "revision");
+            if (fields.includes("mclass")) {
+                const oldAnnotation = oldAnnotations.find(old => old.id === annotation.id);
+                diff.reclassified.push({
+                    id: annotation.id,
+                    from: oldAnnotation && oldAnnotation.mclass,
+                    to: annotation.mclass
+                });
+            }
+            else if (fields.length > 0) {
+                diff.changed.push(Object.assign(describeAnnotation(annotation), {
+                    fields: fields
+                }));
+            }
+        }
+    });
+    return diff;
+}
+
+/**
+ * Write a file by first writing to a temporary file and then renaming
+ * it, so that the file is never left half-written if the process
+ * is stopped during the write.
+ * @param {string} path The path to the file.
+ * @param {string} content The content to write.
+ * @returns {Promise} Promise that resolves once the file is written.
+ */
+function writeAtomically(path, content) {
+    const tempPath = `${path}.${process.pid}.${nextTempId++}.tmp`;
+    return fsPromises.writeFile(tempPath, content)
+        .then(() => fsPromises.rename(tempPath, path))
+        .catch(err => {
+            return fsPromises.unlink(tempPath)
+                .catch(() => {}) // The temporary file may never have been created
+                .then(() => { throw err; });
+        });
+}
+
+/**
+ * Run a function once all earlier writes queued for a path are done.
+ * @param {string} path The path being written to.
+ * @param {Function} write Function that performs the write and
+ * returns a promise.
+ * @returns {Promise} Promise that resolves with the result of the write.
+ */
+function queueWrite(path, write) {
+    const previous = ongoingWrites[path] || Promise.resolve();
+    const current = previous.catch(() => {}).then(write);
+    const queued = ongoingWrites[path] = current.catch(() => {}).then(() => {
+        if (ongoingWrites[path] === queued) {
+            delete ongoingWrites[path];
+        }
+    });
+    return current;
+}
+
 // For enumerables: objects, arrays, strings
 // https://stackoverflow.com/questions/679915/how-do-i-test-for-an-empty-javascript-object
 function isEmpty(obj) { for (const i in obj) return false; return true; }
@@ -134,40 +333,45 @@ function getOlderVersionOfData(data, history, versionId) {
         throw new Error("Tried to revert to a nonexistent history entry");
     }
     const entries = history.history.slice(lastEntryIndex).reverse();
-    entries.forEach(entry => {
-        let patch=JSON.parse(entry.patch);
-        if (!isEmpty(patch)) { // patch does not handle '{}' (but uses undefined, which cannot be serialized)
-            jsondiffpatch.patch(data, patch);
-        }
-    });
+    entries.forEach(entry => applyPatch(data, entry.patch));
     return data;
 }
 
+function applyPatch(data, serializedPatch) {
+    const patch = JSON.parse(serializedPatch);
+    if (!isEmpty(patch)) { // patch does not handle '{}' (but uses undefined, which cannot be serialized)
+        jsondiffpatch.patch(data, patch);
+    }
+}
+
 /**
  * Write data to a given path and add a new entry to the history of
- * the file that can be reverted at a later time.
+ * the file that can be reverted at a later time. Both files are written
+ * atomically, and writes to the same path are done one at a time. The
+ * main file is written before the history, so that a failed write
+ * never leaves a history entry for data that was not stored.
  * @param {string} path The path to the file.
  * @param {Object} data The data to be stored.
- * corresponding to the file should be marked as the file being reverted.
+ * @returns {Promise} Promise that resolves once both files are written.
  * 
  * Design choice: Possibly we should Canonicalize the saved data (for stable checksumming, diffing etc.)
  *  Currently we stick to the order given by the implementation.
  */
 function writeWithHistory(path, data) {
     const historyPath = getHistoryPath(path);
-    return Promise.all([getHistory(historyPath),readLatestVersion(path)])
-        .then(([history, oldData]) => extendHistory(history, data, oldData))
-        .then(historyData => {
-            if (!historyData) {
-                return Promise.resolve(); // No update
-            }
-            else {
-                return Promise.allSettled([
-                    fsPromises.writeFile(historyPath, JSON.stringify(historyData)),
-                    fsPromises.writeFile(path, JSON.stringify(data, null, 1)) // Write the main file
-                ]);
-            }
-        });
+    return queueWrite(path, () => {
+        return Promise.all([getHistory(historyPath),readLatestVersion(path)])
+            .then(([history, oldData]) => extendHistory(history, data, oldData))
+            .then(historyData => {
+                if (!historyData) {
+                    return Promise.resolve(); // No update
+                }
+                else {
+                    return writeAtomically(path, JSON.stringify(data, null, 1)) // Write the main file
+                        .then(() => writeAtomically(historyPath, JSON.stringify(historyData)));
+                }
+            });
+    });
 }
 
 /**
@@ -208,6 +412,35 @@ function revertVersion(path, versionId) {
         .then(data => writeWithHistory(path, data));
 }
 
+/**
+ * Set or remove the tag of a version of a file.
+ * @param {string} path The path to the file.
+ * @param {number} versionId The id of the version to tag.
+ * @param {VersionTag} tag The new tag, or null to remove it.
+ * @returns {Promise} Promise that resolves once the history is written.
+ */
+function tagVersion(path, versionId, tag) {
+    const historyPath = getHistoryPath(path);
+    return queueWrite(path, () => {
+        return getHistory(historyPath)
+            .then(history => tagHistoryEntry(history, versionId, tag))
+            .then(history => writeAtomically(historyPath, JSON.stringify(history)));
+    });
+}
+
+/**
+ * Find the differences in annotations between two versions of a file.
+ * @param {string} path The path to the file.
+ * @param {number} fromId The id of the older version.
+ * @param {number} toId The id of the newer version.
+ * @returns {Promise<VersionDiff>} Promise that resolves with the
+ * differences between the versions.
+ */
+function getVersionDiff(path, fromId, toId) {
+    return Promise.all([readOlderVersion(path, fromId), readOlderVersion(path, toId)])
+        .then(([oldData, newData]) => diffVersions(oldData, newData));
+}
+
 /**
  * Get an array of all previous versions for a file at a given path.
  * @param {string} path The path to the file.
@@ -230,9 +463,18 @@ function isHistoryFilename(path) {
 }
 
 module.exports = {
+    createHistory,
+    extendHistory,
+    getOlderVersionOfData,
+    getHistoryInfo,
+    tagHistoryEntry,
+    diffVersions,
     writeWithHistory,
     readLatestVersion,
+    readOlderVersion,
     revertVersion,
+    tagVersion,
+    getVersionDiff,
     getAvailableVersions,
     isHistoryFilename
 };
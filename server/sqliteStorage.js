@@ -0,0 +1,332 @@
+/**
+ * @module sqliteStorage
+ * @desc Storage backend for the autosave module that keeps all saved
+ * collaborations in a single SQLite database. The information shown
+ * when picking a collaboration is stored in separate indexed columns,
+ * so that listing the collaborations of an image doesn't require
+ * parsing their annotations. Collaborations stored by the fileStorage
+ * backend can be imported by running this module directly.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const sanitize = require("sanitize-filename");
+const historyTracker = require("./historyTracker");
+
+const databaseFilename = "collabs.sqlite";
+const idPattern = /(?<=_)[^_]*(?=\.json$)/;
+
+// Database and prepared statements initialized in export
+let db, statements;
+
+function openDatabase(file) {
+    const Database = require("better-sqlite3");
+    const database = new Database(file);
+    database.pragma("journal_mode = WAL");
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS collabs (
+            image TEXT NOT NULL,
+            id TEXT NOT NULL,
+            name TEXT,
+            author TEXT,
+            createdOn TEXT,
+            updatedOn TEXT,
+            nClasses INTEGER NOT NULL DEFAULT 0,
+            nAnnotations INTEGER NOT NULL DEFAULT 0,
+            nComments INTEGER NOT NULL DEFAULT 0,
+            data TEXT NOT NULL,
+            history TEXT NOT NULL,
+            PRIMARY KEY (image, id)
+        )
+    `);
+    return database;
+}
+
+function prepareStatements() {
+    const columns = "image, id, name, author, createdOn, updatedOn, nClasses, nAnnotations, nComments, data, history";
+    const values = "@image, @id, @name, @author, @createdOn, @updatedOn, @nClasses, @nAnnotations, @nComments, @data, @history";
+    return {
+        get: db.prepare("SELECT data, history FROM collabs WHERE image = ? AND id = ?"),
+        getData: db.prepare("SELECT data FROM collabs WHERE image = ? AND id = ?"),
+        getHistory: db.prepare("SELECT history FROM collabs WHERE image = ? AND id = ?"),
+        getInfo: db.prepare(`SELECT id, name, author, createdOn, updatedOn, nClasses, nAnnotations, nComments
+            FROM collabs WHERE image = ?`),
+        getAllInfo: db.prepare(`SELECT image, id, name, author, createdOn, updatedOn, nClasses, nAnnotations, nComments
+            FROM collabs`),
+        setHistory: db.prepare("UPDATE collabs SET history = ? WHERE image = ? AND id = ?"),
+        replace: db.prepare(`INSERT OR REPLACE INTO collabs (${columns}) VALUES (${values})`),
+        insert: db.prepare(`INSERT OR IGNORE INTO collabs (${columns}) VALUES (${values})`)
+    };
+}
+
+function getRow(image, id, data, history) {
+    return {
+        image: image,
+        id: id,
+        name: data.name || id,
+        author: data.author,
+        createdOn: data.createdOn,
+        updatedOn: data.updatedOn,
+        nClasses: data.classConfig ? data.classConfig.length : 0, //0 = default (client side)
+        nAnnotations: data.nAnnotations || 0,
+        nComments: data.nComments || 0,
+        data: JSON.stringify(data),
+        history: JSON.stringify(history)
+    };
+}
+
+function writeWithHistory(image, id, data) {
+    const stored = statements.get.get(image, id);
+    const oldData = stored && JSON.parse(stored.data);
+    const history = stored ? JSON.parse(stored.history) : historyTracker.createHistory();
+    const historyData = historyTracker.extendHistory(history, data, oldData);
+    if (historyData) {
+        statements.replace.run(getRow(image, id, data, historyData));
+    }
+}
+
+/**
+ * Load the saved data of a collaboration.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image being saved.
+ * @returns {Promise<Object>} Promise that resolves with the parsed data,
+ * or undefined if nothing has been saved.
+ */
+function loadAnnotations(id, image) {
+    return Promise.resolve().then(() => {
+        const stored = statements.getData.get(sanitize(String(image)), String(id));
+        return stored && JSON.parse(stored.data);
+    });
+}
+
+/**
+ * Save the data of a collaboration and add a new entry to its history.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image being saved.
+ * @param {Object} data The data to be stored.
+ * @returns {Promise} Promise that resolves once the data is stored.
+ */
+function saveAnnotations(id, image, data) {
+    return Promise.resolve().then(() => {
+        const save = db.transaction(() => {
+            writeWithHistory(sanitize(String(image)), String(id), data);
+        });
+        save.immediate();
+    });
+}
+
+/**
+ * Get information about the collaborations that have been saved for
+ * a given image.
+ * @param {string} image The name of the image.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the
+ * list of ids and their names.
+ */
+function getSavedCollabInfo(image) {
+    return Promise.resolve().then(() => {
+        return statements.getInfo.all(sanitize(String(image)));
+    });
+}
+
+/**
+ * Get information about all saved collaborations, regardless of which
+ * image they were saved for.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the
+ * list of collaborations, including the image of each of them.
+ */
+function getAllSavedCollabInfo() {
+    return Promise.resolve().then(() => statements.getAllInfo.all());
+}
+
+/**
+ * Get the available versions that can be reverted to for a given collaboration.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @returns {Promise<Array<historyTracker.HistoryEntryInfo>>} Info for
+ * each previous version for the given collaboration.
+ */
+function getAvailableVersions(id, image) {
+    return Promise.resolve().then(() => {
+        const stored = statements.getHistory.get(sanitize(String(image)), String(id));
+        const history = stored ? JSON.parse(stored.history) : historyTracker.createHistory();
+        return historyTracker.getHistoryInfo(history);
+    });
+}
+
+function readVersion(stored, versionId) {
+    return historyTracker.getOlderVersionOfData(
+        JSON.parse(stored.data), JSON.parse(stored.history), versionId
+    );
+}
+
+/**
+ * Load the data of a previous version of a collaboration without
+ * reverting to it.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} versionId The id of the version to load.
+ * @returns {Promise<Object>} A promise that resolves with the data
+ * as it was in the specified version.
+ */
+function loadVersion(id, image, versionId) {
+    return Promise.resolve().then(() => {
+        const stored = statements.get.get(sanitize(String(image)), String(id));
+        if (!stored) {
+            throw new Error("Tried to load a version of a collaboration that hasn't been saved");
+        }
+        return readVersion(stored, versionId);
+    });
+}
+
+/**
+ * Revert the collaboration to a previous version.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} versionId The id of the version to revert to.
+ * @returns {Promise<>} A promise that resolves once the collaboration
+ * has been reverted to the specified version.
+ */
+function revertAnnotations(id, image, versionId) {
+    return Promise.resolve().then(() => {
+        const revert = db.transaction(() => {
+            const cleanImage = sanitize(String(image));
+            const stored = statements.get.get(cleanImage, String(id));
+            if (!stored) {
+                throw new Error("Tried to revert a collaboration that hasn't been saved");
+            }
+            const data = readVersion(stored, versionId);
+            writeWithHistory(cleanImage, String(id), data);
+        });
+        revert.immediate();
+    });
+}
+
+/**
+ * Set or remove the tag of a previous version of a collaboration.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} versionId The id of the version to tag.
+ * @param {historyTracker.VersionTag} tag The new tag, or null to
+ * remove it.
+ * @returns {Promise<>} A promise that resolves once the tag is stored.
+ */
+function tagVersion(id, image, versionId, tag) {
+    return Promise.resolve().then(() => {
+        const tagEntry = db.transaction(() => {
+            const cleanImage = sanitize(String(image));
+            const stored = statements.getHistory.get(cleanImage, String(id));
+            const history = stored ? JSON.parse(stored.history) : historyTracker.createHistory();
+            historyTracker.tagHistoryEntry(history, versionId, tag);
+            statements.setHistory.run(JSON.stringify(history), cleanImage, String(id));
+        });
+        tagEntry.immediate();
+    });
+}
+
+/**
+ * Get the differences in annotations between two versions of a
+ * collaboration.
+ * @param {string} id The id of the collaboration.
+ * @param {string} image The name of the image.
+ * @param {number} fromId The id of the older version.
+ * @param {number} toId The id of the newer version.
+ * @returns {Promise<historyTracker.VersionDiff>} A promise that
+ * resolves with the differences between the versions.
+ */
+function getVersionDiff(id, image, fromId, toId) {
+    return Promise.resolve().then(() => {
+        const stored = statements.get.get(sanitize(String(image)), String(id));
+        if (!stored) {
+            throw new Error("Tried to diff a collaboration that hasn't been saved");
+        }
+        const oldData = readVersion(stored, fromId);
+        const newData = readVersion(stored, toId);
+        return historyTracker.diffVersions(oldData, newData);
+    });
+}
+
+/**
+ * Import the collaborations that have been stored as JSON files by
+ * the fileStorage backend. Collaborations that already exist in the
+ * database are left as they are.
+ * @param {string} sourceDir The directory the JSON files are stored in.
+ * @returns {Object} The number of imported and skipped collaborations.
+ */
+function importFiles(sourceDir) {
+    const counts = {imported: 0, skipped: 0};
+    const images = fs.readdirSync(sourceDir, {withFileTypes: true})
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+    const importImage = db.transaction(image => {
+        const dir = path.join(sourceDir, image);
+        const files = fs.readdirSync(dir).filter(file =>
+            idPattern.test(file) && !historyTracker.isHistoryFilename(file)
+        );
+        files.forEach(file => {
+            const id = file.match(idPattern)[0];
+            let data, history;
+            try {
+                data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+            }
+            catch (err) {
+                console.warn(`Skipping ${file}: ${err.message}`);
+                counts.skipped++;
+                return;
+            }
+            try {
+                history = JSON.parse(fs.readFileSync(path.join(dir, `__HISTORY__${file}`), "utf8"));
+            }
+            catch (err) {
+                history = historyTracker.extendHistory(historyTracker.createHistory(), data);
+            }
+            const result = statements.insert.run(getRow(image, id, data, history));
+            if (result.changes > 0) {
+                counts.imported++;
+            }
+            else {
+                counts.skipped++;
+            }
+        });
+    });
+    images.forEach(image => importImage(image));
+    return counts;
+}
+
+function initialize(dir) {
+    fs.mkdirSync(dir, {recursive: true});
+    db = openDatabase(path.join(dir, databaseFilename));
+    statements = prepareStatements();
+}
+
+function main() {
+    const argv = require("minimist")(process.argv.slice(2), {string: ["_"]});
+    const [dir, command, sourceDir] = argv._;
+    const usage = "Usage: node sqliteStorage.js collab-storage-dir import [json-storage-dir = collab-storage-dir]";
+    if (argv.h || argv.help || !dir || command !== "import") {
+        console.info(usage);
+        return;
+    }
+    initialize(dir);
+    const counts = importFiles(sourceDir || dir);
+    console.info(`Imported ${counts.imported} collaborations, skipped ${counts.skipped}.`);
+    db.close();
+}
+
+module.exports = function(dir) {
+    initialize(dir);
+    return {
+        loadAnnotations: loadAnnotations,
+        saveAnnotations: saveAnnotations,
+        getSavedCollabInfo: getSavedCollabInfo,
+        getAllSavedCollabInfo: getAllSavedCollabInfo,
+        getAvailableVersions: getAvailableVersions,
+        loadVersion: loadVersion,
+        revertAnnotations: revertAnnotations,
+        tagVersion: tagVersion,
+        getVersionDiff: getVersionDiff
+    };
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,158 @@
+/**
+ * @module users
+ * @desc Local user backend that keeps the accounts that can log in to
+ * the server in a JSON file. Passwords are stored as salted scrypt
+ * hashes. Other backends can be used for authentication instead, as
+ * long as they provide the same verifyPassword function. The file can
+ * be managed from the command line by running this module directly.
+ */
+
+const fs = require("fs");
+const fsPromises = fs.promises;
+const crypto = require("crypto");
+
+const keyLength = 64;
+let userFile;
+
+function readUsers() {
+    return fsPromises.readFile(userFile, "utf8")
+        .then(JSON.parse)
+        .catch(err => {
+            if (err.code === "ENOENT") {
+                return {version: "1.0", users: {}};
+            }
+            else {
+                throw err;
+            }
+        })
+        .then(data => {
+            // Without a prototype, names such as __proto__ can't refer to anything but users
+            data.users = Object.assign(Object.create(null), data.users);
+            return data;
+        });
+}
+
+function writeUsers(data) {
+    return fsPromises.writeFile(userFile, JSON.stringify(data, null, 1));
+}
+
+function hashPassword(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(String(password), salt, keyLength, (err, key) => {
+            if (err) {
+                reject(err);
+            }
+            else {
+                resolve(key.toString("hex"));
+            }
+        });
+    });
+}
+
+/**
+ * Check whether or not a password is correct for a given user.
+ * @param {string} username The name of the user.
+ * @param {string} password The password to check.
+ * @returns {Promise<boolean>} Promise that resolves with whether or
+ * not the user exists and has the given password.
+ */
+function verifyPassword(username, password) {
+    return readUsers().then(data => {
+        const user = data.users[username];
+        if (!user) {
+            return false;
+        }
+        return hashPassword(password, user.salt).then(hash =>
+            crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex"))
+        );
+    });
+}
+
+/**
+ * Add a new user or change the password of an existing one.
+ * @param {string} username The name of the user.
+ * @param {string} password The password of the user.
+ * @returns {Promise} Promise that resolves once the user is stored.
+ */
+function setUser(username, password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    return Promise.all([readUsers(), hashPassword(password, salt)])
+        .then(([data, hash]) => {
+            data.users[username] = {salt: salt, hash: hash};
+            return writeUsers(data);
+        });
+}
+
+/**
+ * Remove a user so that they can no longer log in.
+ * @param {string} username The name of the user.
+ * @returns {Promise<boolean>} Promise that resolves with whether or
+ * not the user existed.
+ */
+function removeUser(username) {
+    return readUsers().then(data => {
+        if (!data.users[username]) {
+            return false;
+        }
+        delete data.users[username];
+        return writeUsers(data).then(() => true);
+    });
+}
+
+/**
+ * Get the names of all users in the user file.
+ * @returns {Promise<Array<string>>} Promise of the user names.
+ */
+function listUsers() {
+    return readUsers().then(data => Object.keys(data.users));
+}
+
+function main() {
+    const argv = require("minimist")(process.argv.slice(2), {string: ["_"]});
+    const [file, command, username, password] = argv._;
+    const usage = "Usage: node users.js user-file set username password\n" +
+        "       node users.js user-file remove username\n" +
+        "       node users.js user-file list";
+    if (argv.h || argv.help || !file) {
+        console.info(usage);
+        return;
+    }
+    userFile = file;
+    switch (command) {
+        case "set":
+            if (!username || !password) {
+                console.info(usage);
+                return;
+            }
+            setUser(username, password).then(() => console.info(`Stored user ${username}.`));
+            break;
+        case "remove":
+            if (!username) {
+                console.info(usage);
+                return;
+            }
+            removeUser(username).then(existed => {
+                console.info(existed ? `Removed user ${username}.` : `No user named ${username} exists.`);
+            });
+            break;
+        case "list":
+            listUsers().then(users => users.forEach(user => console.info(user)));
+            break;
+        default:
+            console.info(usage);
+    }
+}
+
+module.exports = function(file) {
+    userFile = file;
+    return {
+        verifyPassword: verifyPassword,
+        setUser: setUser,
+        removeUser: removeUser,
+        listUsers: listUsers
+    };
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,19 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+test("Names of Object members can be used for users and collaborations", t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "access-test-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const accessControl = require("../server/accessControl")(dir, true);
+    assert.equal(accessControl.isClaimed("constructor"), false);
+    assert.equal(accessControl.getRole("constructor", "owner"), null);
+    assert.equal(accessControl.claimRole("collab", "owner"), "owner");
+    assert.equal(accessControl.setDefaultRole("collab", "viewer"), true);
+    assert.equal(accessControl.getRole("collab", "constructor"), "viewer");
+    assert.equal(accessControl.setRole("collab", "__proto__", "editor"), true);
+    assert.equal(accessControl.getRole("collab", "__proto__"), "editor");
+    assert.equal(accessControl.getAccessInfo("collab").roles["__proto__"], "editor");
+});
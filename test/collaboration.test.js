@@ -0,0 +1,174 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {applyAnnotationAction, OperationLog, DuplicateIndex} = require("../server/collaboration");
+
+function createAnnotation(id, x, values) {
+    return Object.assign({id: id, z: 0, mclass: "A", points: [{x: x, y: 0}]}, values);
+}
+
+test("OperationLog gives previous values since a revision", () => {
+    const opLog = new OperationLog();
+    opLog.append("add", 1, 0, {});
+    opLog.append("update", 1, 1, {mclass: "A"});
+    opLog.append("update", 1, 2, {mclass: "B", z: 0});
+    assert.deepEqual(opLog.getPreviousValues(1, 0, 2), {mclass: "A", z: 0});
+    assert.deepEqual(opLog.getPreviousValues(1, 1, 2), {mclass: "B", z: 0});
+    assert.equal(opLog.seq, 3);
+});
+
+test("OperationLog can't give values of forgotten operations", () => {
+    const opLog = new OperationLog();
+    opLog.append("update", 1, 1, {mclass: "A"});
+    opLog.append("update", 2, 1, {mclass: "A"});
+    opLog.forget([1]);
+    assert.equal(opLog.getPreviousValues(1, 0, 1), null);
+    assert.deepEqual(opLog.getPreviousValues(2, 0, 1), {mclass: "A"});
+    opLog.forget();
+    assert.equal(opLog.getPreviousValues(2, 0, 1), null);
+});
+
+test("DuplicateIndex compares the z level, class and all points", () => {
+    const hole = [{x: 1, y: 1}, {x: 2, y: 1}, {x: 1, y: 2}];
+    const index = new DuplicateIndex([createAnnotation(1, 0, {holes: [hole]})]);
+    assert.ok(index.hasDuplicate(createAnnotation(2, 0, {holes: [hole]})));
+    assert.ok(!index.hasDuplicate(createAnnotation(2, 0)));
+    assert.ok(!index.hasDuplicate(createAnnotation(2, 0, {holes: [hole], z: 1})));
+    assert.ok(!index.hasDuplicate(createAnnotation(2, 0, {holes: [hole], mclass: "B"})));
+    index.add(createAnnotation(3, 5));
+    assert.ok(index.hasDuplicate(createAnnotation(4, 5)));
+});
+
+test("Duplicates and malformed annotations are not added", () => {
+    const annotations = [createAnnotation(1, 0)];
+    const add = annotation => applyAnnotationAction(annotations, {actionType: "add", annotation: annotation});
+    assert.equal(add(createAnnotation(2, 0)), "ignored");
+    assert.equal(add(createAnnotation(2, 0, {points: "bad"})), "ignored");
+    assert.equal(add(createAnnotation(undefined, 1)), "ignored");
+    assert.equal(add(null), "ignored");
+    assert.equal(add(createAnnotation(2, 1)), "applied");
+    assert.equal(annotations.length, 2);
+    const update = {actionType: "update", id: 2, annotation: {points: "bad"}};
+    assert.equal(applyAnnotationAction(annotations, update), "rejected");
+});
+
+test("Stale updates are merged unless they conflict", () => {
+    const opLog = new OperationLog();
+    const annotations = [];
+    applyAnnotationAction(annotations, {actionType: "add", annotation: createAnnotation(1, 0)}, opLog);
+    const update = (revision, values) => applyAnnotationAction(annotations, {
+        actionType: "update", id: 1, revision: revision, annotation: values
+    }, opLog);
+    assert.equal(update(0, {mclass: "B"}), "applied");
+    assert.equal(update(0, {z: 1}), "merged");
+    assert.equal(update(0, {mclass: "C"}), "rejected");
+    assert.deepEqual(annotations[0], createAnnotation(1, 0, {mclass: "B", z: 1, revision: 2}));
+});
+
+test("Bulk actions are applied all or not at all", () => {
+    const annotations = [createAnnotation(1, 0)];
+    const bulk = actions => applyAnnotationAction(annotations, {actionType: "bulk", actions: actions});
+    assert.equal(bulk([
+        {actionType: "update", id: 1, annotation: {mclass: "B"}},
+        {actionType: "remove", id: 2}
+    ]), "rejected");
+    assert.equal(bulk([{actionType: "add", annotation: {id: 2}}]), "ignored");
+    assert.equal(annotations[0].mclass, "A");
+    assert.equal(bulk([
+        {actionType: "update", id: 1, annotation: {mclass: "B"}},
+        {actionType: "add", annotation: createAnnotation(2, 1)}
+    ]), "applied");
+    assert.equal(annotations.length, 2);
+    assert.equal(annotations[0].mclass, "B");
+});
+
+test("Replacements with malformed annotations are ignored", () => {
+    const annotations = [createAnnotation(1, 0)];
+    const replace = (ids, added) => applyAnnotationAction(annotations, {
+        actionType: "replace", ids: ids, annotations: added
+    });
+    assert.equal(replace(["1"], [createAnnotation(2, 1)]), "ignored");
+    assert.equal(replace([1], [createAnnotation(2, 1, {mclass: 1})]), "ignored");
+    assert.equal(replace([1], [createAnnotation(2, 1)]), "applied");
+    assert.deepEqual(annotations.map(annotation => annotation.id), [2]);
+});
+
+test("Each item in a batch gets its own result", () => {
+    const opLog = new OperationLog();
+    const annotations = [createAnnotation(1, 0)];
+    const batchAdd = {
+        actionType: "batchAdd",
+        annotations: [createAnnotation(2, 1), createAnnotation(3, 0), null, {id: 4}, createAnnotation(5, 1)]
+    };
+    assert.equal(applyAnnotationAction(annotations, batchAdd, opLog), "applied");
+    assert.deepEqual(batchAdd.results.map(item => item.result), ["applied", "ignored", "ignored", "ignored", "ignored"]);
+    assert.deepEqual(batchAdd.annotations.map(annotation => annotation.id), [2]);
+    assert.equal(batchAdd.firstSeq, 1);
+    assert.equal(batchAdd.seq, 1);
+
+    const batchUpdate = {
+        actionType: "batchUpdate",
+        updates: [{id: 1, annotation: {mclass: "B"}}, {id: 2, annotation: "bad"}, null, {id: 9, annotation: {}}]
+    };
+    assert.equal(applyAnnotationAction(annotations, batchUpdate, opLog), "applied");
+    assert.deepEqual(batchUpdate.results.map(item => item.result), ["applied", "rejected", "rejected", "rejected"]);
+    assert.equal(batchUpdate.results[1].annotation.id, 2);
+    assert.deepEqual(batchUpdate.updates.map(update => update.id), [1]);
+
+    const batchRemove = {actionType: "batchRemove", ids: [2, 2, 9]};
+    assert.equal(applyAnnotationAction(annotations, batchRemove, opLog), "applied");
+    assert.deepEqual(batchRemove.results.map(item => item.result), ["applied", "ignored", "ignored"]);
+    assert.deepEqual(annotations.map(annotation => annotation.id), [1]);
+
+    assert.equal(applyAnnotationAction(annotations, {actionType: "batchAdd", annotations: "bad"}, opLog), "ignored");
+});
+
+test("Observers can't rename a collaboration", async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collab-test-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const access = require("../server/accessControl")(dir, false);
+    const collaboration = require("../server/collaboration")(dir, dir, access);
+    const createSocket = () => ({readyState: 1, received: [], send(msg) { this.received.push(JSON.parse(msg)); }});
+    const send = (ws, msg) => collaboration.handleMessage(ws, "observed", JSON.stringify(msg));
+    const requestSummary = async ws => {
+        const nReceived = ws.received.length;
+        send(ws, {type: "requestSummary", image: "image"});
+        while (!ws.received.slice(nReceived).some(msg => msg.type === "summary")) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return ws.received.filter(msg => msg.type === "summary").pop();
+    };
+    const editor = createSocket();
+    const observer = createSocket();
+    collaboration.joinCollab(editor, "Editor", null, "observed", "image", null, false);
+    collaboration.joinCollab(observer, "Observer", null, "observed", "image", null, "true");
+    await requestSummary(editor);
+    send(observer, {type: "nameChange", name: "Renamed"});
+    assert.ok(!editor.received.some(msg => msg.type === "nameChange" && msg.name === "Renamed"));
+    assert.equal((await requestSummary(editor)).name, "Unnamed");
+});
+
+test("Annotations added through the API are sent as one batch", async t => {
+    t.mock.timers.enable({apis: ["setTimeout"]}); // Keep the autosave from outliving the test
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collab-test-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const access = require("../server/accessControl")(dir, false);
+    const collaboration = require("../server/collaboration")(dir, dir, access);
+    const member = {readyState: 1, received: [], send(msg) { this.received.push(JSON.parse(msg)); }};
+    collaboration.joinCollab(member, "Member", null, "imported", "image", null, false);
+    collaboration.handleMessage(member, "imported", JSON.stringify({type: "requestSummary", image: "image"}));
+    while (!member.received.some(msg => msg.type === "summary")) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    const added = await collaboration.addAnnotations("imported", "image", "Importer", [
+        createAnnotation(1, 0), createAnnotation(1, 1), createAnnotation(undefined, 0), createAnnotation(2, 2)
+    ]);
+    assert.equal(added.length, 3);
+    assert.equal(new Set(added.map(annotation => annotation.id)).size, 3);
+    const batches = member.received.filter(msg => msg.type === "annotationAction");
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0].actionType, "batchAdd");
+    assert.equal(batches[0].annotations.length, 3);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const historyTracker = require("../server/historyTracker");
+
+function createData(i) {
+    return {nAnnotations: i, annotations: Array.from({length: i}, (_, id) => ({id: id}))};
+}
+
+function getVersion(history, data, versionId) {
+    return historyTracker.getOlderVersionOfData(JSON.parse(JSON.stringify(data)), history, versionId);
+}
+
+test("Old untagged entries are pruned from the history", () => {
+    const history = historyTracker.createHistory();
+    let data = null;
+    for (let i = 0; i < 60; i++) {
+        const newData = createData(i);
+        historyTracker.extendHistory(history, newData, data);
+        data = newData;
+    }
+    assert.equal(history.history.length, 50);
+    assert.equal(history.history[0].id, 10);
+    assert.equal(history.history[history.history.length - 1].id, 59);
+    assert.deepEqual(getVersion(history, data, 10), createData(10));
+});
+
+test("Tagged entries can still be reached after pruning", () => {
+    const history = historyTracker.createHistory();
+    let data = null;
+    for (let i = 0; i < 60; i++) {
+        const newData = createData(i);
+        historyTracker.extendHistory(history, newData, data);
+        data = newData;
+        if (i === 5) {
+            historyTracker.tagHistoryEntry(history, i, {name: "Five", note: "", author: "tester", time: ""});
+        }
+    }
+    const ids = history.history.map(entry => entry.id);
+    assert.equal(history.history.filter(entry => !entry.tag).length, 50);
+    assert.deepEqual(ids.slice(0, 2), [5, 10]);
+    assert.deepEqual(getVersion(history, data, 5), createData(5));
+    assert.deepEqual(getVersion(history, data, 10), createData(10));
+    assert.deepEqual(getVersion(history, data, 59), createData(59));
+});
@@ -0,0 +1,12 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mathUtils = require("../public/js/utils/mathUtils");
+
+test("Stroke outlines don't touch themselves where cells touch at a corner", () => {
+    // The end of the stroke comes back to its start so that the painted cells only meet at a corner
+    const points = [{x: 0, y: 0}, {x: 0, y: 10}, {x: 10, y: 10}, {x: 10, y: 0}, {x: 2, y: -0.9}];
+    const outline = mathUtils.getStrokeOutline(points, 1);
+    const corners = new Set(outline.map(point => `${point.x},${point.y}`));
+    assert.equal(corners.size, outline.length);
+    assert.ok(!mathUtils.pathIntersectsSelf(outline));
+});